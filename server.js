@@ -5,12 +5,25 @@ const { createClient } = require('@supabase/supabase-js');
 const multer = require('multer');
 const { google } = require('googleapis');
 const stream = require('stream');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const net = require('net');
+const mime = require('mime-types');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
 const OpenAI = require('openai');
-const pdf = require('pdf-parse'); 
+const { PDFParse } = require('pdf-parse');
+const ExcelJS = require('exceljs');
+const NodeCache = require('node-cache');
 
 const app = express();
 const port = process.env.PORT || 4001;
 
+// Detrás del proxy de Easypanel: TRUST_PROXY=1 para que req.ip sea la IP real del cliente
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // ==========================================
 // 1. CONFIGURACIÓN CORS (BLINDADA)
 // ==========================================
@@ -54,6 +67,15 @@ const supabase = createClient(
   { auth: { autoRefreshToken: false, persistSession: false } }
 );
 
+// Cliente aparte para login / refresh / registro: esas llamadas dejan la sesión del usuario
+// en memoria y, si se hicieran con el cliente principal, las consultas siguientes saldrían
+// con el token de ese usuario en lugar de la service role.
+const authClient = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY,
+  { auth: { autoRefreshToken: false, persistSession: false } }
+);
+
 // --- GOOGLE DRIVE ---
 let drive;
 try {
@@ -68,18 +90,177 @@ try {
 }
 
 // --- OPENROUTER (IA) ---
-if (!process.env.OPENROUTER_API_KEY) console.warn("⚠️ FALTA OPENROUTER_API_KEY");
+// OPENROUTER_BASE_URL permite apuntar a un stub local compatible con OpenAI (tests offline, sin API key)
+const AI_CONFIGURED = Boolean(process.env.OPENROUTER_API_KEY || process.env.OPENROUTER_BASE_URL);
+if (!AI_CONFIGURED) console.warn("⚠️ FALTA OPENROUTER_API_KEY");
 
+// Timeout, reintentos y fallback los maneja runAiCompletion según el perfil (sección 9)
 const openai = new OpenAI({
-  baseURL: "https://openrouter.ai/api/v1",
+  baseURL: process.env.OPENROUTER_BASE_URL || "https://openrouter.ai/api/v1",
   apiKey: process.env.OPENROUTER_API_KEY || "dummy", 
+  maxRetries: 0
 });
+const AI_MODEL = process.env.OPENROUTER_MODEL || "google/gemini-2.0-flash-exp:free";
 
 const upload = multer({ 
     storage: multer.memoryStorage(),
     limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
+// Multer devuelve 413 en vez de un 500 cuando el archivo supera el límite global
+const uploadSingle = (field) => (req, res, next) => {
+    upload.single(field)(req, res, (err) => {
+        if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: 'El archivo supera el tamaño máximo permitido' });
+        }
+        next(err);
+    });
+};
+
+// ==========================================
+// 1.1 ALMACENAMIENTO DE DOCUMENTOS (DRIVE / S3 / LOCAL)
+// ==========================================
+// STORAGE_DRIVER elige dónde se guardan los archivos nuevos: 'drive' (default), 's3' o 'local'.
+// Cada fila de student_documents recuerda su backend (storage_backend) y su clave
+// (storage_key); las filas viejas sin backend son de Drive y usan drive_file_id.
+// Todos los drivers exponen: isReady(), put(name, buffer, mimeType) -> key, get(key) -> Buffer,
+// stream(key) -> Readable, remove(key).
+
+function createDriveStorage({ folderId = process.env.GOOGLE_DRIVE_FOLDER_ID } = {}) {
+    return {
+        name: 'drive',
+        isReady: () => Boolean(drive),
+        async put(name, buffer, mimeType) {
+            const fileMetadata = { name, parents: [folderId] };
+            const media = { mimeType, body: stream.Readable.from(buffer) };
+            const response = await drive.files.create({ resource: fileMetadata, media, fields: 'id' });
+            return response.data.id;
+        },
+        async get(key) {
+            const response = await drive.files.get({ fileId: key, alt: 'media' }, { responseType: 'arraybuffer' });
+            return Buffer.from(response.data);
+        },
+        async stream(key) {
+            const response = await drive.files.get({ fileId: key, alt: 'media' }, { responseType: 'stream' });
+            return response.data;
+        },
+        async remove(key) {
+            await drive.files.delete({ fileId: key });
+        }
+    };
+}
+
+// Compatible con AWS S3 y MinIO (S3_ENDPOINT + S3_FORCE_PATH_STYLE=true)
+function createS3Storage({ bucket = process.env.S3_BUCKET } = {}) {
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+
+    return {
+        name: 's3',
+        isReady: () => Boolean(bucket),
+        async put(name, buffer, mimeType) {
+            const key = `documents/${crypto.randomUUID()}_${name}`;
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: mimeType }));
+            return key;
+        },
+        async get(key) {
+            const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        },
+        async stream(key) {
+            const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return response.Body;
+        },
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        }
+    };
+}
+
+function createLocalStorage({ root: rootDir = process.env.LOCAL_STORAGE_DIR || 'storage' } = {}) {
+    const root = path.resolve(rootDir);
+
+    // La clave nunca puede salir de la carpeta raíz
+    const resolveKey = (key) => {
+        const fullPath = path.resolve(root, key);
+        if (!fullPath.startsWith(root + path.sep)) throw new Error('Clave de almacenamiento inválida');
+        return fullPath;
+    };
+
+    return {
+        name: 'local',
+        isReady: () => true,
+        async put(name, buffer) {
+            const key = `${crypto.randomUUID()}_${String(name).replace(/[\\/]/g, '_')}`;
+            await fs.promises.mkdir(root, { recursive: true });
+            await fs.promises.writeFile(resolveKey(key), buffer);
+            return key;
+        },
+        async get(key) {
+            return fs.promises.readFile(resolveKey(key));
+        },
+        async stream(key) {
+            const fullPath = resolveKey(key);
+            await fs.promises.access(fullPath);
+            return fs.createReadStream(fullPath);
+        },
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+}
+
+const STORAGE_FACTORIES = { drive: createDriveStorage, s3: createS3Storage, local: createLocalStorage };
+const storageDrivers = {};
+
+function getStorage(name) {
+    if (!STORAGE_FACTORIES[name]) throw new Error(`Backend de almacenamiento desconocido: ${name}`);
+    if (!storageDrivers[name]) storageDrivers[name] = STORAGE_FACTORIES[name]();
+    return storageDrivers[name];
+}
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'drive';
+const documentStorage = getStorage(STORAGE_DRIVER);
+console.log(`✅ [INIT] Almacenamiento de documentos: ${STORAGE_DRIVER}`);
+
+// Cuarentena: el mismo tipo de backend pero en otro lugar (QUARANTINE_DRIVE_FOLDER_ID,
+// QUARANTINE_S3_BUCKET o QUARANTINE_LOCAL_DIR). No está en getStorage, así que ni las
+// descargas ni la migración llegan a esos archivos. Sin lugar configurado no se guarda el
+// archivo, solo el registro con su hash.
+const QUARANTINE_LOCATIONS = {
+    drive: () => process.env.QUARANTINE_DRIVE_FOLDER_ID && { folderId: process.env.QUARANTINE_DRIVE_FOLDER_ID },
+    s3: () => process.env.QUARANTINE_S3_BUCKET && { bucket: process.env.QUARANTINE_S3_BUCKET },
+    local: () => ({ root: process.env.QUARANTINE_LOCAL_DIR || 'quarantine' })
+};
+
+function createQuarantineStorage(driver) {
+    const location = QUARANTINE_LOCATIONS[driver]();
+    if (!location) return null;
+    const sameAsDocuments = {
+        drive: () => location.folderId === process.env.GOOGLE_DRIVE_FOLDER_ID,
+        s3: () => location.bucket === process.env.S3_BUCKET,
+        local: () => {
+            const relative = path.relative(path.resolve(process.env.LOCAL_STORAGE_DIR || 'storage'), path.resolve(location.root));
+            return !relative || !relative.startsWith('..') || relative.split(path.sep).every(part => part === '..');
+        }
+    };
+    if (sameAsDocuments[driver]()) throw new Error('La cuarentena tiene que estar fuera del almacenamiento de documentos');
+    return { ...STORAGE_FACTORIES[driver](location), name: `quarantine-${driver}` };
+}
+
+const quarantineStorage = createQuarantineStorage(STORAGE_DRIVER);
+
+const storageForDocument = (doc) => getStorage(doc.storage_backend || 'drive');
+const storageKeyOf = (doc) => doc.storage_key || doc.drive_file_id;
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
 // ==========================================
 // 2. HELPER: LIMPIEZA DE CHAT PROFUNDA
 // ==========================================
@@ -136,10 +317,244 @@ const cleanN8nMessage = (rawContent) => {
     }
 };
 
+// Detecta quién escribió un registro de n8n_chat_histories: 'user' (alumno) o 'assistant' (IA)
+const detectN8nRole = (rawMessage) => {
+    let role = 'assistant'; // Por defecto es la IA
+
+    // A veces el mensaje es un string JSON que contiene el rol
+    try {
+        if (typeof rawMessage === 'string') {
+            // Verificación rápida en string antes de parsear todo
+            if (rawMessage.includes('"type": "human"') || rawMessage.includes('"role": "user"')) {
+                role = 'user';
+            } else {
+                // Intento de parseo real
+                const parsed = JSON.parse(rawMessage);
+                if (parsed.type === 'human' || parsed.role === 'user') role = 'user';
+            }
+        } else if (typeof rawMessage === 'object' && rawMessage !== null) {
+            if (rawMessage.type === 'human' || rawMessage.role === 'user') role = 'user';
+        }
+    } catch (e) {
+        // Si falla el parseo, chequeamos prefijo manual
+        if (String(rawMessage).includes("Mensaje de la persona:")) role = 'user';
+    }
+
+    return role;
+};
+
+// ==========================================
+// 2.1 HELPER: TELÉFONOS (E.164 ARGENTINA)
+// ==========================================
+// Formato canónico: +549 + área + abonado (10 dígitos nacionales) para móviles.
+// Todos los números se tratan como móviles: el canal con el alumno es WhatsApp.
+// Acepta: "0383 15 412-3456", "+54 9 383 4123456", "5493834123456", "3834123456"...
+
+const normalizePhone = (value) => {
+    if (value === null || value === undefined) return null;
+    const raw = String(value).trim();
+    let digits = raw.replace(/\D/g, '');
+    if (!digits) return null;
+
+    const hasInternationalPrefix = raw.startsWith('+') || digits.startsWith('00');
+    if (digits.startsWith('00')) digits = digits.slice(2);
+
+    // Números de otro país: se conservan tal cual si tienen largo E.164 válido
+    if (hasInternationalPrefix && !digits.startsWith('54')) {
+        return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+    }
+
+    let national = digits;
+    if (national.startsWith('54') && national.length >= 12) national = national.slice(2);
+    if (national.startsWith('9') && national.length === 11) national = national.slice(1);
+    if (national.startsWith('0')) national = national.slice(1);
+
+    // Prefijo móvil "15" después del código de área (2, 3 o 4 dígitos)
+    if (national.length === 12) {
+        const areaLengths = national.startsWith('11') ? [2] : [3, 4];
+        const areaLength = areaLengths.find(len => national.substr(len, 2) === '15');
+        if (!areaLength) return null;
+        national = national.slice(0, areaLength) + national.slice(areaLength + 2);
+    }
+
+    if (!/^[1-9]\d{9}$/.test(national)) return null;
+    return `+549${national}`;
+};
+
+// n8n usa el número de WhatsApp como session_id: dígitos sin '+', a veces con sufijo
+const phoneToWhatsApp = (e164) => (e164 ? e164.replace(/\D/g, '') : null);
+
+const sessionIdCandidates = (e164) => {
+    const wa = phoneToWhatsApp(e164);
+    return wa ? [wa, `+${wa}`, `${wa}@s.whatsapp.net`] : [];
+};
+
+const sessionIdToPhone = (sessionId) => normalizePhone(String(sessionId || '').split('@')[0]);
+
+const studentPhones = (student) => [...new Set(
+    [student.telefono1, student.telefono2].map(normalizePhone).filter(Boolean)
+)];
+
+// Sesiones de chat del alumno: las vinculadas en student_chat_sessions + las que
+// coinciden exactamente con sus teléfonos (chats nuevos aún sin backfill)
+async function getStudentSessionIds(student) {
+    const { data: linked, error } = await supabase
+        .from('student_chat_sessions')
+        .select('session_id')
+        .eq('student_id', student.id);
+    if (error) throw error;
+
+    const ids = new Set((linked || []).map(l => l.session_id));
+    for (const phone of studentPhones(student)) {
+        sessionIdCandidates(phone).forEach(id => ids.add(id));
+    }
+    return [...ids];
+}
+
+// Alumnos cuyo telefono1 o telefono2 es exactamente ese número
+async function findStudentsByPhone(e164, columns = 'id, codPuntoKennedy') {
+    const { data, error } = await supabase
+        .from('student')
+        .select(columns)
+        .or(`telefono1.eq.${e164},telefono2.eq.${e164}`);
+    if (error) throw error;
+    return data || [];
+}
+
+// Listas largas en .in() se parten: PostgREST las manda en la URL y tiene un largo máximo
+const ID_CHUNK = 200;
+
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+};
+
+// Map<teléfono E.164, alumnos con ese telefono1 o telefono2>, en una consulta por tanda
+async function findStudentsByPhones(phones, columns = 'id, codPuntoKennedy') {
+    const result = new Map();
+    for (const part of chunk([...new Set(phones.filter(Boolean))], ID_CHUNK)) {
+        const list = part.join(',');
+        const { data, error } = await supabase
+            .from('student')
+            .select(`${columns}, telefono1, telefono2`)
+            .or(`telefono1.in.(${list}),telefono2.in.(${list})`);
+        if (error) throw error;
+        for (const student of data || []) {
+            for (const phone of new Set([student.telefono1, student.telefono2])) {
+                if (!phone || !part.includes(phone)) continue;
+                if (!result.has(phone)) result.set(phone, []);
+                result.get(phone).push(student);
+            }
+        }
+    }
+    return result;
+}
+
+// Sesión -> ids de alumno (vínculo guardado o teléfono exacto), en lotes de ID_CHUNK
+async function studentsBySession(sessionIds) {
+    const result = new Map();
+    for (const ids of chunk(sessionIds, ID_CHUNK)) {
+        const { data, error } = await supabase.from('student_chat_sessions').select('session_id, student_id').in('session_id', ids);
+        if (error) throw error;
+        (data || []).forEach(link => result.set(link.session_id, [link.student_id]));
+    }
+
+    const phoneBySession = new Map(sessionIds.filter(id => !result.has(id)).map(id => [id, sessionIdToPhone(id)]).filter(([, phone]) => phone));
+    const studentsByPhone = await findStudentsByPhones([...phoneBySession.values()], 'id');
+    for (const [sessionId, phone] of phoneBySession) result.set(sessionId, (studentsByPhone.get(phone) || []).map(s => s.id));
+    return result;
+}
+
+// ==========================================
+// 2.2 HELPER: FILTROS POSTGREST SEGUROS
+// ==========================================
+// Nunca interpolar texto del usuario en .or(): comas, paréntesis o comillas rompen
+// el filtro (o lo alteran). Se escapan los comodines de LIKE y se entrecomilla el valor.
+// PostgREST además convierte todo '*' en '%' (aun escapado): se reemplaza por '_', que
+// sigue encontrando el '*' literal sin volverse un comodín de cualquier largo.
+
+const escapeLikePattern = (term) => String(term).replace(/[\\%_]/g, m => `\\${m}`).replace(/\*/g, '_');
+
+const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+const quoteFilterColumn = (column) => (/^[\w>-]+$/.test(column) ? column : `"${column}"`);
+
+// "col1.ilike.%term%,col2.ilike.%term%" con el término escapado
+const ilikeAnyFilter = (columns, term) => {
+    const pattern = quoteFilterValue(`%${escapeLikePattern(term)}%`);
+    return columns.map(c => `${quoteFilterColumn(c)}.ilike.${pattern}`).join(',');
+};
+
+// Limpia la búsqueda del usuario: sin espacios repetidos y con largo acotado
+const normalizeSearchTerm = (value) => String(value || '').replace(/\s+/g, ' ').trim().substring(0, 100);
+
+// Para comparar etiquetas cargadas a mano: sin tildes, sin mayúsculas ni espacios de más
+const normalizeLabel = (value) => String(value || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .trim().toLowerCase();
+
 // ==========================================
 // 3. MIDDLEWARES DE SEGURIDAD (LIMPIO)
 // ==========================================
 
+// Estado de la cuenta (perfil_staff.status): una cuenta desactivada no entra aunque
+// conserve su rol; sin rol queda pendiente de aprobación.
+const staffStatusOf = (profile) => {
+    if (!profile) return null;
+    if (profile.status === 'deactivated') return 'deactivated';
+    return profile.rol ? 'active' : 'pending';
+};
+
+// --- Caché de sesión ---
+// Token -> usuario y email -> perfil se guardan SESSION_CACHE_TTL segundos para no
+// consultar Supabase dos veces por request. Todo cambio de rol, sede o estado de una
+// cuenta llama a invalidateStaffProfile; el logout olvida el token.
+const SESSION_CACHE_TTL = Number(process.env.SESSION_CACHE_TTL) || 60;
+const tokenCache = new NodeCache({ stdTTL: SESSION_CACHE_TTL, checkperiod: 120, useClones: false });
+const profileCache = new NodeCache({ stdTTL: SESSION_CACHE_TTL, checkperiod: 120 });
+
+// Segundos de vida que le quedan al JWT (ya validado por Supabase; acá solo se lee 'exp')
+const tokenSecondsLeft = (token) => {
+    try {
+        const { exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+        return exp ? exp - Math.floor(Date.now() / 1000) : SESSION_CACHE_TTL;
+    } catch {
+        return SESSION_CACHE_TTL;
+    }
+};
+
+async function getSessionUser(token) {
+    const key = sha256(token);
+    const cached = tokenCache.get(key);
+    if (cached) return cached;
+
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+    if (error || !user) return null;
+    const ttl = Math.min(SESSION_CACHE_TTL, tokenSecondsLeft(token));
+    if (ttl > 0) tokenCache.set(key, user, ttl);
+    return user;
+}
+
+const forgetSessionToken = (token) => tokenCache.del(sha256(token));
+
+async function getStaffProfile(email) {
+    const cached = profileCache.get(email);
+    if (cached) return cached;
+
+    const { data: profile, error } = await supabase.from('perfil_staff').select('*').eq('email', email).maybeSingle();
+    if (error) throw error;
+    if (profile) profileCache.set(email, profile);
+    return profile;
+}
+
+// También corta sus streams de tiempo real, que guardan el perfil del momento de conectarse
+const invalidateStaffProfile = (email) => {
+    if (!email) return;
+    profileCache.del(email);
+    closeRealtimeClients(email);
+};
+
 const verifyUser = async (req, res, next) => {
   const token = req.headers['authorization']?.split(' ')[1]; 
   
@@ -149,22 +564,23 @@ const verifyUser = async (req, res, next) => {
 
   try {
     // 1. Validación de Token con Supabase
-    const { data: { user }, error } = await supabase.auth.getUser(token);
-    if (error || !user) throw new Error("Token inválido");
+    const user = await getSessionUser(token);
+    if (!user) throw new Error("Token inválido");
 
     // 2. Validación de Perfil en Base de Datos
-    const { data: profile } = await supabase
-        .from('perfil_staff')
-        .select('*')
-        .eq('email', user.email)
-        .single();
+    const profile = await getStaffProfile(user.email);
 
-    if (!profile || !profile.rol) {
+    if (staffStatusOf(profile) !== 'active') {
         return res.status(403).json({ error: 'Tu cuenta está inactiva o sin rol asignado.' });
     }
 
+    // 3. Permisos efectivos del rol
+    const access = roleAccessOf(await loadRoleMatrix(), profile);
+    if (!access) return res.status(403).json({ error: `El rol '${profile.rol}' no tiene permisos configurados.` });
+
     req.user = user;
-    req.staffProfile = profile;
+    req.accessToken = token;
+    req.staffProfile = { ...profile, access };
     next();
   } catch (err) {
     console.error("Auth Error:", err.message);
@@ -173,483 +589,5897 @@ const verifyUser = async (req, res, next) => {
 };
 
 // ==========================================
-// 4. RUTAS DE AUTENTICACIÓN
+// 3.1 ROLES, PERMISOS Y POLÍTICA DE SEDE
 // ==========================================
+// Cada rol tiene una lista de permisos 'recurso:acción' (PERMISSION_CATALOG) y un alcance:
+// 'all' ve todas las sedes; 'sedes' solo ve su sede (perfil_staff.sede) más las extra de
+// perfil_staff.sedes (coordinadores regionales). Un perfil sin sede no ve nada.
+// Los roles de DEFAULT_ROLES se pueden ajustar y se pueden crear roles nuevos: la tabla
+// role_permissions (role, label, scope, permissions text[], updated_by, updated_at) pisa
+// los valores por defecto. El rol admin no se edita, para no perder el acceso.
+// verifyUser deja en req.staffProfile.access el rol resuelto; las rutas lo exigen con
+// requirePermission(recurso, acción).
 
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    const { data: authData, error: authError } = await supabase.auth.signInWithPassword({ email, password });
-    if (authError) return res.status(401).json({ error: 'Credenciales inválidas' });
-
-    const { data: profile } = await supabase.from('perfil_staff').select('*').eq('email', email).single();
+const PERMISSION_CATALOG = {
+    students: ['read', 'write', 'import', 'export'],
+    messages: ['read', 'send'],
+    documents: ['read', 'upload', 'review', 'delete', 'purge', 'link'],
+    careers: ['read', 'write', 'publish'],
+    secretaria: ['read', 'write', 'assign'],
+    templates: ['read', 'write'],
+    campaigns: ['read', 'write', 'approve'],
+    bot: ['read', 'write', 'handover'],
+    analytics: ['read'],
+    staff: ['read', 'write'],
+    roles: ['read', 'write'],
+    audit: ['read'],
+    ai: ['read', 'write'],
+    system: ['manage']
+};
+const ALL_PERMISSIONS = Object.entries(PERMISSION_CATALOG).flatMap(([resource, actions]) => actions.map(action => `${resource}:${action}`));
+const ROLE_SCOPES = ['all', 'sedes'];
+const LOCKED_ROLES = ['admin'];
 
-    // Validar que tenga rol antes de dejar pasar
-    if (!profile?.rol) return res.status(403).json({ error: 'Cuenta sin rol activo.' });
+const ASESOR_PERMISSIONS = [
+    'students:read', 'students:write', 'students:import', 'students:export',
+    'messages:read', 'messages:send',
+    'documents:read', 'documents:upload', 'documents:review', 'documents:delete',
+    'careers:read',
+    'secretaria:read', 'secretaria:write', 'secretaria:assign',
+    'templates:read',
+    'campaigns:read', 'campaigns:write',
+    'bot:read', 'bot:handover'
+];
 
-    res.json({
-      success: true,
-      token: authData.session.access_token,
-      user: {
-        id: authData.user.id,
-        email: authData.user.email,
-        rol: profile.rol,
-        sede: profile.sede,
-        nombre: profile.nombre
-      }
-    });
-  } catch (err) { res.status(500).json({ error: 'Error interno' }); }
-});
+const DEFAULT_ROLES = {
+    admin: { label: 'Administrador', scope: 'all', permissions: ALL_PERMISSIONS },
+    asesor: { label: 'Asesor', scope: 'sedes', permissions: ASESOR_PERMISSIONS },
+    coordinador: { label: 'Coordinador regional', scope: 'sedes', permissions: [...ASESOR_PERMISSIONS, 'campaigns:approve', 'analytics:read', 'staff:read'] },
+    auditor: { label: 'Auditor (solo lectura)', scope: 'all', permissions: [...ALL_PERMISSIONS.filter(p => p.endsWith(':read')), 'students:export'] },
+    revisor: { label: 'Revisor de documentos', scope: 'sedes', permissions: ['students:read', 'documents:read', 'documents:review', 'careers:read'] }
+};
 
-app.post('/api/auth/register', async (req, res) => {
-  try {
-    const { email, password, nombre, sede } = req.body;
-    const { data: authData, error: authError } = await supabase.auth.signUp({ email, password });
-    if (authError) return res.status(400).json({ error: authError.message });
+const roleMatrixCache = new NodeCache({ stdTTL: 60, useClones: false });
 
-    await supabase.from('perfil_staff').insert([{
-        email, 
-        nombre: nombre || email.split('@')[0], 
-        rol: null, 
-        sede: sede, 
-        master_user_id: authData.user.id
-    }]);
+// Matriz efectiva: valores por defecto + overrides de la tabla
+async function loadRoleMatrix() {
+    const cached = roleMatrixCache.get('matrix');
+    if (cached) return cached;
 
-    res.status(201).json({ success: true, message: 'Usuario registrado. Espera aprobación.' });
-  } catch (err) { res.status(500).json({ error: 'Error registro' }); }
-});
+    const { data, error } = await supabase.from('role_permissions').select('*');
+    if (error) throw error;
+    const matrix = {};
+    for (const [role, def] of Object.entries(DEFAULT_ROLES)) matrix[role] = { role, ...def, custom: false, builtIn: true };
+    for (const row of data || []) {
+        if (LOCKED_ROLES.includes(row.role)) continue;
+        matrix[row.role] = {
+            role: row.role,
+            label: row.label || matrix[row.role]?.label || row.role,
+            scope: ROLE_SCOPES.includes(row.scope) ? row.scope : 'sedes',
+            permissions: (row.permissions || []).filter(p => ALL_PERMISSIONS.includes(p)),
+            custom: true,
+            builtIn: Boolean(DEFAULT_ROLES[row.role]),
+            updatedAt: row.updated_at || null
+        };
+    }
+    roleMatrixCache.set('matrix', matrix);
+    return matrix;
+}
 
-// ✅ RUTA GOOGLE SYNC (CORREGIDA)
-app.post('/api/auth/google-sync', async (req, res) => {
-    try {
-        const { email, uuid } = req.body;
-        console.log(`[AUTH] Intento de login Google: ${email}`);
+const invalidateRoleMatrix = () => {
+    roleMatrixCache.del('matrix');
+    closeRealtimeClients();
+};
 
-        const isSuperAdmin = email === 'kennedy.vintex@gmail.com';
-        
-        let { data: profile } = await supabase.from('perfil_staff').select('*').eq('email', email).single();
-        
-        if (!profile) {
-            console.log(`[AUTH] Creando cuenta nueva para: ${email}`);
-            const { data: newProfile } = await supabase.from('perfil_staff').insert([{
-                email, 
-                nombre: email.split('@')[0], 
-                rol: isSuperAdmin ? 'admin' : null,
-                sede: isSuperAdmin ? 'CATAMARCA' : null,
-                master_user_id: uuid
-            }]).select().single();
-            profile = newProfile;
+// Acceso efectivo de un perfil (null si su rol no existe en la matriz)
+const roleAccessOf = (matrix, profile) => {
+    const role = matrix[profile?.rol];
+    if (!role) return null;
+    const sedes = role.scope === 'all' ? null : [...new Set([profile.sede, ...(profile.sedes || [])].filter(Boolean))];
+    return { role: role.role, label: role.label, scope: role.scope, sedes, permissions: role.permissions };
+};
 
-        } else if (isSuperAdmin && profile.rol !== 'admin') {
-            await supabase.from('perfil_staff').update({ rol: 'admin', sede: 'CATAMARCA' }).eq('email', email);
-            profile.rol = 'admin';
-            profile.sede = 'CATAMARCA';
-        }
+const can = (profile, resource, action) => Boolean(profile?.access?.permissions.includes(`${resource}:${action}`));
 
-        if (!profile.rol) {
-             return res.status(403).json({ error: 'Cuenta en espera de aprobación.' });
-        }
+const PERMISSION_LABELS = {
+    read: 'ver', write: 'editar', import: 'importar', export: 'exportar', send: 'enviar', upload: 'subir',
+    review: 'revisar', delete: 'eliminar', purge: 'purgar', link: 'vincular', assign: 'asignar',
+    approve: 'aprobar', handover: 'pausar', manage: 'administrar', publish: 'publicar'
+};
+const RESOURCE_LABELS = {
+    students: 'alumnos', messages: 'mensajes', documents: 'documentos', careers: 'carreras',
+    secretaria: 'la cola de secretaría', templates: 'plantillas', campaigns: 'campañas', bot: 'el bot',
+    analytics: 'la analítica', staff: 'cuentas del staff', roles: 'roles', audit: 'la auditoría', ai: 'la configuración de IA', system: 'el sistema'
+};
 
-        res.json({ 
-            success: true, 
-            user: { 
-                id: uuid, 
-                email, 
-                rol: profile.rol, 
-                sede: profile.sede, 
-                nombre: profile.nombre 
-            } 
-        });
-    } catch (err) { 
-        console.error("[AUTH ERROR]", err);
-        res.status(500).json({ error: "Error de sincronización con el servidor." }); 
+// Middleware único de autorización (va después de verifyUser)
+const requirePermission = (resource, action) => (req, res, next) => {
+    if (!can(req.staffProfile, resource, action)) {
+        return res.status(403).json({ error: `No tienes permiso para ${PERMISSION_LABELS[action] || action} ${RESOURCE_LABELS[resource] || resource}`, permission: `${resource}:${action}` });
     }
-});
+    next();
+};
 
-// ==========================================
-// 5. GESTIÓN ALUMNOS
-// ==========================================
+const isAdmin = (profile) => profile?.rol === 'admin';
 
-app.post('/api/students', verifyUser, async (req, res) => {
-    const { rol } = req.staffProfile;
-    if (rol !== 'admin' && rol !== 'asesor') return res.status(403).json({ error: 'No tienes permisos' });
+// null = todas las sedes
+const sedesOf = (profile) => (profile?.access ? profile.access.sedes : (isAdmin(profile) ? null : [profile?.sede].filter(Boolean)));
+const hasAllSedes = (profile) => sedesOf(profile) === null;
 
-    try {
-        const newStudent = req.body; 
-        delete newStudent.id; 
-        
-        const { data, error } = await supabase.from('student').insert([newStudent]).select();
-        if (error) throw error;
-        res.json({ success: true, data });
-    } catch (err) {
-        console.error("Create Student Error:", err);
-        res.status(500).json({ error: 'Error creando alumno' });
-    }
-});
+const canAccessSede = (profile, sede) => {
+    const sedes = sedesOf(profile);
+    if (sedes === null) return true;
+    return Boolean(sede) && sedes.includes(sede);
+};
 
-app.get('/api/students', verifyUser, async (req, res) => {
-  try {
-    const { search, page = 1 } = req.query;
-    const { rol, sede } = req.staffProfile;
-    const limit = 50; 
-    const from = (page - 1) * limit;
-    const to = from + limit - 1;
+// Filtra por sede cualquier consulta (columna 'sede' por defecto)
+const scopeSedeQuery = (query, profile, column = 'sede') => {
+    const sedes = sedesOf(profile);
+    return sedes === null ? query : query.in(column, sedes);
+};
 
-    let query = supabase.from('student').select('*', { count: 'exact' });
+// Aplica el filtro de sede a una consulta sobre la tabla 'student'
+const scopeStudentQuery = (query, profile) => scopeSedeQuery(query, profile, 'codPuntoKennedy');
 
-    // Filtrado de Seguridad
-    if (rol !== 'admin' && sede) {
-        query = query.eq('codPuntoKennedy', sede);
-    }
-    
-    // 🔍 BUSCADOR ACTUALIZADO (INCLUYE TELÉFONOS)
-    if (search) {
-      query = query.or(`full_name.ilike.%${search}%,numero Identificacion.ilike.%${search}%,legdef.ilike.%${search}%,telefono1.ilike.%${search}%,telefono2.ilike.%${search}%`);
-    }
+// Sede por defecto al crear registros: la única del perfil o la pedida si tiene acceso
+function resolveTargetSede(profile, requested) {
+    if (requested) return canAccessSede(profile, requested) ? { sede: requested } : { error: 'No tienes acceso a esa sede' };
+    const sedes = sedesOf(profile);
+    if (sedes === null) return { sede: null };
+    if (sedes.length === 1) return { sede: sedes[0] };
+    return { error: 'Indique la sede' };
+}
 
-    query = query.order('solicita secretaria', { ascending: false })
-                 .order('created_at', { ascending: false })
-                 .range(from, to);
+// Sedes a consultar en listados con ?sede= opcional (sedes null = todas)
+function requestedSedes(profile, requested) {
+    if (requested) return canAccessSede(profile, String(requested)) ? { sedes: [String(requested)] } : { error: 'No tienes acceso a esa sede' };
+    return { sedes: sedesOf(profile) };
+}
 
-    const { data, count, error } = await query;
-    if (error) throw error;
+// Middleware para listados: un perfil sin sede asignada no puede listar nada
+const requireSede = (req, res, next) => {
+    const sedes = sedesOf(req.staffProfile);
+    if (sedes !== null && sedes.length === 0) {
+        return res.status(403).json({ error: 'Tu cuenta no tiene sede asignada.' });
+    }
+    next();
+};
 
-    const mappedData = (data || []).map(s => ({
-      id: s.id,
-      full_name: s.full_name,
-      dni: s['numero Identificacion'],
-      legajo: s.legdef,
-      contact_phone: s.telefono1 || s.telefono2,
-      location: s['codPuntoKennedy'],
-      career_name: s['nombrePrograma'],
-      bot_active: s['bot active'], 
-      solicita_secretaria: s['solicita secretaria'],
-      status: s.status || 'Sólo preguntó',
-      mood: s.mood || 'Neutro',
-      last_interaction: s.created_at
-    }));
+// Carga un alumno y decide: 404 si no existe, 403 si es de otra sede
+async function findStudentForStaff(profile, studentId) {
+    if (!studentId) return { status: 400, error: 'Falta el id del alumno' };
 
-    res.json({ data: mappedData, total: count || 0, userRole: rol, userSede: sede });
-  } catch (err) { res.status(500).json({ error: 'Error buscando alumnos' }); }
-});
+    const { data: student, error } = await supabase.from('student').select('*').eq('id', studentId).maybeSingle();
+    if (error) throw error;
+    if (!student) return { status: 404, error: 'No encontrado' };
+    if (!canAccessSede(profile, student.codPuntoKennedy)) {
+        return { status: 403, error: 'El alumno pertenece a otra sede' };
+    }
+    return { student };
+}
 
-app.get('/api/students/:id', verifyUser, async (req, res) => {
-    const { id } = req.params;
+// Middleware: deja el alumno autorizado en req.student
+const requireStudentAccess = (getStudentId) => async (req, res, next) => {
     try {
-        const { data: s } = await supabase.from('student').select('*').eq('id', id).single();
-        if (!s) return res.status(404).json({ error: 'No encontrado' });
+        const result = await findStudentForStaff(req.staffProfile, getStudentId(req));
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        req.student = result.student;
+        next();
+    } catch (err) {
+        console.error("Policy Error:", err.message);
+        res.status(500).json({ error: 'Error verificando permisos' });
+    }
+};
 
-        const p1 = s.telefono1 ? s.telefono1.replace(/\D/g, '') : null;
-        const p2 = s.telefono2 ? s.telefono2.replace(/\D/g, '') : null;
-        let chatHistory = [];
-        
-        // --- LÓGICA DE CHAT CORREGIDA ---
-        if (p1 || p2) {
-            let orQuery = [];
-            // Filtramos solo si tienen longitud razonable para evitar coincidencias falsas
-            if (p1 && p1.length > 6) orQuery.push(`session_id.ilike.%${p1}%`);
-            if (p2 && p2.length > 6) orQuery.push(`session_id.ilike.%${p2}%`);
-            
-            if (orQuery.length > 0) {
-                const { data: chats } = await supabase
-                    .from('n8n_chat_histories')
-                    .select('*')
-                    .or(orQuery.join(','))
-                    .order('id', { ascending: true });
-                
-                chatHistory = (chats || []).map(c => {
-                    let role = 'assistant'; // Por defecto es la IA
-                    
-                    // INTENTO DE DETECTAR EL ROL
-                    // A veces el mensaje es un string JSON que contiene el rol
-                    try {
-                        let msgToCheck = c.message;
-                        if (typeof msgToCheck === 'string') {
-                            // Verificación rápida en string antes de parsear todo
-                            if (msgToCheck.includes('"type": "human"') || msgToCheck.includes('"role": "user"')) {
-                                role = 'user';
-                            } else {
-                                // Intento de parseo real
-                                const parsed = JSON.parse(msgToCheck);
-                                if (parsed.type === 'human' || parsed.role === 'user') role = 'user';
-                            }
-                        } else if (typeof msgToCheck === 'object') {
-                            if (msgToCheck.type === 'human' || msgToCheck.role === 'user') role = 'user';
-                        }
-                    } catch (e) {
-                        // Si falla el parseo, asumimos assistant o chequeamos prefijo manual
-                        if (String(c.message).includes("Mensaje de la persona:")) role = 'user';
-                    }
+// Middleware: deja el documento autorizado en req.document.
+// Los documentos sin alumno vinculado solo los ven los roles con alcance a todas las sedes.
+const requireDocumentAccess = (getDocumentId) => async (req, res, next) => {
+    try {
+        const { data: doc, error } = await supabase.from('student_documents').select('*').eq('id', getDocumentId(req)).maybeSingle();
+        if (error) throw error;
+        if (!doc) return res.status(404).json({ error: 'Documento no encontrado' });
 
-                    // LIMPIEZA DEL CONTENIDO
-                    return { 
-                        id: c.id, 
-                        role: role, 
-                        content: cleanN8nMessage(c.message) // Usamos la función robusta
-                    };
-                });
-            }
+        if (!hasAllSedes(req.staffProfile)) {
+            if (!doc.student_id) return res.status(403).json({ error: 'Documento sin alumno asignado' });
+            const result = await findStudentForStaff(req.staffProfile, doc.student_id);
+            if (result.error) return res.status(result.status).json({ error: result.error });
+            req.student = result.student;
         }
-        
-        const { data: docs } = await supabase
-            .from('student_documents')
-            .select('*')
-            .eq('student_id', id)
-            .order('uploaded_at', { ascending: false });
 
-        res.json({ student: s, chatHistory, documents: docs || [] });
-    } catch (err) { 
-        console.error(err);
-        res.status(500).json({ error: 'Error cargando detalle' }); 
+        req.document = doc;
+        next();
+    } catch (err) {
+        console.error("Policy Error:", err.message);
+        res.status(500).json({ error: 'Error verificando permisos' });
     }
-});
+};
 
-app.patch('/api/students/:id', verifyUser, async (req, res) => {
-    const { id } = req.params;
-    const body = req.body;
+// ==========================================
+// 3.2 AUDITORÍA DE ACCIONES DEL STAFF
+// ==========================================
+// Tabla 'audit_log': actor_id, actor_email, actor_sede, action, entity, entity_id,
+// route, diff (jsonb { campo: { before, after } }), created_at.
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+// Solo guarda los campos que cambiaron
+const diffRecords = (before, after) => {
+    const diff = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        const prev = before ? before[key] : undefined;
+        const next = after ? after[key] : undefined;
+        if (after && !(key in after) && before) continue; // update parcial: campo no tocado
+        if (JSON.stringify(prev) !== JSON.stringify(next)) {
+            diff[key] = { before: prev === undefined ? null : prev, after: next === undefined ? null : next };
+        }
+    }
+    return diff;
+};
 
+// Nunca rompe la request: si la auditoría falla, solo se loguea
+async function recordAudit(req, { action, entity, entityId, before = null, after = null }) {
     try {
-        const { error } = await supabase.from('student').update(body).eq('id', id);
+        const actor = req.staffProfile || {};
+        const { error } = await supabase.from('audit_log').insert([{
+            actor_id: actor.id ?? null,
+            actor_email: actor.email || req.user?.email || null,
+            actor_sede: actor.sede || null,
+            action,
+            entity,
+            entity_id: entityId != null ? String(entityId) : null,
+            route: `${req.method} ${req.originalUrl.split('?')[0]}`,
+            diff: action === 'delete' ? diffRecords(before, null) : diffRecords(before, after),
+            created_at: new Date()
+        }]);
         if (error) throw error;
-        res.json({ success: true });
     } catch (err) {
-        console.error("Update Error:", err);
-        res.status(500).json({ error: 'Error actualizando alumno' });
+        console.error("Audit Error:", err.message);
     }
-});
+}
 
 // ==========================================
-// 6. CARRERAS
+// 3.3 ACCESO DE N8N (SECRETO COMPARTIDO)
 // ==========================================
+// Las rutas /api/n8n/* no usan sesión de staff: n8n manda el header 'x-n8n-secret'
+// con el valor de N8N_WEBHOOK_SECRET. Sin secreto configurado las rutas quedan cerradas.
 
-app.get('/api/careers', verifyUser, async (req, res) => {
-    const { data } = await supabase.from('resumen_carreras').select('*').order('CARRERA');
-    res.json(data || []);
-});
+const N8N_WEBHOOK_SECRET = process.env.N8N_WEBHOOK_SECRET || '';
 
-app.post('/api/careers', verifyUser, async (req, res) => {
-    const { rol } = req.staffProfile;
-    if (rol !== 'admin') return res.status(403).json({ error: 'Acceso denegado.' });
+const verifyN8n = (req, res, next) => {
+    if (!N8N_WEBHOOK_SECRET) return res.status(503).json({ error: 'Integración con n8n no configurada' });
+    const provided = Buffer.from(String(req.headers['x-n8n-secret'] || ''));
+    const expected = Buffer.from(N8N_WEBHOOK_SECRET);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({ error: 'Secreto de n8n inválido' });
+    }
+    next();
+};
 
-    try {
-        const newCareer = req.body;
-        delete newCareer.id; 
-        delete newCareer.created_at;
-        const { data, error } = await supabase.from('resumen_carreras').insert([newCareer]).select();
+// ==========================================
+// 4. RUTAS DE AUTENTICACIÓN
+// ==========================================
+// Alta de cuentas: toda cuenta nueva (registro, Google o invitación aceptada) pasa por
+// provisionStaffProfile. Si hay una invitación vigente para el email recibe el rol y la
+// sede elegidos por el admin; los emails de BOOTSTRAP_ADMIN_EMAILS (lista separada por
+// comas) entran como admin; el resto queda pendiente de aprobación.
+
+const BOOTSTRAP_ADMIN_EMAILS = new Set(String(process.env.BOOTSTRAP_ADMIN_EMAILS || '')
+    .split(',').map(e => e.trim().toLowerCase()).filter(Boolean));
+const BOOTSTRAP_ADMIN_SEDE = process.env.BOOTSTRAP_ADMIN_SEDE || 'CATAMARCA';
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+const isBootstrapAdmin = (email) => BOOTSTRAP_ADMIN_EMAILS.has(normalizeEmail(email));
+
+async function findPendingInvitation(email) {
+    const { data, error } = await supabase.from('staff_invitations')
+        .select('*')
+        .eq('email', normalizeEmail(email))
+        .is('accepted_at', null)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at', { ascending: false })
+        .limit(1);
+    if (error) throw error;
+    return (data || [])[0] || null;
+}
+
+// Crea o completa el perfil. Nunca reactiva una cuenta desactivada por un admin.
+async function provisionStaffProfile({ email, nombre, sede = null, masterUserId }) {
+    const { data: existing, error } = await supabase.from('perfil_staff').select('*').eq('email', email).maybeSingle();
+    if (error) throw error;
+    if (staffStatusOf(existing) === 'deactivated') return existing;
+
+    let grant = null;
+    let invitation = null;
+    if (isBootstrapAdmin(email)) {
+        if (existing?.rol !== 'admin') grant = { rol: 'admin', sede: existing?.sede || BOOTSTRAP_ADMIN_SEDE };
+    } else if (!existing?.rol) {
+        invitation = await findPendingInvitation(email);
+        if (invitation) grant = { rol: invitation.rol, sede: invitation.sede, sedes: invitation.sedes || [] };
+    }
+    const approval = grant ? { status: 'active', approved_at: new Date(), approved_by: invitation?.invited_by ?? null } : {};
+
+    let profile = existing;
+    if (!existing) {
+        const { data, error: insertError } = await supabase.from('perfil_staff').insert([{
+            email,
+            nombre: invitation?.nombre || nombre || email.split('@')[0],
+            rol: null,
+            sede,
+            status: 'pending',
+            master_user_id: masterUserId,
+            ...grant,
+            ...approval
+        }]).select().single();
+        if (insertError) throw insertError;
+        profile = data;
+    } else if (grant) {
+        const { data, error: updateError } = await supabase.from('perfil_staff')
+            .update({ ...grant, ...approval, master_user_id: existing.master_user_id || masterUserId })
+            .eq('id', existing.id).select().single();
+        if (updateError) throw updateError;
+        profile = data;
+    }
+
+    if (profile !== existing) invalidateStaffProfile(email);
+
+    if (invitation) {
+        const { error: acceptError } = await supabase.from('staff_invitations')
+            .update({ accepted_at: new Date(), staff_id: profile.id }).eq('id', invitation.id);
+        if (acceptError) throw acceptError;
+        console.log(`✅ Invitación aceptada: ${email} (${invitation.rol})`);
+    }
+    return profile;
+}
+
+const INACTIVE_ACCOUNT_ERRORS = {
+    pending: 'Cuenta en espera de aprobación.',
+    deactivated: 'Cuenta desactivada. Contacte a un administrador.'
+};
+
+// --- Freno de fuerza bruta en el login ---
+// Ventana fija de LOGIN_WINDOW_SECONDS: se cuentan los intentos fallidos por IP y por
+// cuenta; al llegar al máximo se responde 429 con Retry-After hasta que vence la ventana.
+// En memoria: con varias réplicas cada una lleva su cuenta.
+const LOGIN_WINDOW_SECONDS = Number(process.env.LOGIN_WINDOW_SECONDS) || 15 * 60;
+const LOGIN_MAX_PER_IP = Number(process.env.LOGIN_MAX_PER_IP) || 20;
+const LOGIN_MAX_PER_ACCOUNT = Number(process.env.LOGIN_MAX_PER_ACCOUNT) || 5;
+const loginFailures = new NodeCache({ checkperiod: 60, useClones: false });
+
+const loginThrottleKeys = (req, email) => [
+    { key: `ip:${req.ip}`, max: LOGIN_MAX_PER_IP },
+    { key: `account:${normalizeEmail(email)}`, max: LOGIN_MAX_PER_ACCOUNT }
+];
+
+// Segundos hasta poder reintentar (0 = puede intentar)
+const loginRetryAfter = (keys) => Math.max(0, ...keys.map(({ key, max }) => {
+    const entry = loginFailures.get(key);
+    return entry && entry.count >= max ? Math.ceil((entry.resetAt - Date.now()) / 1000) : 0;
+}));
+
+function registerLoginFailure(keys) {
+    for (const { key } of keys) {
+        const entry = loginFailures.get(key);
+        if (entry) entry.count++;
+        else loginFailures.set(key, { count: 1, resetAt: Date.now() + LOGIN_WINDOW_SECONDS * 1000 }, LOGIN_WINDOW_SECONDS);
+    }
+}
+
+// Respuesta común de login y refresh
+const sessionResponse = (session, user, profile) => ({
+    success: true,
+    token: session.access_token,
+    refreshToken: session.refresh_token,
+    expiresIn: session.expires_in,
+    expiresAt: session.expires_at ?? null,
+    user: {
+        id: user.id,
+        email: user.email,
+        rol: profile.rol,
+        sede: profile.sede,
+        nombre: profile.nombre
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const throttleKeys = loginThrottleKeys(req, email);
+    const retryAfter = loginRetryAfter(throttleKeys);
+    if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Demasiados intentos fallidos. Intente más tarde.', retryAfter });
+    }
+
+    const { data: authData, error: authError } = await authClient.auth.signInWithPassword({ email, password });
+    if (authError) {
+        registerLoginFailure(throttleKeys);
+        return res.status(401).json({ error: 'Credenciales inválidas' });
+    }
+    loginFailures.del(throttleKeys[1].key);
+
+    // Quien entra por primera vez desde el link de invitación todavía no tiene perfil
+    const profile = await provisionStaffProfile({ email, masterUserId: authData.user.id });
+
+    const status = staffStatusOf(profile);
+    if (status !== 'active') return res.status(403).json({ error: INACTIVE_ACCOUNT_ERRORS[status] });
+
+    res.json(sessionResponse(authData.session, authData.user, profile));
+  } catch (err) { res.status(500).json({ error: 'Error interno' }); }
+});
+
+// 🔄 Canjea el refresh token por una sesión nueva (el refresh token usado queda inválido)
+app.post('/api/auth/refresh', async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        return sendValidationError(res, [{ field: 'refreshToken', message: 'Obligatorio' }]);
+    }
+
+    try {
+        const { data, error } = await authClient.auth.refreshSession({ refresh_token: refreshToken });
+        if (error || !data?.session) return res.status(401).json({ error: 'Sesión expirada. Inicie sesión nuevamente.' });
+
+        const profile = await getStaffProfile(data.user.email);
+        const status = staffStatusOf(profile) || 'pending';
+        if (status !== 'active') return res.status(403).json({ error: INACTIVE_ACCOUNT_ERRORS[status] });
+
+        res.json(sessionResponse(data.session, data.user, profile));
+    } catch (err) {
+        console.error("Refresh Error:", err);
+        res.status(500).json({ error: 'Error renovando la sesión' });
+    }
+});
+
+// 🚪 Revoca la sesión actual (o todas las del usuario con allDevices: true)
+app.post('/api/auth/logout', verifyUser, async (req, res) => {
+    const scope = req.body?.allDevices === true ? 'global' : 'local';
+    try {
+        const { error } = await supabase.auth.admin.signOut(req.accessToken, scope);
+        if (error) throw error;
+        forgetSessionToken(req.accessToken);
+        res.json({ success: true, scope });
+    } catch (err) {
+        console.error("Logout Error:", err);
+        res.status(500).json({ error: 'Error cerrando la sesión' });
+    }
+});
+
+// 👤 Perfil y permisos efectivos de quien llama (para armar la UI)
+app.get('/api/auth/me', verifyUser, (req, res) => {
+    const { access, ...profile } = req.staffProfile;
+    const matrix = Object.fromEntries(Object.entries(PERMISSION_CATALOG).map(([resource, actions]) =>
+        [resource, Object.fromEntries(actions.map(action => [action, access.permissions.includes(`${resource}:${action}`)]))]));
+    res.json({
+        user: { id: req.user.id, email: req.user.email, nombre: profile.nombre, rol: profile.rol, sede: profile.sede },
+        role: { name: access.role, label: access.label, scope: access.scope },
+        sedes: access.sedes,
+        permissions: access.permissions,
+        matrix
+    });
+});
+
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { email, password, nombre, sede } = req.body;
+    const { data: authData, error: authError } = await authClient.auth.signUp({ email, password });
+    if (authError) return res.status(400).json({ error: authError.message });
+
+    const profile = await provisionStaffProfile({ email, nombre, sede, masterUserId: authData.user.id });
+    const active = staffStatusOf(profile) === 'active';
+
+    res.status(201).json({ success: true, message: active ? 'Usuario registrado.' : 'Usuario registrado. Espera aprobación.' });
+  } catch (err) { res.status(500).json({ error: 'Error registro' }); }
+});
+
+// --- Identidad verificada para Google ---
+// google-sync ya no confía en el email/uuid del body. Acepta:
+//  - body.idToken: ID token de Google, verificado contra GOOGLE_CLIENT_IDS (separados por coma)
+//  - Authorization: Bearer <access token de Supabase> de la sesión OAuth del frontend
+const GOOGLE_CLIENT_IDS = String(process.env.GOOGLE_CLIENT_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+const googleIdClient = new google.auth.OAuth2();
+
+async function verifyGoogleIdentity(req) {
+    if (req.body?.idToken) {
+        if (GOOGLE_CLIENT_IDS.length === 0) return { status: 503, error: 'Login con Google no configurado (GOOGLE_CLIENT_IDS)' };
+        try {
+            const ticket = await googleIdClient.verifyIdToken({ idToken: String(req.body.idToken), audience: GOOGLE_CLIENT_IDS });
+            const payload = ticket.getPayload();
+            if (!payload?.email || payload.email_verified !== true) return { status: 401, error: 'El email de Google no está verificado' };
+            return { email: payload.email, uuid: null };
+        } catch (err) {
+            console.error("[AUTH] ID token de Google rechazado:", err.message);
+            return { status: 401, error: 'ID token de Google inválido' };
+        }
+    }
+
+    const token = req.headers['authorization']?.split(' ')[1];
+    if (!token) return { status: 401, error: 'Se requiere un ID token de Google o la sesión de Supabase' };
+    const user = await getSessionUser(token);
+    if (!user?.email) return { status: 401, error: 'Sesión de Supabase inválida' };
+    if (!user.email_confirmed_at) return { status: 401, error: 'El email no está verificado' };
+    return { email: user.email, uuid: user.id };
+}
+
+// ✅ RUTA GOOGLE SYNC (CORREGIDA)
+app.post('/api/auth/google-sync', async (req, res) => {
+    try {
+        const identity = await verifyGoogleIdentity(req);
+        if (identity.error) return res.status(identity.status).json({ error: identity.error });
+        const { email, uuid } = identity;
+        console.log(`[AUTH] Intento de login Google: ${email}`);
+
+        const profile = await provisionStaffProfile({ email, masterUserId: uuid });
+
+        const status = staffStatusOf(profile);
+        if (status !== 'active') {
+             return res.status(403).json({ error: INACTIVE_ACCOUNT_ERRORS[status] });
+        }
+
+        res.json({ 
+            success: true, 
+            user: { 
+                id: uuid || profile.master_user_id, 
+                email, 
+                rol: profile.rol, 
+                sede: profile.sede, 
+                nombre: profile.nombre 
+            } 
+        });
+    } catch (err) { 
+        console.error("[AUTH ERROR]", err);
+        res.status(500).json({ error: "Error de sincronización con el servidor." }); 
+    }
+});
+
+// ==========================================
+// 5. GESTIÓN ALUMNOS
+// ==========================================
+
+// Pipeline de admisión y ánimo (los escribe el staff o el clasificador IA)
+const STUDENT_STATUSES = ['Sólo preguntó', 'Interesado', 'Pidió requisitos', 'Documentación en curso', 'Inscripto', 'No interesado'];
+const STUDENT_MOODS = ['Positivo', 'Neutro', 'Negativo', 'Frustrado'];
+
+// --- ESQUEMA DE LA TABLA 'student' ---
+// Lista blanca de columnas editables desde la API. Lo que no está aquí no se escribe.
+// writableBy: { create, update } limita por rol; si falta, todos los roles pueden.
+const STUDENT_SCHEMA = {
+    'full_name':           { type: 'string', required: true, maxLength: 150 },
+    'numero Identificacion': { type: 'dni' },
+    'legdef':              { type: 'string', maxLength: 30, writableBy: { update: ['admin'] } },
+    'telefono1':           { type: 'phone' },
+    'telefono2':           { type: 'phone' },
+    'codPuntoKennedy':     { type: 'string', maxLength: 60, writableBy: { update: ['admin'] } },
+    'nombrePrograma':      { type: 'string', maxLength: 200 },
+    'status':              { type: 'enum', values: STUDENT_STATUSES },
+    'mood':                { type: 'enum', values: STUDENT_MOODS },
+    'bot active':          { type: 'boolean' },
+    'solicita secretaria': { type: 'boolean' },
+};
+
+// Columnas de sistema: se ignoran si vienen en el body (el frontend reenvía el objeto completo)
+const STUDENT_READONLY = ['id', 'created_at', 'bot_paused_until', 'bot_paused_by', 'ai_summary', 'classified_at'];
+
+const normalizeDni = (value) => String(value).replace(/[\s.\-]/g, '');
+
+// Convierte y valida un valor según la regla; devuelve { value } o { error }
+function coerceField(rule, value) {
+    if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
+        return rule.required ? { error: 'Campo obligatorio' } : { value: null };
+    }
+
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string' && typeof value !== 'number') return { error: 'Debe ser texto' };
+            const str = String(value).trim();
+            if (rule.maxLength && str.length > rule.maxLength) return { error: `Máximo ${rule.maxLength} caracteres` };
+            return { value: str };
+        }
+        case 'boolean': {
+            if (value === true || value === 'true') return { value: true };
+            if (value === false || value === 'false') return { value: false };
+            return { error: 'Debe ser verdadero o falso' };
+        }
+        case 'enum': {
+            if (!rule.values.includes(value)) return { error: `Valor no válido. Use: ${rule.values.join(', ')}` };
+            return { value };
+        }
+        case 'dni': {
+            const dni = normalizeDni(value);
+            if (!/^\d{7,8}$/.test(dni)) return { error: 'DNI inválido (7 u 8 dígitos)' };
+            return { value: dni };
+        }
+        case 'phone': {
+            const phone = normalizePhone(value);
+            if (!phone) return { error: 'Teléfono inválido' };
+            return { value: phone };
+        }
+        case 'scalar': {
+            if (typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value))) return { value };
+            if (typeof value !== 'string') return { error: 'Debe ser texto, número o verdadero/falso' };
+            const str = value.trim();
+            if (rule.maxLength && str.length > rule.maxLength) return { error: `Máximo ${rule.maxLength} caracteres` };
+            return { value: str };
+        }
+        default:
+            return { error: 'Tipo no soportado' };
+    }
+}
+
+// mode: 'create' | 'update'. Devuelve { value, errors } con un error por campo.
+function validateStudent(body, { mode, rol }) {
+    const errors = [];
+    const value = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { value, errors: [{ field: null, message: 'El cuerpo debe ser un objeto' }] };
+    }
+
+    for (const field of Object.keys(body)) {
+        if (STUDENT_READONLY.includes(field)) continue;
+        const rule = STUDENT_SCHEMA[field];
+        if (!rule) {
+            errors.push({ field, message: 'Campo no permitido' });
+            continue;
+        }
+        const allowedRoles = rule.writableBy?.[mode];
+        if (allowedRoles && !allowedRoles.includes(rol)) {
+            errors.push({ field, message: 'Tu rol no puede modificar este campo' });
+            continue;
+        }
+        const result = coerceField(rule, body[field]);
+        if (result.error) errors.push({ field, message: result.error });
+        else value[field] = result.value;
+    }
+
+    if (mode === 'create') {
+        for (const [field, rule] of Object.entries(STUDENT_SCHEMA)) {
+            if (rule.required && !(field in body)) errors.push({ field, message: 'Campo obligatorio' });
+        }
+    } else if (Object.keys(value).length === 0 && errors.length === 0) {
+        errors.push({ field: null, message: 'No hay campos para actualizar' });
+    }
+
+    return { value, errors };
+}
+
+const sendValidationError = (res, errors) => res.status(400).json({ error: 'Datos inválidos', fields: errors });
+
+app.post('/api/students', verifyUser, requirePermission('students', 'write'), requireSede, async (req, res) => {
+    const { rol } = req.staffProfile;
+
+    try {
+        const { value: newStudent, errors } = validateStudent(req.body, { mode: 'create', rol });
+        if (errors.length > 0) return sendValidationError(res, errors);
+
+        // Solo se dan de alta alumnos en sedes propias
+        if (!hasAllSedes(req.staffProfile)) {
+            const target = resolveTargetSede(req.staffProfile, newStudent.codPuntoKennedy);
+            if (target.error) return res.status(403).json({ error: 'No puedes crear alumnos en otra sede' });
+            newStudent.codPuntoKennedy = target.sede;
+        }
+        
+        const { data, error } = await supabase.from('student').insert([newStudent]).select();
+        if (error) throw error;
+        await recordAudit(req, { action: 'create', entity: 'student', entityId: data?.[0]?.id, after: newStudent });
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error("Create Student Error:", err);
+        res.status(500).json({ error: 'Error creando alumno' });
+    }
+});
+
+const STUDENT_SEARCH_COLUMNS = ['full_name', 'numero Identificacion', 'legdef', 'telefono1', 'telefono2'];
+
+// Filtros del listado (query string) y de los segmentos de campañas (JSON):
+// sede, career, status (uno o varios, separados por coma), solicitaSecretaria, search, incomplete.
+function parseStudentFilters(source) {
+    const input = source || {};
+    const value = {};
+    const errors = [];
+    const text = (v) => (typeof v === 'string' ? v.trim() : '');
+    const flag = (v) => (v === true || v === 'true' ? true : v === false || v === 'false' ? false : undefined);
+
+    if (text(input.sede)) value.sede = text(input.sede);
+    if (text(input.career)) value.career = text(input.career);
+    if (input.status !== undefined && input.status !== '') {
+        const statuses = (Array.isArray(input.status) ? input.status : String(input.status).split(','))
+            .map(v => String(v).trim()).filter(Boolean);
+        const invalid = statuses.filter(v => !STUDENT_STATUSES.includes(v));
+        if (invalid.length > 0) errors.push({ field: 'status', message: `Estados inválidos: ${invalid.join(', ')}` });
+        else if (statuses.length > 0) value.status = statuses;
+    }
+    if (input.solicitaSecretaria !== undefined && input.solicitaSecretaria !== '') {
+        const solicita = flag(input.solicitaSecretaria);
+        if (solicita === undefined) errors.push({ field: 'solicitaSecretaria', message: 'Debe ser true o false' });
+        else value.solicitaSecretaria = solicita;
+    }
+    const search = normalizeSearchTerm(input.search);
+    if (search) value.search = search;
+    if (flag(input.incomplete) === true) value.incomplete = true;
+    return { value, errors };
+}
+
+// Resuelve 'incomplete' a ids (es asíncrono); null si no puede haber resultados
+async function resolveStudentFilters(filters, profile) {
+    if (!filters.incomplete) return filters;
+    const { students } = await findIncompleteStudents(profile, { sede: filters.sede });
+    if (students.length === 0) return null;
+    return { ...filters, ids: students.map(s => s.id) };
+}
+
+// Aplica alcance por sede + filtros ya resueltos. 'ids' no debe pasar de ID_CHUNK
+// (la lista viaja en la URL): con más, usar fetchFilteredStudents.
+const applyStudentFilters = (query, filters, profile) => {
+    let scoped = scopeStudentQuery(query, profile);
+    if (filters.sede) scoped = scoped.eq('codPuntoKennedy', filters.sede);
+    if (filters.career) scoped = scoped.ilike('nombrePrograma', escapeLikePattern(filters.career));
+    if (filters.status) scoped = scoped.in('status', filters.status);
+    if (filters.solicitaSecretaria !== undefined) scoped = scoped.eq('solicita secretaria', filters.solicitaSecretaria);
+    if (filters.ids) scoped = scoped.in('id', filters.ids);
+    if (filters.search) scoped = scoped.or(ilikeAnyFilter(STUDENT_SEARCH_COLUMNS, filters.search));
+    return scoped;
+};
+
+// Todos los alumnos que cumplen los filtros; los ids de 'incomplete' se consultan en lotes
+async function fetchFilteredStudents(columns, filters, profile) {
+    if (!filters.ids) return fetchAllRows('student', columns, q => applyStudentFilters(q, filters, profile));
+    const students = [];
+    for (const ids of chunk(filters.ids, ID_CHUNK)) {
+        students.push(...await fetchAllRows('student', columns, q => applyStudentFilters(q, { ...filters, ids }, profile)));
+    }
+    return students;
+}
+
+// Orden del listado en memoria, igual al de la consulta: desc con nulls primero (Postgres)
+const compareDescNullsFirst = (a, b) => {
+    if (a === b) return 0;
+    if (a == null) return -1;
+    if (b == null) return 1;
+    return a < b ? 1 : -1;
+};
+const compareStudentList = (a, b) => compareDescNullsFirst(a['solicita secretaria'], b['solicita secretaria'])
+    || compareDescNullsFirst(a.created_at, b.created_at);
+
+// Forma que usa el listado del frontend
+const mapStudentSummary = (s) => ({
+  id: s.id,
+  full_name: s.full_name,
+  dni: s['numero Identificacion'],
+  legajo: s.legdef,
+  contact_phone: s.telefono1 || s.telefono2,
+  location: s['codPuntoKennedy'],
+  career_name: s['nombrePrograma'],
+  bot_active: s['bot active'], 
+  solicita_secretaria: s['solicita secretaria'],
+  status: s.status || 'Sólo preguntó',
+  mood: s.mood || 'Neutro',
+  summary: s.ai_summary || null,
+  last_interaction: s.created_at
+});
+
+app.get('/api/students', verifyUser, requirePermission('students', 'read'), requireSede, async (req, res) => {
+  try {
+    const { page = 1 } = req.query;
+    const { rol, sede } = req.staffProfile;
+    const limit = 50; 
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    // 🔍 Filtros: ?sede=&career=&status=&solicitaSecretaria=&search=&incomplete=true
+    const { value: parsed, errors } = parseStudentFilters(req.query);
+    if (errors.length > 0) return sendValidationError(res, errors);
+    const filters = await resolveStudentFilters(parsed, req.staffProfile);
+    if (!filters) return res.json({ data: [], total: 0, userRole: rol, userSede: sede });
+
+    // Con 'incomplete' los ids no entran en una sola URL: se traen en lotes y se pagina en memoria
+    if (filters.ids) {
+        const students = (await fetchFilteredStudents('*', filters, req.staffProfile)).sort(compareStudentList);
+        return res.json({ data: students.slice(from, to + 1).map(mapStudentSummary), total: students.length, userRole: rol, userSede: sede });
+    }
+
+    // Filtrado de Seguridad + filtros
+    let query = applyStudentFilters(supabase.from('student').select('*', { count: 'exact' }), filters, req.staffProfile);
+
+    query = query.order('solicita secretaria', { ascending: false })
+                 .order('created_at', { ascending: false })
+                 .range(from, to);
+
+    const { data, count, error } = await query;
+    if (error) throw error;
+
+    const mappedData = (data || []).map(mapStudentSummary);
+
+    res.json({ data: mappedData, total: count || 0, userRole: rol, userSede: sede });
+  } catch (err) { res.status(500).json({ error: 'Error buscando alumnos' }); }
+});
+
+// --- IMPORTACIÓN / EXPORTACIÓN (CSV / XLSX) ---
+// Import: POST /api/students/import (multipart 'file', opcional 'mapping' JSON
+// { "Columna del archivo": "columna_student" }, 'dryRun', 'mode' = 'upsert' | 'insert').
+// Se deduplica por DNI, legdef y teléfonos normalizados contra la base y dentro del
+// archivo. Una fila que coincide con un alumno se actualiza solo con las celdas no
+// vacías que cambian; si coincide con varios, es conflicto y no se toca.
+// Export: GET /api/students/export?format=csv|xlsx + los mismos filtros del listado.
+
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_COLUMN_ALIASES = {
+    'full_name': ['full_name', 'nombre', 'nombre completo', 'apellido y nombre', 'alumno'],
+    'numero Identificacion': ['numero identificacion', 'dni', 'documento', 'nro documento'],
+    'legdef': ['legdef', 'legajo'],
+    'telefono1': ['telefono1', 'telefono', 'celular', 'whatsapp'],
+    'telefono2': ['telefono2', 'telefono alternativo', 'otro telefono'],
+    'codPuntoKennedy': ['codpuntokennedy', 'sede'],
+    'nombrePrograma': ['nombreprograma', 'carrera', 'programa'],
+    'status': ['status', 'estado'],
+    'mood': ['mood', 'animo'],
+    'bot active': ['bot active', 'bot'],
+    'solicita secretaria': ['solicita secretaria']
+};
+const EXPORT_COLUMNS = [...Object.keys(IMPORT_COLUMN_ALIASES), 'created_at'];
+
+const headerKey = (value) => normalizeLabel(value).replace(/[^a-z0-9 _]/g, '').replace(/\s+/g, ' ').trim();
+
+const IMPORT_HEADER_INDEX = new Map(Object.entries(IMPORT_COLUMN_ALIASES)
+    .flatMap(([column, aliases]) => aliases.map(alias => [headerKey(alias), column])));
+
+// Valor de celda de ExcelJS a texto plano
+const cellText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().substring(0, 10);
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return String(value.text);
+        if (value.result !== undefined) return cellText(value.result);
+        return '';
+    }
+    return String(value).trim();
+};
+
+// Devuelve las filas como arrays de texto (la primera es el encabezado)
+async function readSpreadsheet(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    if (buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4B, 0x03, 0x04]))) {
+        await workbook.xlsx.load(buffer);
+        worksheet = workbook.worksheets[0];
+    } else {
+        const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        // Excel en español exporta con ';'
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+        worksheet = await workbook.csv.read(stream.Readable.from([text]), { parserOptions: { delimiter }, map: (v) => v });
+    }
+    if (!worksheet) return [];
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+        const values = Array.isArray(row.values) ? row.values.slice(1) : [];
+        rows.push({ rowNumber, cells: values.map(cellText) });
+    });
+    return rows;
+}
+
+// Encabezados -> columnas de 'student' (alias conocidos + mapping explícito)
+function mapImportHeaders(headers, mapping) {
+    const explicit = new Map(Object.entries(mapping || {}).map(([header, column]) => [headerKey(header), column]));
+    const errors = [];
+    const columns = headers.map(header => {
+        const key = headerKey(header);
+        const column = explicit.has(key) ? explicit.get(key) : IMPORT_HEADER_INDEX.get(key);
+        if (column && !STUDENT_SCHEMA[column]) errors.push({ field: header, message: `Columna destino desconocida: ${column}` });
+        return column && STUDENT_SCHEMA[column] ? column : null;
+    });
+    const mapped = columns.filter(Boolean);
+    const repeated = mapped.filter((c, i) => mapped.indexOf(c) !== i);
+    if (repeated.length > 0) errors.push({ field: null, message: `Columnas repetidas: ${[...new Set(repeated)].join(', ')}` });
+    if (!mapped.includes('full_name')) errors.push({ field: 'full_name', message: 'El archivo necesita una columna de nombre' });
+    return { columns, errors };
+}
+
+const studentDedupeKeys = (s) => [
+    s['numero Identificacion'] ? `dni:${normalizeDni(s['numero Identificacion'])}` : null,
+    s.legdef ? `legdef:${String(s.legdef).trim().toLowerCase()}` : null,
+    ...[s.telefono1, s.telefono2].map(normalizePhone).filter(Boolean).map(p => `tel:${p}`)
+].filter(Boolean);
+
+const IMPORT_STUDENT_COLUMNS = 'id, full_name, "numero Identificacion", legdef, telefono1, telefono2, codPuntoKennedy, nombrePrograma, status, mood, "bot active", "solicita secretaria"';
+
+// Solo los alumnos que comparten DNI, legajo o teléfono con alguna fila del archivo. Se
+// busca el valor tal cual vino y normalizado, porque las filas viejas pueden tener cualquiera.
+async function fetchImportCandidates(entries) {
+    const dnis = new Set();
+    const legdefs = new Set();
+    const phones = new Set();
+    for (const student of entries.flatMap(e => [e.body, e.coerced])) {
+        const dni = student['numero Identificacion'];
+        if (dni) [String(dni).trim(), normalizeDni(dni)].forEach(v => dnis.add(v));
+        if (student.legdef) {
+            const legdef = String(student.legdef).trim();
+            [legdef, legdef.toLowerCase(), legdef.toUpperCase()].forEach(v => legdefs.add(v));
+        }
+        for (const phone of [student.telefono1, student.telefono2].filter(Boolean)) {
+            [String(phone).trim(), normalizePhone(phone)].filter(Boolean).forEach(v => phones.add(v));
+        }
+    }
+
+    const byId = new Map();
+    const lookups = [['numero Identificacion', dnis], ['legdef', legdefs], ['telefono1', phones], ['telefono2', phones]];
+    for (const [column, values] of lookups) {
+        for (const part of chunk([...values], ID_CHUNK)) {
+            const { data, error } = await supabase.from('student').select(IMPORT_STUDENT_COLUMNS).in(column, part);
+            if (error) throw error;
+            (data || []).forEach(student => byId.set(student.id, student));
+        }
+    }
+    return [...byId.values()];
+}
+
+// Arma el plan sin escribir nada: [{ row, action, studentId?, value?, reason?, fields? }]
+// Nunca devuelve ids de alumnos de sedes a las que el usuario no tiene acceso.
+async function planStudentImport(rows, columns, profile, { mode }) {
+    const entries = [];
+    for (const { rowNumber, cells } of rows) {
+        const body = {};
+        columns.forEach((column, i) => { if (column && cells[i] !== undefined && cells[i] !== '') body[column] = cells[i]; });
+        if (Object.keys(body).length === 0) continue;
+        // Solo para normalizar valores y armar las claves
+        const { value: coerced, errors: coerceErrors } = validateStudent(body, { mode: 'update', rol: 'admin' });
+        entries.push({ rowNumber, body, coerced, coerceErrors });
+    }
+
+    const existing = await fetchImportCandidates(entries.filter(e => e.coerceErrors.length === 0));
+    const index = new Map();
+    const byId = new Map(existing.map(s => [s.id, s]));
+    for (const student of existing) {
+        for (const key of studentDedupeKeys(student)) {
+            if (!index.has(key)) index.set(key, new Set());
+            index.get(key).add(student.id);
+        }
+    }
+    const visibleId = (id) => (canAccessSede(profile, byId.get(id).codPuntoKennedy) ? id : undefined);
+
+    const seenInFile = new Map();
+    const plan = [];
+    for (const { rowNumber, body, coerced, coerceErrors } of entries) {
+        if (coerceErrors.length > 0) { plan.push({ row: rowNumber, action: 'error', fields: coerceErrors }); continue; }
+
+        const keys = studentDedupeKeys(coerced);
+        const duplicateOf = keys.map(k => seenInFile.get(k)).find(Boolean);
+        if (duplicateOf) { plan.push({ row: rowNumber, action: 'conflict', reason: `Duplicado de la fila ${duplicateOf} del archivo` }); continue; }
+        keys.forEach(k => seenInFile.set(k, rowNumber));
+
+        const matches = [...new Set(keys.flatMap(k => [...(index.get(k) || [])]))];
+        if (matches.length > 1) { plan.push({ row: rowNumber, action: 'conflict', reason: 'Coincide con varios alumnos', studentIds: matches.filter(visibleId) }); continue; }
+
+        if (matches.length === 0) {
+            const { value, errors } = validateStudent(body, { mode: 'create', rol: profile.rol });
+            if (errors.length > 0) { plan.push({ row: rowNumber, action: 'error', fields: errors }); continue; }
+            if (!hasAllSedes(profile)) {
+                const target = resolveTargetSede(profile, value.codPuntoKennedy);
+                if (target.error) {
+                    plan.push({ row: rowNumber, action: 'error', fields: [{ field: 'codPuntoKennedy', message: value.codPuntoKennedy ? 'No puedes crear alumnos en otra sede' : target.error }] });
+                    continue;
+                }
+                value.codPuntoKennedy = target.sede;
+            }
+            plan.push({ row: rowNumber, action: 'insert', value });
+            continue;
+        }
+
+        const current = byId.get(matches[0]);
+        if (mode === 'insert') { plan.push({ row: rowNumber, action: 'skipped', reason: 'Ya existe', studentId: visibleId(current.id) }); continue; }
+        if (!canAccessSede(profile, current.codPuntoKennedy)) {
+            plan.push({ row: rowNumber, action: 'conflict', reason: 'El alumno existe en otra sede' });
+            continue;
+        }
+        const changes = {};
+        for (const [field, val] of Object.entries(coerced)) {
+            const before = field === 'numero Identificacion' && current[field] ? normalizeDni(current[field])
+                : (field === 'telefono1' || field === 'telefono2') ? normalizePhone(current[field]) : current[field];
+            if (JSON.stringify(before ?? null) !== JSON.stringify(val)) changes[field] = body[field];
+        }
+        if (Object.keys(changes).length === 0) { plan.push({ row: rowNumber, action: 'unchanged', studentId: current.id }); continue; }
+        const { value, errors } = validateStudent(changes, { mode: 'update', rol: profile.rol });
+        if (errors.length > 0) { plan.push({ row: rowNumber, action: 'error', studentId: current.id, fields: errors }); continue; }
+        plan.push({ row: rowNumber, action: 'update', studentId: current.id, value, before: current });
+    }
+    return plan;
+}
+
+// 📥 IMPORTAR ALUMNOS
+app.post('/api/students/import', verifyUser, requirePermission('students', 'import'), requireSede, uploadSingle('file'), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'Falta archivo' });
+
+    try {
+        const dryRun = req.body.dryRun === 'true' || req.query.dryRun === 'true';
+        const mode = (req.body.mode || req.query.mode) === 'insert' ? 'insert' : 'upsert';
+        let mapping = null;
+        if (req.body.mapping) {
+            try { mapping = JSON.parse(req.body.mapping); } catch (e) {
+                return sendValidationError(res, [{ field: 'mapping', message: 'JSON inválido' }]);
+            }
+        }
+
+        let rows;
+        try { rows = await readSpreadsheet(req.file.buffer); } catch (e) {
+            return sendValidationError(res, [{ field: 'file', message: 'No se pudo leer el archivo (CSV o XLSX)' }]);
+        }
+        if (rows.length < 2) return sendValidationError(res, [{ field: 'file', message: 'El archivo no tiene filas' }]);
+        if (rows.length - 1 > IMPORT_MAX_ROWS) return sendValidationError(res, [{ field: 'file', message: `Máximo ${IMPORT_MAX_ROWS} filas por archivo` }]);
+
+        const [header, ...dataRows] = rows;
+        const { columns, errors: headerErrors } = mapImportHeaders(header.cells, mapping);
+        if (headerErrors.length > 0) return sendValidationError(res, headerErrors);
+
+        const plan = await planStudentImport(dataRows, columns, req.staffProfile, { mode });
+
+        if (!dryRun) {
+            for (const item of plan) {
+                try {
+                    if (item.action === 'insert') {
+                        const { data, error } = await supabase.from('student').insert([item.value]).select('id').single();
+                        if (error) throw error;
+                        item.studentId = data.id;
+                        await recordAudit(req, { action: 'create', entity: 'student', entityId: data.id, after: item.value });
+                    } else if (item.action === 'update') {
+                        const { error } = await supabase.from('student').update(item.value).eq('id', item.studentId);
+                        if (error) throw error;
+                        await recordAudit(req, { action: 'update', entity: 'student', entityId: item.studentId, before: item.before, after: item.value });
+                    }
+                } catch (err) {
+                    item.action = 'error';
+                    item.fields = [{ field: null, message: err.message }];
+                }
+            }
+        }
+
+        const summary = { insert: 0, update: 0, unchanged: 0, skipped: 0, conflict: 0, error: 0 };
+        plan.forEach(item => { summary[item.action]++; });
+        res.json({
+            dryRun, mode, columns: header.cells.map((h, i) => ({ header: h, column: columns[i] })),
+            summary,
+            rows: plan.map(({ before, ...item }) => item)
+        });
+    } catch (err) {
+        console.error("Import Error:", err);
+        res.status(500).json({ error: 'Error importando alumnos' });
+    }
+});
+
+// Evita que Excel interprete celdas como fórmulas (=, @, o +/- que no son un teléfono)
+const safeSpreadsheetCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'string') return value;
+    return /^[=@\t\r]/.test(value) || /^[+-](?![\d\s().-]*$)/.test(value) ? `'${value}` : value;
+};
+
+// 📤 EXPORTAR: ?format=csv|xlsx + filtros de GET /api/students
+app.get('/api/students/export', verifyUser, requirePermission('students', 'export'), requireSede, async (req, res) => {
+    try {
+        const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+        const { value: parsed, errors } = parseStudentFilters(req.query);
+        if (errors.length > 0) return sendValidationError(res, errors);
+        const filters = await resolveStudentFilters(parsed, req.staffProfile);
+        const students = filters ? await fetchFilteredStudents('*', filters, req.staffProfile) : [];
+
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Alumnos');
+        sheet.columns = EXPORT_COLUMNS.map(column => ({ header: column, key: column, width: 22 }));
+        students.forEach(s => sheet.addRow(Object.fromEntries(EXPORT_COLUMNS.map(c => [c, safeSpreadsheetCell(s[c])]))));
+
+        const stamp = new Date().toISOString().substring(0, 10);
+        if (format === 'xlsx') {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', contentDisposition(`alumnos_${stamp}.xlsx`));
+            return res.send(Buffer.from(await workbook.xlsx.writeBuffer()));
+        }
+        const csv = await workbook.csv.writeBuffer();
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', contentDisposition(`alumnos_${stamp}.csv`));
+        res.send(Buffer.concat([Buffer.from('\uFEFF'), Buffer.from(csv)])); // BOM para que Excel lea UTF-8
+    } catch (err) {
+        console.error("Export Error:", err);
+        res.status(500).json({ error: 'Error exportando alumnos' });
+    }
+});
+
+// ==========================================
+// 5.1 TIMELINE DE CONVERSACIÓN (BOT + ALUMNO + SECRETARIA)
+// ==========================================
+// Une n8n_chat_histories y Mensaje_de_secretaria en una sola línea de tiempo.
+// Ambas tablas necesitan 'created_at'. Orden: created_at, luego fuente, luego id.
+// El cursor apunta a la entrada más vieja ya entregada; cada página trae las anteriores.
+
+const TIMELINE_PAGE_SIZE = 30;
+const TIMELINE_SOURCE_RANK = { secretaria: 0, bot: 1 };
+
+const encodeTimelineCursor = (entry) =>
+    Buffer.from(JSON.stringify({ t: entry.timestamp, s: entry.source, i: entry.sourceId })).toString('base64url');
+
+const decodeTimelineCursor = (cursor) => {
+    try {
+        const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!parsed.t || !(parsed.s in TIMELINE_SOURCE_RANK) || parsed.i == null) return null;
+        return parsed;
+    } catch (e) { return null; }
+};
+
+// Orden descendente: la entrada más nueva primero
+const compareTimelineDesc = (a, b) => {
+    const ta = Date.parse(a.timestamp) || 0;
+    const tb = Date.parse(b.timestamp) || 0;
+    if (ta !== tb) return tb - ta;
+    if (a.source !== b.source) return TIMELINE_SOURCE_RANK[b.source] - TIMELINE_SOURCE_RANK[a.source];
+    return compareSourceIds(b.sourceId, a.sourceId);
+};
+
+// Ids numéricos por valor; cualquier otro (uuid, texto) como string
+const compareSourceIds = (a, b) => {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+// Keyset de una fuente: lo que va después del cursor en el orden descendente. En el mismo
+// created_at el bot va antes que la secretaría, así que la otra fuente entra completa.
+const timelineKeyset = (query, cursor, source) => {
+    const t = quoteFilterValue(cursor.t);
+    if (cursor.s !== source) {
+        return TIMELINE_SOURCE_RANK[source] < TIMELINE_SOURCE_RANK[cursor.s]
+            ? query.lte('created_at', cursor.t)
+            : query.lt('created_at', cursor.t);
+    }
+    return query.or(`created_at.lt.${t},and(created_at.eq.${t},id.lt.${quoteFilterValue(cursor.i)})`);
+};
+
+const mapBotEntry = (c) => {
+    const role = detectN8nRole(c.message);
+    return {
+        id: `bot:${c.id}`,
+        sourceId: c.id,
+        source: 'bot',
+        role,
+        author: role === 'user' ? 'alumno' : 'bot',
+        content: cleanN8nMessage(c.message),
+        timestamp: c.created_at || null,
+        delivery: 'delivered'
+    };
+};
+
+const mapSecretariaEntry = (m) => {
+    const payload = m['Mensaje de secretaria'];
+    const delivery = m.delivery_status || 'queued';
+    return {
+        id: `secretaria:${m.id}`,
+        sourceId: m.id,
+        source: 'secretaria',
+        role: 'staff',
+        author: (payload && typeof payload === 'object' && payload.agent) || 'secretaria',
+        content: cleanN8nMessage(payload),
+        timestamp: m.created_at || null,
+        delivery,
+        deliveryAttempts: m.attempts || 0,
+        deliveryError: m.last_error || null,
+        deliveryUpdatedAt: ({ sent: m.sent_at, delivered: m.delivered_at, failed: m.failed_at })[delivery] || null
+    };
+};
+
+async function loadTimelinePage(student, { cursor = null, limit = TIMELINE_PAGE_SIZE } = {}) {
+    const sessionIds = await getStudentSessionIds(student);
+    // Los mensajes viejos guardaron el teléfono tal cual lo tipeó el staff
+    const staffPhones = [...new Set([
+        ...studentPhones(student).flatMap(p => [p, phoneToWhatsApp(p)]),
+        student.telefono1, student.telefono2
+    ].filter(Boolean))];
+
+    // Se pide uno extra por fuente para saber si quedan más páginas. Sin sesiones (teléfono
+    // que no se puede normalizar) igual se buscan los mensajes guardados con el teléfono crudo.
+    const fetchSize = limit + 1;
+    const fetchSource = (source, query) => {
+        if (cursor) query = timelineKeyset(query, cursor, source);
+        return query.order('created_at', { ascending: false }).order('id', { ascending: false }).limit(fetchSize);
+    };
+    const [botRes, staffRes] = await Promise.all([
+        sessionIds.length > 0
+            ? fetchSource('bot', supabase.from('n8n_chat_histories').select('*').in('session_id', sessionIds))
+            : { data: [] },
+        staffPhones.length > 0
+            ? fetchSource('secretaria', supabase.from('Mensaje_de_secretaria').select('*').in('Telefono_EST', staffPhones))
+            : { data: [] }
+    ]);
+    if (botRes.error) throw botRes.error;
+    if (staffRes.error) throw staffRes.error;
+
+    const merged = [
+        ...(botRes.data || []).map(mapBotEntry),
+        ...(staffRes.data || []).map(mapSecretariaEntry)
+    ].sort(compareTimelineDesc);
+
+    const page = merged.slice(0, limit);
+    const hasMore = merged.length > limit
+        || (botRes.data || []).length === fetchSize
+        || (staffRes.data || []).length === fetchSize;
+
+    return {
+        items: page.reverse(), // cronológico para el frontend
+        nextCursor: hasMore && page.length > 0 ? encodeTimelineCursor(page[0]) : null
+    };
+}
+
+// 💬 TIMELINE PAGINADO: ?cursor=<nextCursor>&limit=
+app.get('/api/students/:id/timeline', verifyUser, requirePermission('messages', 'read'), requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || TIMELINE_PAGE_SIZE, 1), 100);
+        let cursor = null;
+        if (req.query.cursor) {
+            cursor = decodeTimelineCursor(req.query.cursor);
+            if (!cursor) return res.status(400).json({ error: 'Cursor inválido' });
+        }
+
+        const page = await loadTimelinePage(req.student, { cursor, limit });
+        res.json(page);
+    } catch (err) {
+        console.error("Timeline Error:", err);
+        res.status(500).json({ error: 'Error cargando conversación' });
+    }
+});
+
+app.get('/api/students/:id', verifyUser, requirePermission('students', 'read'), requireStudentAccess(req => req.params.id), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const s = req.student;
+
+        // Primera página de la conversación (lo más reciente); el resto via /timeline
+        const timeline = await loadTimelinePage(s, { limit: TIMELINE_PAGE_SIZE });
+        
+        const { data: docs } = await supabase
+            .from('student_documents')
+            .select('*')
+            .eq('student_id', id)
+            .is('deleted_at', null)
+            .order('uploaded_at', { ascending: false });
+
+        const bot = await resolveBotState({ student: s });
+
+        res.json({ student: s, bot, chatHistory: timeline.items, chatCursor: timeline.nextCursor, documents: docs || [] });
+    } catch (err) { 
+        console.error(err);
+        res.status(500).json({ error: 'Error cargando detalle' }); 
+    }
+});
+
+app.patch('/api/students/:id', verifyUser, requirePermission('students', 'write'), requireStudentAccess(req => req.params.id), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        // Mover un alumno de sede es exclusivo del admin (ver STUDENT_SCHEMA)
+        const { value: body, errors } = validateStudent(req.body, { mode: 'update', rol: req.staffProfile.rol });
+        if (errors.length > 0) return sendValidationError(res, errors);
+
+        const { error } = await supabase.from('student').update(body).eq('id', id);
+        if (error) throw error;
+        await recordAudit(req, { action: 'update', entity: 'student', entityId: id, before: req.student, after: body });
+
+        // El flag acompaña al pedido de la cola de secretaría (5.3)
+        if (body['solicita secretaria'] === true) {
+            await openSecretariaRequest({ ...req.student, ...body }, { source: 'staff' });
+        } else if (body['solicita secretaria'] === false) {
+            const request = await findActiveSecretariaRequest(req.student.id);
+            if (request) await resolveSecretariaRequest(request, { note: 'Flag desactivado desde la ficha' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Update Error:", err);
+        res.status(500).json({ error: 'Error actualizando alumno' });
+    }
+});
+
+// ==========================================
+// 5.2 BÚSQUEDA GLOBAL (ALUMNOS, CHATS Y DOCUMENTOS)
+// ==========================================
+// Busca en datos del alumno (incluida la carrera), en lo que dijo por WhatsApp y en
+// el texto extraído de sus documentos. Agrupa por alumno, puntúa y marca coincidencias.
+// Los chats se filtran por message->>content (n8n guarda el mensaje como jsonb).
+
+const SEARCH_CANDIDATES = 50;
+const SEARCH_SNIPPET_RADIUS = 60;
+const SEARCH_WEIGHTS = {
+    'full_name': 10, 'numero Identificacion': 15, 'legdef': 15,
+    'telefono1': 8, 'telefono2': 8, 'nombrePrograma': 4,
+    chat: 2, document: 3
+};
+const SEARCH_MAX_HITS_PER_SOURCE = 5;
+
+// Fragmento alrededor de la primera coincidencia + rangos a resaltar [inicio, fin)
+function buildSnippet(text, term) {
+    const source = String(text || '');
+    const lower = source.toLowerCase();
+    const needle = term.toLowerCase();
+    const first = lower.indexOf(needle);
+    if (first === -1) return { text: source.substring(0, SEARCH_SNIPPET_RADIUS * 2), highlights: [] };
+
+    const start = Math.max(first - SEARCH_SNIPPET_RADIUS, 0);
+    const end = Math.min(first + needle.length + SEARCH_SNIPPET_RADIUS, source.length);
+    const prefix = start > 0 ? '…' : '';
+    const snippet = `${prefix}${source.substring(start, end)}${end < source.length ? '…' : ''}`;
+
+    const highlights = [];
+    const snippetLower = snippet.toLowerCase();
+    for (let i = snippetLower.indexOf(needle); i !== -1; i = snippetLower.indexOf(needle, i + needle.length)) {
+        highlights.push([i, i + needle.length]);
+    }
+    return { text: snippet, highlights };
+}
+
+app.get('/api/search', verifyUser, requirePermission('students', 'read'), requireSede, async (req, res) => {
+    const term = normalizeSearchTerm(req.query.q);
+    if (term.length < 2) return res.status(400).json({ error: 'La búsqueda necesita al menos 2 caracteres' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+    try {
+        const results = new Map(); // studentId -> { score, matches }
+        const addMatch = (studentId, source, field, text, weight) => {
+            if (!results.has(studentId)) results.set(studentId, { score: 0, matches: [] });
+            const entry = results.get(studentId);
+            if (entry.matches.filter(m => m.source === source).length >= SEARCH_MAX_HITS_PER_SOURCE) return;
+            entry.score += weight;
+            entry.matches.push({ source, field, ...buildSnippet(text, term) });
+        };
+
+        // 1. Datos del alumno (incluye carrera)
+        const studentColumns = [...STUDENT_SEARCH_COLUMNS, 'nombrePrograma'];
+        const { data: students, error: studentError } = await scopeStudentQuery(
+            supabase.from('student').select('*').or(ilikeAnyFilter(studentColumns, term)),
+            req.staffProfile
+        ).limit(SEARCH_CANDIDATES);
+        if (studentError) throw studentError;
+
+        const needle = term.toLowerCase();
+        for (const s of students || []) {
+            for (const column of studentColumns) {
+                const value = s[column] ? String(s[column]) : '';
+                if (!value.toLowerCase().includes(needle)) continue;
+                // Coincidencia exacta (DNI, legajo, nombre completo) pesa el doble
+                const weight = SEARCH_WEIGHTS[column] * (value.toLowerCase() === needle ? 2 : 1);
+                addMatch(s.id, 'student', column, value, weight);
+            }
+        }
+
+        // 2. Conversaciones de WhatsApp -> alumno por sesión
+        const { data: chats, error: chatError } = await supabase.from('n8n_chat_histories')
+            .select('id, session_id, message')
+            .ilike('message->>content', `%${escapeLikePattern(term)}%`)
+            .order('id', { ascending: false })
+            .limit(SEARCH_CANDIDATES);
+        if (chatError) throw chatError;
+
+        // Un teléfono compartido por varios alumnos no se le atribuye a ninguno
+        const sessionStudents = await studentsBySession([...new Set((chats || []).map(c => c.session_id))]);
+        for (const chat of chats || []) {
+            const studentIds = sessionStudents.get(chat.session_id) || [];
+            if (studentIds.length === 1) addMatch(studentIds[0], 'chat', detectN8nRole(chat.message), cleanN8nMessage(chat.message), SEARCH_WEIGHTS.chat);
+        }
+
+        // 3. Texto extraído de documentos
+        const { data: texts, error: textError } = await supabase.from('document_texts')
+            .select('document_id, text')
+            .ilike('text', `%${escapeLikePattern(term)}%`)
+            .limit(SEARCH_CANDIDATES);
+        if (textError) throw textError;
+
+        if (texts && texts.length > 0) {
+            const { data: docs, error: docError } = await supabase.from('student_documents')
+                .select('id, student_id, document_type')
+                .in('id', texts.map(t => t.document_id))
+                .not('student_id', 'is', null)
+                .is('deleted_at', null);
+            if (docError) throw docError;
+            const docById = new Map((docs || []).map(d => [d.id, d]));
+            for (const t of texts) {
+                const doc = docById.get(t.document_id);
+                if (doc) addMatch(doc.student_id, 'document', doc.document_type, t.text, SEARCH_WEIGHTS.document);
+            }
+        }
+
+        // Los alumnos que llegaron por chat o documento también pasan por el filtro de sede
+        const missingIds = [...results.keys()].filter(id => !(students || []).some(s => s.id === id));
+        let extraStudents = [];
+        if (missingIds.length > 0) {
+            const { data, error } = await scopeStudentQuery(
+                supabase.from('student').select('*').in('id', missingIds),
+                req.staffProfile
+            );
+            if (error) throw error;
+            extraStudents = data || [];
+        }
+        const studentById = new Map([...(students || []), ...extraStudents].map(s => [s.id, s]));
+
+        const ranked = [...results.entries()]
+            .filter(([id]) => studentById.has(id))
+            .map(([id, entry]) => ({ student: mapStudentSummary(studentById.get(id)), score: entry.score, matches: entry.matches }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        res.json({ query: term, total: ranked.length, results: ranked });
+    } catch (err) {
+        console.error("Search Error:", err);
+        res.status(500).json({ error: 'Error en la búsqueda' });
+    }
+});
+
+// ==========================================
+// 5.3 COLA DE SECRETARÍA (ASIGNACIÓN Y SLA)
+// ==========================================
+// secretaria_requests: id, student_id, sede, status ('open' | 'in_progress' | 'resolved'),
+//   assigned_to, source ('flag' | 'staff' | 'n8n'), note, opened_at, first_response_at,
+//   resolved_at, resolution_note, escalation_level, escalated_at, updated_at.
+// Un alumno tiene a lo sumo un pedido abierto. El flag 'solicita secretaria' acompaña al
+// pedido: prenderlo abre uno (n8n lo prende directo en la base y el tick lo levanta) y
+// resolver el pedido lo apaga. La primera respuesta es el primer mensaje del staff
+// (POST /api/messages). Sin respuesta, cada SECRETARIA_SLA_MINUTES sube un nivel de escalamiento.
+
+const SECRETARIA_TRANSITIONS = { open: ['in_progress', 'resolved'], in_progress: ['resolved'], resolved: [] };
+const SECRETARIA_ACTIVE = ['open', 'in_progress'];
+const SECRETARIA_SLA_MINUTES = Number(process.env.SECRETARIA_SLA_MINUTES) || 30;
+const SECRETARIA_MAX_ESCALATION = 3;
+const SECRETARIA_TICK_MS = Number(process.env.SECRETARIA_TICK_MS) || 60 * 1000;
+
+const minutesBetween = (from, to) => (from && to ? Math.round((new Date(to) - new Date(from)) / 60000) : null);
+
+const mapSecretariaRequest = (r, now = new Date()) => {
+    const dueAt = new Date(new Date(r.opened_at).getTime() + SECRETARIA_SLA_MINUTES * 60000);
+    return {
+        ...r,
+        sla: {
+            dueAt: dueAt.toISOString(),
+            breached: r.first_response_at ? new Date(r.first_response_at) > dueAt : (r.status !== 'resolved' && now > dueAt),
+            minutesToFirstResponse: minutesBetween(r.opened_at, r.first_response_at),
+            minutesToResolve: minutesBetween(r.opened_at, r.resolved_at)
+        }
+    };
+};
+
+async function findActiveSecretariaRequest(studentId) {
+    const { data, error } = await supabase.from('secretaria_requests')
+        .select('*').eq('student_id', studentId).in('status', SECRETARIA_ACTIVE)
+        .order('opened_at', { ascending: false }).limit(1);
+    if (error) throw error;
+    return (data || [])[0] || null;
+}
+
+// Idempotente: si ya hay uno abierto lo devuelve (y vuelve a marcar al alumno si hacía falta)
+async function openSecretariaRequest(student, { source, note = null }) {
+    let request = await findActiveSecretariaRequest(student.id);
+    const created = !request;
+    if (created) {
+        const now = new Date();
+        const { data, error } = await supabase.from('secretaria_requests').insert([{
+            student_id: student.id, sede: student.codPuntoKennedy || null, status: 'open', assigned_to: null,
+            source, note, opened_at: now, escalation_level: 0, updated_at: now
+        }]).select().single();
+        if (error) throw error;
+        request = data;
+    }
+    if (student['solicita secretaria'] !== true) {
+        const { error: flagError } = await supabase.from('student').update({ 'solicita secretaria': true }).eq('id', student.id);
+        if (flagError) throw flagError;
+    }
+    return { request, created };
+}
+
+async function resolveSecretariaRequest(request, { note = null } = {}) {
+    const now = new Date();
+    const updates = { status: 'resolved', resolved_at: now, resolution_note: note, updated_at: now };
+    // Primero el flag: si después falla el pedido se vuelve a marcar y ambos siguen de acuerdo
+    const setFlag = (value) => supabase.from('student').update({ 'solicita secretaria': value }).eq('id', request.student_id);
+    const { error: flagError } = await setFlag(false);
+    if (flagError) throw flagError;
+    const { data, error } = await supabase.from('secretaria_requests').update(updates)
+        .eq('id', request.id).in('status', SECRETARIA_ACTIVE)
+        .select().maybeSingle();
+    if (error) {
+        const { error: restoreError } = await setFlag(true);
+        if (restoreError) console.error("Secretaria Flag Restore Error:", restoreError.message);
+        throw error;
+    }
+    return data;
+}
+
+// Se llama al enviar un mensaje del staff; solo cuenta el primero
+async function markSecretariaFirstResponse(studentId) {
+    try {
+        const request = await findActiveSecretariaRequest(studentId);
+        if (!request || request.first_response_at) return;
+        await supabase.from('secretaria_requests')
+            .update({ first_response_at: new Date(), updated_at: new Date() })
+            .eq('id', request.id).is('first_response_at', null);
+    } catch (err) {
+        console.error("Secretaria First Response Error:", err.message);
+    }
+}
+
+async function findSecretariaRequestForStaff(profile, requestId) {
+    const { data: request, error } = await supabase.from('secretaria_requests').select('*').eq('id', requestId).maybeSingle();
+    if (error) throw error;
+    if (!request) return { status: 404, error: 'Pedido no encontrado' };
+    if (!canAccessSede(profile, request.sede)) return { status: 403, error: 'El pedido pertenece a otra sede' };
+    return { request };
+}
+
+// Tick: abre pedidos para flags prendidos por n8n y escala los que vencieron el SLA
+let secretariaTickRunning = false;
+
+async function runSecretariaQueueTick() {
+    if (secretariaTickRunning) return;
+    secretariaTickRunning = true;
+    try {
+        const flagged = await fetchAllRows('student', 'id, codPuntoKennedy, "solicita secretaria"', q => q.eq('solicita secretaria', true));
+        const active = await fetchAllRows('secretaria_requests', '*', q => q.in('status', SECRETARIA_ACTIVE));
+        const withRequest = new Set(active.map(r => String(r.student_id)));
+        for (const student of flagged.filter(s => !withRequest.has(String(s.id)))) {
+            await openSecretariaRequest(student, { source: 'flag' });
+        }
+
+        const now = new Date();
+        for (const request of active.filter(r => !r.first_response_at)) {
+            const elapsed = (now - new Date(request.opened_at)) / 60000;
+            const level = Math.min(Math.floor(elapsed / SECRETARIA_SLA_MINUTES), SECRETARIA_MAX_ESCALATION);
+            if (level <= (request.escalation_level || 0)) continue;
+            await supabase.from('secretaria_requests')
+                .update({ escalation_level: level, escalated_at: now, updated_at: now })
+                .eq('id', request.id);
+            console.warn(`⏰ Pedido de secretaría ${request.id} (${request.sede}) escalado a nivel ${level}`);
+        }
+    } catch (err) {
+        console.error("❌ Secretaria Tick Error:", err.message);
+    } finally {
+        secretariaTickRunning = false;
+    }
+}
+
+// 📥 COLA: ?status=open,in_progress&assignedTo=<id|none>&escalated=true&sede= (sede solo admin)
+app.get('/api/secretaria-requests', verifyUser, requirePermission('secretaria', 'read'), requireSede, async (req, res) => {
+    try {
+        const statuses = String(req.query.status || SECRETARIA_ACTIVE.join(',')).split(',').filter(s => s in SECRETARIA_TRANSITIONS);
+        let query = supabase.from('secretaria_requests').select('*').in('status', statuses);
+        const scope = requestedSedes(req.staffProfile, req.query.sede);
+        if (scope.error) return res.status(403).json({ error: scope.error });
+        if (scope.sedes) query = query.in('sede', scope.sedes);
+        if (req.query.assignedTo === 'none') query = query.is('assigned_to', null);
+        else if (req.query.assignedTo) query = query.eq('assigned_to', req.query.assignedTo);
+        if (req.query.escalated === 'true') query = query.gt('escalation_level', 0);
+
+        const { data, error } = await query
+            .order('escalation_level', { ascending: false })
+            .order('opened_at', { ascending: true })
+            .limit(200);
+        if (error) throw error;
+        const now = new Date();
+        res.json((data || []).map(r => mapSecretariaRequest(r, now)));
+    } catch (err) {
+        console.error("Secretaria Queue Error:", err);
+        res.status(500).json({ error: 'Error cargando la cola' });
+    }
+});
+
+// 🙋 MI COLA: pedidos activos asignados a mí
+app.get('/api/secretaria-requests/mine', verifyUser, requirePermission('secretaria', 'read'), async (req, res) => {
+    try {
+        const { data, error } = await supabase.from('secretaria_requests')
+            .select('*')
+            .eq('assigned_to', req.staffProfile.id)
+            .in('status', SECRETARIA_ACTIVE)
+            .order('escalation_level', { ascending: false })
+            .order('opened_at', { ascending: true });
+        if (error) throw error;
+        const now = new Date();
+        res.json((data || []).map(r => mapSecretariaRequest(r, now)));
+    } catch (err) {
+        console.error("My Queue Error:", err);
+        res.status(500).json({ error: 'Error cargando tu cola' });
+    }
+});
+
+// 📊 CARGA POR ASESOR: ?from=&to= (pedidos abiertos en el rango) &sede= (dentro de las sedes del perfil)
+app.get('/api/secretaria-requests/stats', verifyUser, requirePermission('secretaria', 'read'), requireSede, async (req, res) => {
+    try {
+        const scope = requestedSedes(req.staffProfile, req.query.sede);
+        if (scope.error) return res.status(403).json({ error: scope.error });
+        const from = req.query.from ? new Date(req.query.from) : new Date(Date.now() - 30 * 24 * 3600 * 1000);
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        if (isNaN(from.getTime()) || isNaN(to.getTime())) return sendValidationError(res, [{ field: 'from', message: 'Fechas inválidas' }]);
+
+        const requests = await fetchAllRows('secretaria_requests', '*', q => {
+            let scoped = q.gte('opened_at', from.toISOString()).lte('opened_at', to.toISOString());
+            return scope.sedes ? scoped.in('sede', scope.sedes) : scoped;
+        });
+
+        const now = new Date();
+        const byAdvisor = new Map();
+        const average = (values) => (values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null);
+        for (const request of requests.map(r => mapSecretariaRequest(r, now))) {
+            const key = request.assigned_to == null ? 'unassigned' : String(request.assigned_to);
+            if (!byAdvisor.has(key)) byAdvisor.set(key, { staffId: request.assigned_to ?? null, open: 0, in_progress: 0, resolved: 0, breached: 0, firstResponse: [], resolve: [] });
+            const stats = byAdvisor.get(key);
+            stats[request.status]++;
+            if (request.sla.breached) stats.breached++;
+            if (request.sla.minutesToFirstResponse != null) stats.firstResponse.push(request.sla.minutesToFirstResponse);
+            if (request.sla.minutesToResolve != null) stats.resolve.push(request.sla.minutesToResolve);
+        }
+
+        const staffIds = [...byAdvisor.values()].map(s => s.staffId).filter(id => id != null);
+        const { data: staff } = staffIds.length
+            ? await supabase.from('perfil_staff').select('id, nombre, email').in('id', staffIds)
+            : { data: [] };
+        const names = new Map((staff || []).map(s => [String(s.id), s.nombre || s.email]));
+
+        res.json({
+            from: from.toISOString(), to: to.toISOString(), sede: req.query.sede || null, sedes: scope.sedes, slaMinutes: SECRETARIA_SLA_MINUTES,
+            advisors: [...byAdvisor.values()].map(({ firstResponse, resolve, ...stats }) => ({
+                ...stats,
+                name: stats.staffId == null ? 'Sin asignar' : names.get(String(stats.staffId)) || null,
+                avgFirstResponseMinutes: average(firstResponse),
+                avgResolveMinutes: average(resolve)
+            }))
+        });
+    } catch (err) {
+        console.error("Secretaria Stats Error:", err);
+        res.status(500).json({ error: 'Error calculando estadísticas' });
+    }
+});
+
+// Apertura manual: { studentId, note? }
+app.post('/api/secretaria-requests', verifyUser, requirePermission('secretaria', 'write'), requireStudentAccess(req => req.body.studentId), async (req, res) => {
+    try {
+        const note = typeof req.body.note === 'string' ? req.body.note.trim().substring(0, 500) || null : null;
+        const { request, created } = await openSecretariaRequest(req.student, { source: 'staff', note });
+        if (created) await recordAudit(req, { action: 'create', entity: 'secretaria_request', entityId: request.id, after: request });
+        res.status(created ? 201 : 200).json(mapSecretariaRequest(request));
+    } catch (err) {
+        console.error("Secretaria Open Error:", err);
+        res.status(500).json({ error: 'Error abriendo pedido' });
+    }
+});
+
+// 👤 ASIGNAR: { staffId } (asesor de la misma sede). Un pedido abierto pasa a in_progress.
+app.post('/api/secretaria-requests/:id/assign', verifyUser, requirePermission('secretaria', 'assign'), async (req, res) => {
+    try {
+        const result = await findSecretariaRequestForStaff(req.staffProfile, req.params.id);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        const request = result.request;
+        if (request.status === 'resolved') return res.status(409).json({ error: 'El pedido ya está resuelto' });
+
+        const { data: assignee, error: assigneeError } = await supabase.from('perfil_staff').select('*').eq('id', req.body.staffId).maybeSingle();
+        if (assigneeError) throw assigneeError;
+        if (!assignee) return sendValidationError(res, [{ field: 'staffId', message: 'Usuario inexistente' }]);
+        const assigneeProfile = { ...assignee, access: roleAccessOf(await loadRoleMatrix(), assignee) };
+        if (staffStatusOf(assignee) !== 'active' || !can(assigneeProfile, 'secretaria', 'write') || !canAccessSede(assigneeProfile, request.sede)) {
+            return sendValidationError(res, [{ field: 'staffId', message: 'Debe ser alguien activo de la sede del pedido que atienda la cola' }]);
+        }
+
+        const updates = { assigned_to: assignee.id, status: 'in_progress', updated_at: new Date() };
+        const { data, error } = await supabase.from('secretaria_requests').update(updates)
+            .eq('id', request.id).in('status', SECRETARIA_ACTIVE)
+            .select().maybeSingle();
+        if (error) throw error;
+        if (!data) return res.status(409).json({ error: 'El pedido cambió de estado, recargue' });
+        await recordAudit(req, { action: 'update', entity: 'secretaria_request', entityId: request.id, before: request, after: updates });
+        res.json(mapSecretariaRequest(data));
+    } catch (err) {
+        console.error("Secretaria Assign Error:", err);
+        res.status(500).json({ error: 'Error asignando pedido' });
+    }
+});
+
+// 🔄 ESTADO: { status: 'in_progress' | 'resolved', note? }
+app.post('/api/secretaria-requests/:id/status', verifyUser, requirePermission('secretaria', 'write'), async (req, res) => {
+    try {
+        const result = await findSecretariaRequestForStaff(req.staffProfile, req.params.id);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        const request = result.request;
+        const { status } = req.body;
+        if (!SECRETARIA_TRANSITIONS[request.status].includes(status)) {
+            return res.status(409).json({ error: `No se puede pasar de '${request.status}' a '${status}'` });
+        }
+        const note = typeof req.body.note === 'string' ? req.body.note.trim().substring(0, 500) || null : null;
+
+        let data;
+        if (status === 'resolved') {
+            data = await resolveSecretariaRequest(request, { note });
+        } else {
+            // Tomar un pedido sin asignar lo asigna a quien lo toma
+            const updates = { status, assigned_to: request.assigned_to ?? req.staffProfile.id, updated_at: new Date() };
+            const { data: updated, error } = await supabase.from('secretaria_requests').update(updates)
+                .eq('id', request.id).eq('status', request.status)
+                .select().maybeSingle();
+            if (error) throw error;
+            data = updated;
+        }
+        if (!data) return res.status(409).json({ error: 'El pedido cambió de estado, recargue' });
+        await recordAudit(req, { action: 'update', entity: 'secretaria_request', entityId: request.id, before: request, after: { status, resolution_note: note } });
+        res.json(mapSecretariaRequest(data));
+    } catch (err) {
+        console.error("Secretaria Status Error:", err);
+        res.status(500).json({ error: 'Error actualizando pedido' });
+    }
+});
+
+// n8n: el alumno pidió hablar con una persona. { phone, note? }
+app.post('/api/n8n/secretaria-requests', verifyN8n, async (req, res) => {
+    try {
+        const phone = normalizePhone(req.body.phone);
+        if (!phone) return sendValidationError(res, [{ field: 'phone', message: 'Teléfono inválido' }]);
+        const students = await findStudentsByPhone(phone, 'id, codPuntoKennedy, "solicita secretaria"');
+        if (students.length === 0) return res.status(404).json({ error: 'No hay alumno con ese teléfono' });
+        if (students.length > 1) return res.status(409).json({ error: 'Hay más de un alumno con ese teléfono', studentIds: students.map(s => s.id) });
+
+        const note = typeof req.body.note === 'string' ? req.body.note.substring(0, 500) : null;
+        const { request, created } = await openSecretariaRequest(students[0], { source: 'n8n', note });
+        res.status(created ? 201 : 200).json(mapSecretariaRequest(request));
+    } catch (err) {
+        console.error("n8n Secretaria Error:", err);
+        res.status(500).json({ error: 'Error abriendo pedido' });
+    }
+});
+
+// ==========================================
+// 6. CARRERAS
+// ==========================================
+// El bot contesta con el catálogo de resumen_carreras, pero no lo lee en vivo: n8n baja la
+// última versión publicada (GET /api/n8n/careers, con ETag). Las ediciones quedan en borrador
+// hasta que un admin publica (POST /api/careers/publish).
+// - Cada edición sube resumen_carreras.version y guarda la foto en career_versions
+//   (career_id, version, action, data, source_version, created_by, created_at); se puede volver a una.
+//   Las filas anteriores a esto (version null) cuentan como versión 1.
+// - Archivar (archived_at) saca la carrera del catálogo publicado pero la deja en el dashboard.
+// - Eliminar es lógico (deleted_at) y solo si ningún alumno la tiene en nombrePrograma.
+// - Archivar, desarchivar, eliminar y restaurar también suben la versión y quedan en el historial.
+// - Publicaciones en career_catalog_releases (version, etag, careers, career_count, note,
+//   published_by, published_at).
+
+// De resumen_carreras el código solo conoce CARRERA (los alumnos se asocian por ese nombre).
+// El resto de las columnas que tenga la tabla pasan tal cual si son texto, número o booleano;
+// una columna que no existe la rechaza PostgREST (PGRST204) y vuelve como error del campo.
+const CAREER_SCHEMA = {
+    'CARRERA': { type: 'string', required: true, maxLength: 200 },
+};
+const CAREER_EXTRA_COLUMN = { type: 'scalar', maxLength: 5000 };
+const CAREER_COLUMN_NAME = /^[\p{L}\p{N}_ -]{1,63}$/u;
+
+// Columnas de sistema: se ignoran si vienen en el body
+const CAREER_READONLY = ['id', 'created_at', 'updated_at', 'updated_by', 'version', 'archived_at', 'archived_by', 'deleted_at', 'deleted_by', 'state'];
+const CAREER_STATES = ['active', 'archived', 'deleted'];
+
+const careerStateOf = (career) => career.deleted_at ? 'deleted' : career.archived_at ? 'archived' : 'active';
+const careerVersionOf = (career) => career.version ?? 1;
+// Columnas de datos de la fila (todo lo que no es de sistema): foto del historial y catálogo
+const careerFields = (career) => Object.fromEntries(Object.entries(career).filter(([field]) => !CAREER_READONLY.includes(field)));
+
+const unknownCareerColumn = (err) => {
+    if (err?.code !== 'PGRST204') return null;
+    const field = String(err.message || '').match(/'([^']+)' column/)?.[1] || null;
+    return [{ field, message: 'La tabla resumen_carreras no tiene esa columna' }];
+};
+
+// mode: 'create' | 'update'. Mismo criterio que validateStudent.
+function validateCareer(body, { mode }) {
+    const errors = [];
+    const value = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { value, errors: [{ field: null, message: 'El cuerpo debe ser un objeto' }] };
+    }
+
+    for (const field of Object.keys(body)) {
+        if (CAREER_READONLY.includes(field)) continue;
+        if (!CAREER_SCHEMA[field] && !CAREER_COLUMN_NAME.test(field)) {
+            errors.push({ field, message: 'Campo no permitido' });
+            continue;
+        }
+        const result = coerceField(CAREER_SCHEMA[field] || CAREER_EXTRA_COLUMN, body[field]);
+        if (result.error) errors.push({ field, message: result.error });
+        else value[field] = result.value;
+    }
+
+    if (mode === 'create') {
+        for (const [field, rule] of Object.entries(CAREER_SCHEMA)) {
+            if (rule.required && !(field in body)) errors.push({ field, message: 'Campo obligatorio' });
+        }
+    } else if (Object.keys(value).length === 0 && errors.length === 0) {
+        errors.push({ field: null, message: 'No hay campos para actualizar' });
+    }
+
+    return { value, errors };
+}
+
+async function findCareer(id) {
+    const { data, error } = await supabase.from('resumen_carreras').select('*').eq('id', id).maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+// Los alumnos se asocian por nombre, así que no puede haber dos carreras vigentes con el mismo
+async function findCareerNameConflict(name, exceptId = null) {
+    const { data, error } = await supabase.from('resumen_carreras').select('id, CARRERA').is('deleted_at', null);
+    if (error) throw error;
+    const key = normalizeLabel(name);
+    return (data || []).find(c => String(c.id) !== String(exceptId) && normalizeLabel(c.CARRERA) === key) || null;
+}
+
+const careerNameTaken = (conflict) => [{ field: 'CARRERA', message: `Ya existe la carrera '${conflict.CARRERA}' (id ${conflict.id})` }];
+
+// La base trae solo los candidatos (ilike con las letras que pueden llevar tilde como
+// comodín); la comparación exacta sin mayúsculas ni tildes se hace acá
+async function countCareerStudents(name) {
+    const key = normalizeLabel(name);
+    const pattern = `%${escapeLikePattern(key).replace(/[aeiounc]/g, '_')}%`;
+    const students = await fetchAllRows('student', 'id, nombrePrograma', q => q.ilike('nombrePrograma', pattern));
+    return students.filter(s => normalizeLabel(s.nombrePrograma) === key).length;
+}
+
+async function recordCareerVersion(career, { action, staffId, sourceVersion = null }) {
+    const { error } = await supabase.from('career_versions').insert([{
+        career_id: career.id,
+        version: careerVersionOf(career),
+        action,
+        data: careerFields(career),
+        source_version: sourceVersion,
+        created_by: staffId,
+        created_at: new Date()
+    }]);
+    if (error) throw error;
+}
+
+// Edición con control de concurrencia: solo escribe si nadie la cambió desde que se leyó.
+// Devuelve la fila nueva o null si perdió la carrera.
+async function saveCareerEdit(before, updates, { action, staffId, sourceVersion = null }) {
+    let query = supabase.from('resumen_carreras')
+        .update({ ...updates, version: careerVersionOf(before) + 1, updated_at: new Date(), updated_by: staffId })
+        .eq('id', before.id);
+    query = before.version == null ? query.is('version', null) : query.eq('version', before.version);
+    const { data, error } = await query.select().maybeSingle();
+    if (error) throw error;
+    if (!data) return null;
+
+    // La primera edición de una fila vieja guarda también cómo estaba, para poder volver
+    if (before.version == null) await recordCareerVersion(before, { action: 'baseline', staffId: null });
+    await recordCareerVersion(data, { action, staffId, sourceVersion });
+    return data;
+}
+
+const CAREER_CHANGED_ERROR = 'La carrera fue modificada por otra persona, recargue';
+
+// Catálogo que vería el bot si se publicara ahora: activas, sin columnas de sistema
+async function buildCareerCatalog() {
+    const { data, error } = await supabase.from('resumen_carreras').select('*')
+        .is('deleted_at', null)
+        .is('archived_at', null)
+        .order('CARRERA', { ascending: true });
+    if (error) throw error;
+    const careers = (data || []).map(c => ({ id: c.id, ...careerFields(c) }));
+    return { careers, etag: `"${sha256(JSON.stringify(careers)).slice(0, 32)}"` };
+}
+
+async function findLatestCareerRelease(columns = '*') {
+    const { data, error } = await supabase.from('career_catalog_releases').select(columns)
+        .order('version', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+const mapCareerRelease = (release) => ({
+    version: release.version,
+    etag: release.etag,
+    careerCount: release.career_count,
+    note: release.note || null,
+    publishedBy: release.published_by,
+    publishedAt: release.published_at
+});
+
+// 📚 LISTADO: ?status=active|archived|deleted|all (por defecto activas y archivadas)
+app.get('/api/careers', verifyUser, requirePermission('careers', 'read'), async (req, res) => {
+    const status = req.query.status;
+    if (status && status !== 'all' && !CAREER_STATES.includes(status)) {
+        return sendValidationError(res, [{ field: 'status', message: `Use: all, ${CAREER_STATES.join(', ')}` }]);
+    }
+
+    try {
+        let query = supabase.from('resumen_carreras').select('*').order('CARRERA');
+        if (status === 'active') query = query.is('deleted_at', null).is('archived_at', null);
+        else if (status === 'archived') query = query.is('deleted_at', null).not('archived_at', 'is', null);
+        else if (status === 'deleted') query = query.not('deleted_at', 'is', null);
+        else if (status !== 'all') query = query.is('deleted_at', null);
+        const { data, error } = await query;
+        if (error) throw error;
+        res.json((data || []).map(c => ({ ...c, state: careerStateOf(c) })));
+    } catch (err) {
+        console.error("Careers Error:", err);
+        res.status(500).json({ error: 'Error cargando carreras' });
+    }
+});
+
+app.post('/api/careers', verifyUser, requirePermission('careers', 'write'), async (req, res) => {
+    try {
+        const { value: newCareer, errors } = validateCareer(req.body, { mode: 'create' });
+        if (errors.length > 0) return sendValidationError(res, errors);
+        const conflict = await findCareerNameConflict(newCareer.CARRERA);
+        if (conflict) return sendValidationError(res, careerNameTaken(conflict));
+
+        const record = { ...newCareer, version: 1, updated_at: new Date(), updated_by: req.staffProfile.id };
+        const { data, error } = await supabase.from('resumen_carreras').insert([record]).select();
+        if (error) throw error;
+        await recordCareerVersion(data[0], { action: 'create', staffId: req.staffProfile.id });
+        await recordAudit(req, { action: 'create', entity: 'career', entityId: data?.[0]?.id, after: newCareer });
+        res.json({ success: true, data });
+    } catch (err) {
+        const columnErrors = unknownCareerColumn(err);
+        if (columnErrors) return sendValidationError(res, columnErrors);
+        console.error("Create Career Error:", err);
+        res.status(500).json({ error: 'Error creando la carrera' });
+    }
+});
+
+// El body puede traer la version leída: si otro la cambió después, 409
+app.put('/api/careers/:id', verifyUser, requirePermission('careers', 'write'), async (req, res) => {
+    try {
+        const { value: updates, errors } = validateCareer(req.body, { mode: 'update' });
+        if (errors.length > 0) return sendValidationError(res, errors);
+
+        const before = await findCareer(req.params.id);
+        if (!before || before.deleted_at) return res.status(404).json({ error: 'Carrera no encontrada' });
+        if (req.body.version != null && Number(req.body.version) !== careerVersionOf(before)) {
+            return res.status(409).json({ error: CAREER_CHANGED_ERROR, version: careerVersionOf(before) });
+        }
+        if (updates.CARRERA) {
+            const conflict = await findCareerNameConflict(updates.CARRERA, before.id);
+            if (conflict) return sendValidationError(res, careerNameTaken(conflict));
+        }
+
+        const data = await saveCareerEdit(before, updates, { action: 'update', staffId: req.staffProfile.id });
+        if (!data) return res.status(409).json({ error: CAREER_CHANGED_ERROR });
+        await recordAudit(req, { action: 'update', entity: 'career', entityId: before.id, before, after: updates });
+        res.json({ success: true, data: { ...data, state: careerStateOf(data) } });
+    } catch (err) {
+        const columnErrors = unknownCareerColumn(err);
+        if (columnErrors) return sendValidationError(res, columnErrors);
+        console.error("Update Career Error:", err);
+        res.status(500).json({ error: 'Error actualizando carrera' });
+    }
+});
+
+// 🗄️ ARCHIVAR: sale del catálogo del bot en la próxima publicación; los alumnos la conservan
+app.post('/api/careers/:id/archive', verifyUser, requirePermission('careers', 'write'), async (req, res) => {
+    try {
+        const before = await findCareer(req.params.id);
+        if (!before || before.deleted_at) return res.status(404).json({ error: 'Carrera no encontrada' });
+        if (before.archived_at) return res.status(409).json({ error: 'La carrera ya está archivada' });
+
+        const updates = { archived_at: new Date(), archived_by: req.staffProfile.id };
+        if (!await saveCareerEdit(before, updates, { action: 'archive', staffId: req.staffProfile.id })) {
+            return res.status(409).json({ error: CAREER_CHANGED_ERROR });
+        }
+        await recordAudit(req, { action: 'update', entity: 'career', entityId: before.id, before, after: updates });
+        res.json({ success: true, students: await countCareerStudents(before.CARRERA) });
+    } catch (err) {
+        console.error("Archive Career Error:", err);
+        res.status(500).json({ error: 'Error archivando carrera' });
+    }
+});
+
+app.post('/api/careers/:id/unarchive', verifyUser, requirePermission('careers', 'write'), async (req, res) => {
+    try {
+        const before = await findCareer(req.params.id);
+        if (!before || before.deleted_at) return res.status(404).json({ error: 'Carrera no encontrada' });
+        if (!before.archived_at) return res.status(409).json({ error: 'La carrera no está archivada' });
+
+        const updates = { archived_at: null, archived_by: null };
+        if (!await saveCareerEdit(before, updates, { action: 'unarchive', staffId: req.staffProfile.id })) {
+            return res.status(409).json({ error: CAREER_CHANGED_ERROR });
+        }
+        await recordAudit(req, { action: 'update', entity: 'career', entityId: before.id, before, after: updates });
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Unarchive Career Error:", err);
+        res.status(500).json({ error: 'Error desarchivando carrera' });
+    }
+});
+
+// 🗑️ BORRADO LÓGICO: solo sin alumnos; si hay, corresponde archivarla
+app.delete('/api/careers/:id', verifyUser, requirePermission('careers', 'write'), async (req, res) => {
+    try {
+        const before = await findCareer(req.params.id);
+        if (!before || before.deleted_at) return res.status(404).json({ error: 'Carrera no encontrada' });
+
+        const students = await countCareerStudents(before.CARRERA);
+        if (students > 0) {
+            return res.status(409).json({ error: `${students} alumno(s) tienen esta carrera; archívela en lugar de eliminarla`, students });
+        }
+
+        const updates = { deleted_at: new Date(), deleted_by: req.staffProfile.id };
+        if (!await saveCareerEdit(before, updates, { action: 'delete', staffId: req.staffProfile.id })) {
+            return res.status(409).json({ error: CAREER_CHANGED_ERROR });
+        }
+        await recordAudit(req, { action: 'delete', entity: 'career', entityId: before.id, before });
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Delete Career Error:", err);
+        res.status(500).json({ error: 'Error eliminando la carrera' });
+    }
+});
+
+app.post('/api/careers/:id/restore', verifyUser, requirePermission('careers', 'write'), async (req, res) => {
+    try {
+        const before = await findCareer(req.params.id);
+        if (!before) return res.status(404).json({ error: 'Carrera no encontrada' });
+        if (!before.deleted_at) return res.status(409).json({ error: 'La carrera no está eliminada' });
+        const conflict = await findCareerNameConflict(before.CARRERA, before.id);
+        if (conflict) return res.status(409).json({ error: `Ya existe otra carrera '${conflict.CARRERA}' (id ${conflict.id})` });
+
+        const updates = { deleted_at: null, deleted_by: null };
+        if (!await saveCareerEdit(before, updates, { action: 'restore', staffId: req.staffProfile.id })) {
+            return res.status(409).json({ error: CAREER_CHANGED_ERROR });
+        }
+        await recordAudit(req, { action: 'update', entity: 'career', entityId: before.id, before, after: updates });
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Restore Career Error:", err);
+        res.status(500).json({ error: 'Error restaurando carrera' });
+    }
+});
+
+// 🕓 HISTORIAL Y ROLLBACK
+app.get('/api/careers/:id/versions', verifyUser, requirePermission('careers', 'read'), async (req, res) => {
+    try {
+        const career = await findCareer(req.params.id);
+        if (!career) return res.status(404).json({ error: 'Carrera no encontrada' });
+        const { data, error } = await supabase.from('career_versions').select('*')
+            .eq('career_id', career.id)
+            .order('version', { ascending: false });
+        if (error) throw error;
+        res.json({ current: careerVersionOf(career), versions: data || [] });
+    } catch (err) {
+        console.error("Career Versions Error:", err);
+        res.status(500).json({ error: 'Error cargando historial' });
+    }
+});
+
+// { version }: vuelve los campos a esa foto como una edición nueva (el historial no se reescribe)
+app.post('/api/careers/:id/rollback', verifyUser, requirePermission('careers', 'write'), async (req, res) => {
+    const version = Number(req.body?.version);
+    if (!Number.isInteger(version) || version < 1) return sendValidationError(res, [{ field: 'version', message: 'Indique la versión a restaurar' }]);
+
+    try {
+        const before = await findCareer(req.params.id);
+        if (!before || before.deleted_at) return res.status(404).json({ error: 'Carrera no encontrada' });
+        if (version === careerVersionOf(before)) return res.status(409).json({ error: 'Esa ya es la versión actual' });
+
+        const { data: snapshot, error } = await supabase.from('career_versions').select('*')
+            .eq('career_id', before.id)
+            .eq('version', version)
+            .maybeSingle();
+        if (error) throw error;
+        if (!snapshot) return res.status(404).json({ error: 'Versión no encontrada' });
+
+        // La foto se valida con las reglas de hoy y se aplica sobre las columnas actuales:
+        // las que la foto no tenía quedan vacías y las que ya no existen se descartan
+        const { value, errors } = validateCareer(snapshot.data, { mode: 'create' });
+        if (errors.length > 0) return sendValidationError(res, errors);
+        const updates = Object.fromEntries(Object.keys(careerFields(before)).map(field => [field, field in value ? value[field] : null]));
+        const conflict = await findCareerNameConflict(updates.CARRERA, before.id);
+        if (conflict) return sendValidationError(res, careerNameTaken(conflict));
+
+        const data = await saveCareerEdit(before, updates, { action: 'rollback', staffId: req.staffProfile.id, sourceVersion: version });
+        if (!data) return res.status(409).json({ error: CAREER_CHANGED_ERROR });
+        await recordAudit(req, { action: 'update', entity: 'career', entityId: before.id, before, after: updates });
+        res.json({ success: true, data: { ...data, state: careerStateOf(data) } });
+    } catch (err) {
+        const columnErrors = unknownCareerColumn(err);
+        if (columnErrors) return sendValidationError(res, columnErrors);
+        console.error("Career Rollback Error:", err);
+        res.status(500).json({ error: 'Error restaurando versión' });
+    }
+});
+
+// 📢 PUBLICACIÓN DEL CATÁLOGO PARA EL BOT
+// Estado: borrador actual vs. última publicación, y publicaciones anteriores
+app.get('/api/careers/releases', verifyUser, requirePermission('careers', 'read'), async (req, res) => {
+    try {
+        const [draft, { data: releases, error }] = await Promise.all([
+            buildCareerCatalog(),
+            supabase.from('career_catalog_releases')
+                .select('version, etag, career_count, note, published_by, published_at')
+                .order('version', { ascending: false })
+                .limit(50)
+        ]);
+        if (error) throw error;
+        const latest = releases?.[0] || null;
+        res.json({
+            draft: { etag: draft.etag, careerCount: draft.careers.length },
+            published: latest ? mapCareerRelease(latest) : null,
+            pendingChanges: !latest || latest.etag !== draft.etag,
+            releases: (releases || []).map(mapCareerRelease)
+        });
+    } catch (err) {
+        console.error("Career Releases Error:", err);
+        res.status(500).json({ error: 'Error cargando publicaciones' });
+    }
+});
+
+app.get('/api/careers/releases/:version', verifyUser, requirePermission('careers', 'read'), async (req, res) => {
+    try {
+        const { data, error } = await supabase.from('career_catalog_releases').select('*').eq('version', req.params.version).maybeSingle();
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'Publicación no encontrada' });
+        res.json({ ...mapCareerRelease(data), careers: data.careers });
+    } catch (err) {
+        console.error("Career Release Error:", err);
+        res.status(500).json({ error: 'Error cargando publicación' });
+    }
+});
+
+// { note? }: congela las carreras activas como la versión que responde el bot
+app.post('/api/careers/publish', verifyUser, requirePermission('careers', 'publish'), async (req, res) => {
+    try {
+        const [catalog, latest] = await Promise.all([buildCareerCatalog(), findLatestCareerRelease('version, etag')]);
+        if (catalog.careers.length === 0) return res.status(409).json({ error: 'No hay carreras activas para publicar' });
+        if (latest?.etag === catalog.etag) return res.status(409).json({ error: 'No hay cambios para publicar', version: latest.version });
+
+        const note = typeof req.body?.note === 'string' ? req.body.note.trim().substring(0, 500) || null : null;
+        const release = {
+            version: (latest?.version || 0) + 1,
+            etag: catalog.etag,
+            careers: catalog.careers,
+            career_count: catalog.careers.length,
+            note,
+            published_by: req.staffProfile.id,
+            published_at: new Date()
+        };
+        const { data, error } = await supabase.from('career_catalog_releases').insert([release]).select().single();
+        if (error) throw error;
+        await recordAudit(req, { action: 'create', entity: 'career_catalog_release', entityId: data.version, after: { version: data.version, etag: data.etag, career_count: data.career_count, note } });
+        res.status(201).json(mapCareerRelease(data));
+    } catch (err) {
+        console.error("Career Publish Error:", err);
+        res.status(500).json({ error: 'Error publicando el catálogo' });
+    }
+});
+
+// n8n: catálogo publicado. Con If-None-Match del último ETag responde 304 sin cuerpo.
+app.get('/api/n8n/careers', verifyN8n, async (req, res) => {
+    try {
+        const release = await findLatestCareerRelease();
+        if (!release) return res.status(404).json({ error: 'Todavía no se publicó el catálogo de carreras' });
+
+        res.set({ 'ETag': release.etag, 'Cache-Control': 'no-cache' });
+        const known = String(req.headers['if-none-match'] || '').split(',').map(tag => tag.trim().replace(/^W\//, ''));
+        if (known.includes(release.etag) || known.includes('*')) return res.status(304).end();
+        res.json({ version: release.version, publishedAt: release.published_at, careers: release.careers });
+    } catch (err) {
+        console.error("n8n Careers Error:", err);
+        res.status(500).json({ error: 'Error cargando el catálogo' });
+    }
+});
+
+// ==========================================
+// 6.1 DOCUMENTOS REQUERIDOS POR CARRERA
+// ==========================================
+// Tabla 'career_required_documents': career_id (resumen_carreras.id), document_type.
+// El alumno se asocia a la carrera por nombrePrograma == CARRERA (sin mayúsculas ni tildes).
+// Un documento rechazado o eliminado no cuenta; uno pendiente de revisión sí, marcado aparte.
+
+// Map<carrera normalizada, { career, required: [document_type] }>
+async function loadCareerRequirements() {
+    const [{ data: careers, error: careerError }, { data: requirements, error: reqError }] = await Promise.all([
+        supabase.from('resumen_carreras').select('*').is('deleted_at', null),
+        supabase.from('career_required_documents').select('career_id, document_type')
+    ]);
+    if (careerError) throw careerError;
+    if (reqError) throw reqError;
+
+    const byCareer = new Map();
+    for (const career of careers || []) {
+        const required = (requirements || []).filter(r => String(r.career_id) === String(career.id)).map(r => r.document_type);
+        if (required.length > 0) byCareer.set(normalizeLabel(career.CARRERA), { career, required });
+    }
+    return byCareer;
+}
+
+// Calcula el checklist de cada alumno: Map<studentId, { required, approved, pendingReview, missing }>
+async function computeChecklists(students, requirements) {
+    const withCareer = students.filter(s => requirements.has(normalizeLabel(s.nombrePrograma)));
+    const docsByStudent = new Map();
+
+    for (const ids of chunk(withCareer.map(s => s.id), ID_CHUNK)) {
+        const { data: docs, error } = await supabase.from('student_documents')
+            .select('student_id, document_type, review_status')
+            .in('student_id', ids)
+            .is('deleted_at', null);
+        if (error) throw error;
+        for (const doc of docs || []) {
+            if (!docsByStudent.has(doc.student_id)) docsByStudent.set(doc.student_id, []);
+            docsByStudent.get(doc.student_id).push(doc);
+        }
+    }
+
+    const checklists = new Map();
+    for (const student of withCareer) {
+        const { required } = requirements.get(normalizeLabel(student.nombrePrograma));
+        const docs = docsByStudent.get(student.id) || [];
+        const statusOf = (type) => {
+            const matching = docs.filter(d => normalizeLabel(d.document_type) === normalizeLabel(type));
+            if (matching.some(d => d.review_status === 'approved')) return 'approved';
+            if (matching.some(d => (d.review_status || 'pending') === 'pending')) return 'pending';
+            return 'missing';
+        };
+        const byStatus = { approved: [], pending: [], missing: [] };
+        required.forEach(type => byStatus[statusOf(type)].push(type));
+        checklists.set(student.id, {
+            required,
+            approved: byStatus.approved,
+            pendingReview: byStatus.pending,
+            missing: byStatus.missing,
+            complete: byStatus.missing.length === 0
+        });
+    }
+    return checklists;
+}
+
+// Alumnos del alcance del staff con documentación incompleta
+async function findIncompleteStudents(profile, { sede } = {}) {
+    const requirements = await loadCareerRequirements();
+    if (requirements.size === 0) return { students: [], checklists: new Map() };
+
+    const students = await fetchAllRows('student', 'id, full_name, nombrePrograma, codPuntoKennedy', (query) => {
+        let scoped = scopeStudentQuery(query, profile);
+        if (sede) scoped = scoped.eq('codPuntoKennedy', sede);
+        return scoped;
+    });
+    const checklists = await computeChecklists(students, requirements);
+    return {
+        students: students.filter(s => checklists.has(s.id) && !checklists.get(s.id).complete),
+        checklists
+    };
+}
+
+app.get('/api/careers/:id/requirements', verifyUser, requirePermission('careers', 'read'), async (req, res) => {
+    try {
+        const { data, error } = await supabase.from('career_required_documents')
+            .select('document_type')
+            .eq('career_id', req.params.id)
+            .order('document_type');
+        if (error) throw error;
+        res.json((data || []).map(r => r.document_type));
+    } catch (err) {
+        console.error("Requirements Error:", err);
+        res.status(500).json({ error: 'Error cargando requisitos' });
+    }
+});
+
+// Reemplaza la lista completa: { documentTypes: ['DNI', 'Título secundario', ...] }
+app.put('/api/careers/:id/requirements', verifyUser, requirePermission('careers', 'write'), async (req, res) => {
+    const { documentTypes } = req.body;
+    if (!Array.isArray(documentTypes) || documentTypes.some(t => typeof t !== 'string' || !t.trim())) {
+        return sendValidationError(res, [{ field: 'documentTypes', message: 'Debe ser una lista de tipos de documento' }]);
+    }
+
+    try {
+        const { id } = req.params;
+        const { data: career, error: careerError } = await supabase.from('resumen_carreras').select('id, deleted_at').eq('id', id).maybeSingle();
+        if (careerError) throw careerError;
+        if (!career || career.deleted_at) return res.status(404).json({ error: 'Carrera no encontrada' });
+
+        // Sin duplicados (comparando sin mayúsculas ni tildes)
+        const unique = [];
+        for (const type of documentTypes.map(t => t.trim())) {
+            if (!unique.some(u => normalizeLabel(u) === normalizeLabel(type))) unique.push(type);
+        }
+
+        const { data: before, error: beforeError } = await supabase.from('career_required_documents').select('document_type').eq('career_id', id);
+        if (beforeError) throw beforeError;
+        const current = (before || []).map(r => r.document_type);
+
+        // Primero se agregan los nuevos y recién después se quitan los que sobran: si algo
+        // falla a mitad, la carrera nunca queda sin requisitos (y todos los alumnos "completos")
+        const added = unique.filter(type => !current.includes(type));
+        const removed = current.filter(type => !unique.includes(type));
+        if (added.length > 0) {
+            const { error } = await supabase.from('career_required_documents')
+                .insert(added.map(document_type => ({ career_id: id, document_type })));
+            if (error) throw error;
+        }
+        if (removed.length > 0) {
+            const { error: deleteError } = await supabase.from('career_required_documents')
+                .delete().eq('career_id', id).in('document_type', removed);
+            if (deleteError) throw deleteError;
+        }
+
+        await recordAudit(req, {
+            action: 'update', entity: 'career_requirements', entityId: id,
+            before: { documentTypes: current }, after: { documentTypes: unique }
+        });
+        res.json({ success: true, documentTypes: unique });
+    } catch (err) {
+        console.error("Requirements Update Error:", err);
+        res.status(500).json({ error: 'Error guardando requisitos' });
+    }
+});
+
+// ☑️ CHECKLIST DEL ALUMNO
+app.get('/api/students/:id/checklist', verifyUser, requirePermission('documents', 'read'), requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const requirements = await loadCareerRequirements();
+        const entry = requirements.get(normalizeLabel(req.student.nombrePrograma));
+        if (!entry) return res.json({ career: req.student.nombrePrograma || null, required: [], approved: [], pendingReview: [], missing: [], complete: true });
+
+        const checklists = await computeChecklists([req.student], requirements);
+        res.json({ career: entry.career.CARRERA, ...checklists.get(req.student.id) });
+    } catch (err) {
+        console.error("Checklist Error:", err);
+        res.status(500).json({ error: 'Error calculando documentación' });
+    }
+});
+
+// 📋 REPORTE POR SEDE: legajos incompletos (?sede= solo para admin)
+app.get('/api/reports/missing-documents', verifyUser, requirePermission('documents', 'read'), requireSede, async (req, res) => {
+    try {
+        if (req.query.sede && !canAccessSede(req.staffProfile, req.query.sede)) return res.status(403).json({ error: 'No tienes acceso a esa sede' });
+        const sede = req.query.sede || undefined;
+        const { students, checklists } = await findIncompleteStudents(req.staffProfile, { sede });
+
+        const bySede = {};
+        for (const s of students) {
+            const key = s.codPuntoKennedy || 'SIN SEDE';
+            if (!bySede[key]) bySede[key] = { sede: key, incomplete: 0, students: [] };
+            bySede[key].incomplete++;
+            bySede[key].students.push({ id: s.id, full_name: s.full_name, career: s.nombrePrograma, missing: checklists.get(s.id).missing });
+        }
+        res.json({ totalIncomplete: students.length, sedes: Object.values(bySede) });
+    } catch (err) {
+        console.error("Missing Documents Report Error:", err);
+        res.status(500).json({ error: 'Error generando el reporte' });
+    }
+});
+
+// ==========================================
+// 7. STAFF
+// ==========================================
+// Ciclo de vida de una cuenta: invitada (staff_invitations) o registrada sin rol
+// ('pending') -> aprobada ('active') -> desactivada ('deactivated', reversible).
+// Las cuentas no se borran: quedan para la auditoría y las asignaciones históricas.
+// Nunca puede quedar el sistema sin al menos un admin activo.
+// Nadie otorga ni modifica un rol con más permisos o sedes que los propios.
+// staff_invitations: id, email, nombre, rol, sede, sedes, invited_by, expires_at, accepted_at,
+//   staff_id, revoked_at, revoked_by, created_at.
+
+const STAFF_INVITE_TTL_DAYS = Number(process.env.STAFF_INVITE_TTL_DAYS) || 7;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const mapStaff = (profile) => ({ ...profile, status: staffStatusOf(profile) });
+
+const invitationStatusOf = (invitation, now = new Date()) => {
+    if (invitation.accepted_at) return 'accepted';
+    if (invitation.revoked_at) return 'revoked';
+    if (new Date(invitation.expires_at) <= now) return 'expired';
+    return 'pending';
+};
+
+// true si el rol (con su alcance) cabe dentro de los permisos de quien lo otorga
+const canGrantRole = (granter, role) => Boolean(role)
+    && role.permissions.every(p => granter.access.permissions.includes(p))
+    && (role.scope !== 'all' || hasAllSedes(granter));
+
+// Rol, sede y sedes extra para aprobar, invitar o editar: un rol por sede sin sede no vería nada
+function validateStaffGrant(body, matrix, granter) {
+    const errors = [];
+    const rol = body?.rol;
+    const sede = body?.sede ? String(body.sede).trim() : null;
+    const sedes = body?.sedes ?? [];
+    const role = matrix[rol];
+    if (!role) errors.push({ field: 'rol', message: `Use: ${Object.keys(matrix).join(', ')}` });
+    else if (!canGrantRole(granter, role)) errors.push({ field: 'rol', message: 'No puedes otorgar un rol con más permisos que el tuyo' });
+    if (!Array.isArray(sedes) || sedes.some(x => typeof x !== 'string' || !x.trim())) {
+        errors.push({ field: 'sedes', message: 'Debe ser una lista de sedes' });
+        return { value: { rol, sede, sedes: [] }, errors };
+    }
+
+    const extra = [...new Set(sedes.map(x => x.trim()))].filter(x => x !== sede);
+    if (role?.scope === 'sedes' && !sede) errors.push({ field: 'sede', message: 'Obligatoria para este rol' });
+    if ([sede, ...extra].filter(Boolean).some(x => !canAccessSede(granter, x))) {
+        errors.push({ field: 'sede', message: 'No puedes otorgar sedes a las que no tienes acceso' });
+    }
+    return { value: { rol, sede, sedes: extra }, errors };
+}
+
+// Una cuenta con más permisos que los propios no se toca
+const canManageStaff = (matrix, granter, target) => (!target.rol || canGrantRole(granter, matrix[target.rol]))
+    && (!target.sede || canAccessSede(granter, target.sede));
+const OUTRANKED_ERROR = 'No puedes modificar una cuenta con más permisos que la tuya';
+
+async function findStaff(id) {
+    const { data, error } = await supabase.from('perfil_staff').select('*').eq('id', id).maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+// true si el cambio dejaría al sistema sin admins activos
+async function removesLastAdmin(target, next) {
+    const isActiveAdmin = (p) => p.rol === 'admin' && staffStatusOf(p) === 'active';
+    if (!isActiveAdmin(target) || isActiveAdmin({ ...target, ...next })) return false;
+    const { data, error } = await supabase.from('perfil_staff')
+        .select('id').eq('rol', 'admin').or('status.is.null,status.neq.deactivated');
+    if (error) throw error;
+    return (data || []).filter(p => String(p.id) !== String(target.id)).length === 0;
+}
+
+const LAST_ADMIN_ERROR = 'Es el último admin activo: asigne otro admin antes de quitarle el rol o desactivarlo';
+
+app.get('/api/staff', verifyUser, requirePermission('staff', 'read'), async (req, res) => {
+    try {
+        const { data, error } = await supabase.from('perfil_staff').select('*').order('created_at', { ascending: false });
+        if (error) throw error;
+        const staff = (data || []).filter(p => hasAllSedes(req.staffProfile) || canAccessSede(req.staffProfile, p.sede)).map(mapStaff);
+        res.json(req.query.status ? staff.filter(p => p.status === req.query.status) : staff);
+    } catch (err) {
+        console.error("Staff List Error:", err);
+        res.status(500).json({ error: 'Error listando staff' });
+    }
+});
+
+// Cuentas que se registraron solas y esperan rol
+app.get('/api/staff/pending', verifyUser, requirePermission('staff', 'read'), async (req, res) => {
+    try {
+        const { data, error } = await supabase.from('perfil_staff')
+            .select('*').is('rol', null).or('status.is.null,status.neq.deactivated')
+            .order('created_at', { ascending: true });
+        if (error) throw error;
+        res.json((data || []).filter(p => !p.sede || canAccessSede(req.staffProfile, p.sede)).map(mapStaff));
+    } catch (err) {
+        console.error("Pending Staff Error:", err);
+        res.status(500).json({ error: 'Error listando cuentas pendientes' });
+    }
+});
+
+// --- Invitaciones ---
+
+app.get('/api/staff/invitations', verifyUser, requirePermission('staff', 'read'), async (req, res) => {
+    try {
+        const { data, error } = await supabase.from('staff_invitations').select('*').order('created_at', { ascending: false });
+        if (error) throw error;
+        const invitations = (data || [])
+            .filter(i => hasAllSedes(req.staffProfile) || canAccessSede(req.staffProfile, i.sede))
+            .map(i => ({ ...i, status: invitationStatusOf(i) }));
+        res.json(req.query.status ? invitations.filter(i => i.status === req.query.status) : invitations);
+    } catch (err) {
+        console.error("Invitations Error:", err);
+        res.status(500).json({ error: 'Error listando invitaciones' });
+    }
+});
+
+app.post('/api/staff/invitations', verifyUser, requirePermission('staff', 'write'), async (req, res) => {
+    const email = normalizeEmail(req.body?.email);
+    const { value: grant, errors } = validateStaffGrant(req.body, await loadRoleMatrix(), req.staffProfile);
+    if (!EMAIL_PATTERN.test(email)) errors.unshift({ field: 'email', message: 'Email inválido' });
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    try {
+        const { data: existing, error: profileError } = await supabase.from('perfil_staff').select('*').eq('email', email).maybeSingle();
+        if (profileError) throw profileError;
+        if (existing) {
+            const hint = { active: 'ya tiene una cuenta activa', pending: 'ya se registró: apruebe la cuenta pendiente', deactivated: 'tiene una cuenta desactivada: reactívela' };
+            return res.status(409).json({ error: `Ese email ${hint[staffStatusOf(existing)]}`, staffId: existing.id });
+        }
+        if (await findPendingInvitation(email)) return res.status(409).json({ error: 'Ya hay una invitación vigente para ese email' });
+
+        const { data: invitation, error } = await supabase.from('staff_invitations').insert([{
+            email,
+            nombre: req.body?.nombre ? String(req.body.nombre).trim() : null,
+            rol: grant.rol,
+            sede: grant.sede,
+            sedes: grant.sedes,
+            invited_by: req.staffProfile.id,
+            expires_at: new Date(Date.now() + STAFF_INVITE_TTL_DAYS * 24 * 3600 * 1000)
+        }]).select().single();
+        if (error) throw error;
+        await recordAudit(req, { action: 'create', entity: 'staff_invitation', entityId: invitation.id, after: invitation });
+
+        // El email lo manda Supabase Auth; si falla la invitación sigue valiendo (ej. login con Google)
+        const { error: mailError } = await supabase.auth.admin.inviteUserByEmail(email, {
+            redirectTo: process.env.STAFF_INVITE_REDIRECT_URL || undefined,
+            data: { rol: grant.rol, sede: grant.sede }
+        });
+        if (mailError) console.error("Invite Mail Error:", mailError.message);
+
+        res.status(201).json({ ...invitation, status: invitationStatusOf(invitation), emailSent: !mailError, emailError: mailError?.message || null });
+    } catch (err) {
+        console.error("Invite Error:", err);
+        res.status(500).json({ error: 'Error creando invitación' });
+    }
+});
+
+app.delete('/api/staff/invitations/:id', verifyUser, requirePermission('staff', 'write'), async (req, res) => {
+    try {
+        const { data: before, error: findError } = await supabase.from('staff_invitations').select('*').eq('id', req.params.id).maybeSingle();
+        if (findError) throw findError;
+        if (!before) return res.status(404).json({ error: 'Invitación no encontrada' });
+        if (!canAccessSede(req.staffProfile, before.sede)) return res.status(403).json({ error: 'La invitación es de otra sede' });
+        const labels = { accepted: 'aceptada', revoked: 'revocada', expired: 'vencida' };
+        if (invitationStatusOf(before) !== 'pending') return res.status(409).json({ error: `La invitación ya está ${labels[invitationStatusOf(before)]}` });
+
+        const updates = { revoked_at: new Date(), revoked_by: req.staffProfile.id };
+        const { data, error } = await supabase.from('staff_invitations').update(updates)
+            .eq('id', before.id).is('accepted_at', null).is('revoked_at', null).select().maybeSingle();
+        if (error) throw error;
+        if (!data) return res.status(409).json({ error: 'La invitación cambió de estado, recargue' });
+        await recordAudit(req, { action: 'update', entity: 'staff_invitation', entityId: before.id, before, after: updates });
+        res.json({ ...data, status: invitationStatusOf(data) });
+    } catch (err) {
+        console.error("Revoke Invite Error:", err);
+        res.status(500).json({ error: 'Error revocando invitación' });
+    }
+});
+
+// --- Aprobación y cambios de rol ---
+
+app.post('/api/staff/:id/approve', verifyUser, requirePermission('staff', 'write'), async (req, res) => {
+    try {
+        const before = await findStaff(req.params.id);
+        if (!before) return res.status(404).json({ error: 'Usuario no encontrado' });
+        if (staffStatusOf(before) !== 'pending') return res.status(409).json({ error: 'La cuenta no está pendiente de aprobación' });
+
+        const { value: grant, errors } = validateStaffGrant({ sede: null, ...req.body }, await loadRoleMatrix(), req.staffProfile);
+        if (errors.length > 0) return sendValidationError(res, errors);
+
+        const updates = { rol: grant.rol, sede: grant.sede || before.sede, sedes: grant.sedes, status: 'active', approved_at: new Date(), approved_by: req.staffProfile.id };
+        const { data, error } = await supabase.from('perfil_staff').update(updates)
+            .eq('id', before.id).is('rol', null).select().maybeSingle();
+        if (error) throw error;
+        if (!data) return res.status(409).json({ error: 'La cuenta cambió de estado, recargue' });
+        invalidateStaffProfile(before.email);
+        await recordAudit(req, { action: 'update', entity: 'staff', entityId: before.id, before, after: updates });
+        res.json(mapStaff(data));
+    } catch (err) {
+        console.error("Approve Staff Error:", err);
+        res.status(500).json({ error: 'Error aprobando cuenta' });
+    }
+});
+
+// { newRole?, newSede?, newSedes? (sedes extra, ej. coordinador regional) }
+app.put('/api/staff/:id', verifyUser, requirePermission('staff', 'write'), async (req, res) => {
+    const { newRole, newSede, newSedes } = req.body;
+    
+    try {
+        const before = await findStaff(req.params.id);
+        if (!before) return res.status(404).json({ error: 'Usuario no encontrado' });
+
+        const matrix = await loadRoleMatrix();
+        if (!canManageStaff(matrix, req.staffProfile, before)) return res.status(403).json({ error: OUTRANKED_ERROR });
+        const { value: grant, errors } = validateStaffGrant({
+            rol: newRole || before.rol,
+            sede: newSede !== undefined ? newSede : before.sede,
+            sedes: newSedes !== undefined ? newSedes : (before.sedes || [])
+        }, matrix, req.staffProfile);
+        if (errors.length > 0) return sendValidationError(res, errors);
+        if (newRole && await removesLastAdmin(before, { rol: newRole })) return res.status(409).json({ error: LAST_ADMIN_ERROR });
+
+        const updates = { rol: grant.rol, sede: grant.sede, sedes: grant.sedes };
+        if (newRole && staffStatusOf(before) === 'pending') updates.status = 'active';
+        const { error } = await supabase.from('perfil_staff').update(updates).eq('id', req.params.id);
+        if (error) throw error;
+        invalidateStaffProfile(before.email);
+        await recordAudit(req, { action: 'update', entity: 'staff', entityId: req.params.id, before, after: updates });
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Update Staff Error:", err);
+        res.status(500).json({ error: 'Error actualizando staff' });
+    }
+});
+
+// --- Desactivación (reemplaza al borrado) ---
+
+async function setStaffActive(req, res, active) {
+    try {
+        const before = await findStaff(req.params.id);
+        if (!before) return res.status(404).json({ error: 'Usuario no encontrado' });
+        if (!canManageStaff(await loadRoleMatrix(), req.staffProfile, before)) return res.status(403).json({ error: OUTRANKED_ERROR });
+        if ((staffStatusOf(before) === 'deactivated') === !active) {
+            return res.status(409).json({ error: active ? 'La cuenta ya está activa' : 'La cuenta ya está desactivada' });
+        }
+        if (!active && await removesLastAdmin(before, { status: 'deactivated' })) return res.status(409).json({ error: LAST_ADMIN_ERROR });
+
+        const updates = active
+            ? { status: before.rol ? 'active' : 'pending', deactivated_at: null, deactivated_by: null }
+            : { status: 'deactivated', deactivated_at: new Date(), deactivated_by: req.staffProfile.id };
+        const { data, error } = await supabase.from('perfil_staff').update(updates).eq('id', before.id).select().single();
+        if (error) throw error;
+        invalidateStaffProfile(before.email);
+        await recordAudit(req, { action: 'update', entity: 'staff', entityId: before.id, before, after: updates });
+        res.json(mapStaff(data));
+    } catch (err) {
+        console.error("Staff Status Error:", err);
+        res.status(500).json({ error: 'Error cambiando el estado de la cuenta' });
+    }
+}
+
+app.post('/api/staff/:id/deactivate', verifyUser, requirePermission('staff', 'write'), (req, res) => setStaffActive(req, res, false));
+app.post('/api/staff/:id/reactivate', verifyUser, requirePermission('staff', 'write'), (req, res) => setStaffActive(req, res, true));
+
+// Compatibilidad: el DELETE ya no borra, desactiva
+app.delete('/api/staff/:id', verifyUser, requirePermission('staff', 'write'), (req, res) => setStaffActive(req, res, false));
+
+// --- Roles y matriz de permisos ---
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,30}$/;
+
+function validateRole(body) {
+    const errors = [];
+    const value = {};
+    const label = typeof body?.label === 'string' ? body.label.trim() : '';
+    if (!label || label.length > 60) errors.push({ field: 'label', message: 'Nombre visible requerido (máx. 60 caracteres)' });
+    else value.label = label;
+    if (!ROLE_SCOPES.includes(body?.scope)) errors.push({ field: 'scope', message: `Use: ${ROLE_SCOPES.join(', ')}` });
+    else value.scope = body.scope;
+    const permissions = body?.permissions;
+    if (!Array.isArray(permissions)) errors.push({ field: 'permissions', message: "Lista de permisos 'recurso:acción'" });
+    else {
+        const unknown = permissions.filter(p => !ALL_PERMISSIONS.includes(p));
+        if (unknown.length > 0) errors.push({ field: 'permissions', message: `Permisos desconocidos: ${unknown.join(', ')}` });
+        else value.permissions = [...new Set(permissions)];
+    }
+    return { value, errors };
+}
+
+app.get('/api/admin/roles', verifyUser, requirePermission('roles', 'read'), async (req, res) => {
+    try {
+        const matrix = await loadRoleMatrix();
+        res.json({
+            catalog: PERMISSION_CATALOG,
+            scopes: ROLE_SCOPES,
+            roles: Object.values(matrix).map(role => ({ ...role, locked: LOCKED_ROLES.includes(role.role) }))
+        });
+    } catch (err) {
+        console.error("Roles Error:", err);
+        res.status(500).json({ error: 'Error listando roles' });
+    }
+});
+
+// ✏️ Crea un rol o reemplaza los permisos de uno existente: { label, scope, permissions }
+app.put('/api/admin/roles/:role', verifyUser, requirePermission('roles', 'write'), async (req, res) => {
+    const role = req.params.role;
+    if (!ROLE_NAME_PATTERN.test(role)) return sendValidationError(res, [{ field: 'role', message: 'Minúsculas, números y _ (2 a 31 caracteres)' }]);
+    if (LOCKED_ROLES.includes(role)) return res.status(409).json({ error: `El rol '${role}' no se puede modificar` });
+    const { value, errors } = validateRole(req.body);
+    if (errors.length > 0) return sendValidationError(res, errors);
+    if (!canGrantRole(req.staffProfile, value)) return res.status(403).json({ error: 'No puedes definir un rol con más permisos que el tuyo' });
+
+    try {
+        const before = (await loadRoleMatrix())[role] || null;
+        const record = { role, ...value, updated_by: req.staffProfile.id, updated_at: new Date() };
+        const { data, error } = await supabase.from('role_permissions').upsert(record, { onConflict: 'role' }).select().single();
+        if (error) throw error;
+        invalidateRoleMatrix();
+        await recordAudit(req, { action: before ? 'update' : 'create', entity: 'role_permissions', entityId: role, before, after: value });
+        res.json(data);
+    } catch (err) {
+        console.error("Role Update Error:", err);
+        res.status(500).json({ error: 'Error guardando el rol' });
+    }
+});
+
+// 🗑️ Roles propios: se borran si nadie los usa. Roles de fábrica: vuelven a sus permisos por defecto.
+app.delete('/api/admin/roles/:role', verifyUser, requirePermission('roles', 'write'), async (req, res) => {
+    const role = req.params.role;
+    if (LOCKED_ROLES.includes(role)) return res.status(409).json({ error: `El rol '${role}' no se puede modificar` });
+
+    try {
+        const before = (await loadRoleMatrix())[role];
+        if (!before?.custom) return res.status(404).json({ error: before ? 'El rol ya tiene sus permisos por defecto' : 'Rol no encontrado' });
+        if (!before.builtIn) {
+            const { count, error: countError } = await supabase.from('perfil_staff').select('id', { count: 'exact', head: true }).eq('rol', role);
+            if (countError) throw countError;
+            if (count > 0) return res.status(409).json({ error: `Hay ${count} cuenta(s) con el rol '${role}': reasígnelas antes de borrarlo` });
+        }
+
+        const { error } = await supabase.from('role_permissions').delete().eq('role', role);
+        if (error) throw error;
+        invalidateRoleMatrix();
+        await recordAudit(req, { action: before.builtIn ? 'update' : 'delete', entity: 'role_permissions', entityId: role, before, after: before.builtIn ? DEFAULT_ROLES[role] : null });
+        res.json({ success: true, reset: before.builtIn });
+    } catch (err) {
+        console.error("Role Delete Error:", err);
+        res.status(500).json({ error: 'Error borrando el rol' });
+    }
+});
+
+// ==========================================
+// 8. SISTEMA ADMIN & BOT
+// ==========================================
+
+// Interruptor global. Si no se puede leer, el bot queda apagado (falla cerrado).
+async function getBotStatus() {
+    try {
+        const { data, error } = await supabase.from('bot_settings').select('is_active').eq('id', 1).single();
+        if (error || !data) return false;
+        return data.is_active === true;
+    } catch (e) { return false; }
+}
+
+app.post('/api/admin/bot-status', verifyUser, requirePermission('bot', 'write'), async (req, res) => {
+    if (!hasAllSedes(req.staffProfile)) return res.status(403).json({ error: 'El interruptor global afecta a todas las sedes.' });
+    const { is_active } = req.body; 
+    if (typeof is_active !== 'boolean') return sendValidationError(res, [{ field: 'is_active', message: 'Debe ser true o false' }]);
+    const before = await getBotStatus();
+    await supabase.from('bot_settings').upsert({ id: 1, is_active: is_active, updated_at: new Date() });
+    await recordAudit(req, { action: 'update', entity: 'bot_settings', entityId: 1, before: { is_active: before }, after: { is_active } });
+    return res.json({ success: true, is_active });
+});
+
+app.get('/api/admin/bot-status', verifyUser, requirePermission('bot', 'read'), async (req, res) => {
+    const isActive = await getBotStatus();
+    res.json({ active: isActive, is_active: isActive });
+});
+
+// 📞 BACKFILL DE TELÉFONOS Y SESIONES
+// Normaliza telefono1/telefono2 a E.164 y vincula cada session_id de n8n con su alumno.
+// Con { dryRun: true } solo informa. Los teléfonos compartidos por varios alumnos
+// quedan como ambiguos y no se vinculan.
+const BACKFILL_PAGE = 1000;
+
+// applyFilters permite sumar filtros (ej. alcance de sede) a cada página
+async function fetchAllRows(table, columns, applyFilters = (query) => query) {
+    const rows = [];
+    for (let from = 0; ; from += BACKFILL_PAGE) {
+        const { data, error } = await applyFilters(supabase.from(table).select(columns))
+            .order('id', { ascending: true })
+            .range(from, from + BACKFILL_PAGE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < BACKFILL_PAGE) return rows;
+    }
+}
+
+app.post('/api/admin/phones/backfill', verifyUser, requirePermission('system', 'manage'), async (req, res) => {
+    const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+
+    try {
+        const report = {
+            dryRun,
+            students: { scanned: 0, normalized: 0, invalid: [] },
+            duplicates: [],
+            sessions: { scanned: 0, linked: 0, alreadyLinked: 0, unmatched: 0, ambiguous: [] }
+        };
+
+        // 1. Teléfonos de alumnos
+        const students = await fetchAllRows('student', 'id, telefono1, telefono2');
+        const byPhone = new Map();
+        for (const student of students) {
+            report.students.scanned++;
+            const updates = {};
+            for (const field of ['telefono1', 'telefono2']) {
+                if (!student[field]) continue;
+                const phone = normalizePhone(student[field]);
+                if (!phone) {
+                    report.students.invalid.push({ id: student.id, field, value: student[field] });
+                    continue;
+                }
+                if (phone !== student[field]) updates[field] = phone;
+                if (!byPhone.has(phone)) byPhone.set(phone, new Set());
+                byPhone.get(phone).add(student.id);
+            }
+            if (Object.keys(updates).length > 0) {
+                report.students.normalized++;
+                if (!dryRun) {
+                    const { error } = await supabase.from('student').update(updates).eq('id', student.id);
+                    if (error) throw error;
+                }
+            }
+        }
+        for (const [phone, ids] of byPhone) {
+            if (ids.size > 1) report.duplicates.push({ phone, studentIds: [...ids] });
+        }
+
+        // 2. Sesiones de chat
+        const chatRows = await fetchAllRows('n8n_chat_histories', 'id, session_id');
+        const sessionIds = [...new Set(chatRows.map(r => r.session_id).filter(Boolean))];
+        const linkedRows = await fetchAllRows('student_chat_sessions', 'id, session_id');
+        const alreadyLinked = new Set(linkedRows.map(l => l.session_id));
+
+        const toLink = [];
+        for (const sessionId of sessionIds) {
+            report.sessions.scanned++;
+            if (alreadyLinked.has(sessionId)) { report.sessions.alreadyLinked++; continue; }
+
+            const phone = sessionIdToPhone(sessionId);
+            const ids = phone ? byPhone.get(phone) : null;
+            if (!ids) { report.sessions.unmatched++; continue; }
+            if (ids.size > 1) {
+                report.sessions.ambiguous.push({ session_id: sessionId, phone, studentIds: [...ids] });
+                continue;
+            }
+            toLink.push({ session_id: sessionId, student_id: [...ids][0], phone, created_at: new Date() });
+        }
+        report.sessions.linked = toLink.length;
+
+        if (!dryRun && toLink.length > 0) {
+            const { error } = await supabase.from('student_chat_sessions').upsert(toLink, { onConflict: 'session_id' });
+            if (error) throw error;
+        }
+
+        if (!dryRun) {
+            await recordAudit(req, {
+                action: 'update', entity: 'phone_backfill', entityId: null,
+                after: { normalized: report.students.normalized, linked: report.sessions.linked }
+            });
+        }
+
+        res.json(report);
+    } catch (err) {
+        console.error("Backfill Error:", err);
+        res.status(500).json({ error: 'Error en el backfill de teléfonos' });
+    }
+});
+
+// 📄 EXTRACCIONES DE TEXTO: ?status=failed|pending|unsupported|done
+app.get('/api/admin/documents/extractions', verifyUser, requirePermission('system', 'manage'), async (req, res) => {
+    try {
+        const status = req.query.status || 'failed';
+        let query = supabase.from('student_documents')
+            .select('id, student_id, document_type, file_name, mime_type, extraction_status, extraction_error, uploaded_at');
+        query = status === 'pending'
+            ? query.or('extraction_status.is.null,extraction_status.eq.pending')
+            : query.eq('extraction_status', status);
+        const { data, error } = await query.order('uploaded_at', { ascending: false }).limit(200);
+        if (error) throw error;
+        res.json(data || []);
+    } catch (err) {
+        console.error("Extraction List Error:", err);
+        res.status(500).json({ error: 'Error listando extracciones' });
+    }
+});
+
+// 🔁 REINTENTO: un documento puntual o, sin :id, los fallidos/pendientes en lote
+app.post('/api/admin/documents/:id/extract', verifyUser, requirePermission('system', 'manage'), async (req, res) => {
+    try {
+        const { data: doc } = await supabase.from('student_documents').select('*').eq('id', req.params.id).maybeSingle();
+        if (!doc) return res.status(404).json({ error: 'Documento no encontrado' });
+        const result = await retryDocumentExtraction(doc);
+        res.json({ id: doc.id, ...result });
+    } catch (err) {
+        console.error("Extraction Retry Error:", err);
+        res.status(500).json({ error: 'Error reintentando extracción' });
+    }
+});
+
+app.post('/api/admin/documents/extract', verifyUser, requirePermission('system', 'manage'), async (req, res) => {
+    try {
+        const { data: docs, error } = await supabase.from('student_documents')
+            .select('*')
+            .or('extraction_status.is.null,extraction_status.in.(pending,failed)')
+            .order('uploaded_at', { ascending: true })
+            .limit(EXTRACTION_RETRY_BATCH);
+        if (error) throw error;
+
+        const results = [];
+        for (const doc of docs || []) {
+            results.push({ id: doc.id, ...(await retryDocumentExtraction(doc)) });
+        }
+        res.json({ processed: results.length, results });
+    } catch (err) {
+        console.error("Extraction Batch Error:", err);
+        res.status(500).json({ error: 'Error en reintento de extracciones' });
+    }
+});
+
+// 🔎 AUDITORÍA: filtros ?actor=&entity=&entityId=&action=&from=&to=&page=
+app.get('/api/admin/audit', verifyUser, requirePermission('audit', 'read'), async (req, res) => {
+    try {
+        const { actor, entity, entityId, action, from, to, page = 1 } = req.query;
+        const limit = 50;
+        const start = (Math.max(parseInt(page, 10) || 1, 1) - 1) * limit;
+
+        if (action && !AUDIT_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `Acción no válida. Use: ${AUDIT_ACTIONS.join(', ')}` });
+        }
+        for (const [name, value] of [['from', from], ['to', to]]) {
+            if (value && isNaN(Date.parse(value))) return res.status(400).json({ error: `Fecha '${name}' inválida` });
+        }
+
+        let query = supabase.from('audit_log').select('*', { count: 'exact' });
+        if (actor) query = String(actor).includes('@') ? query.eq('actor_email', actor) : query.eq('actor_id', actor);
+        if (entity) query = query.eq('entity', entity);
+        if (entityId) query = query.eq('entity_id', String(entityId));
+        if (action) query = query.eq('action', action);
+        if (from) query = query.gte('created_at', new Date(from).toISOString());
+        if (to) query = query.lte('created_at', new Date(to).toISOString());
+
+        const { data, count, error } = await query
+            .order('created_at', { ascending: false })
+            .range(start, start + limit - 1);
+        if (error) throw error;
+
+        res.json({ data: data || [], total: count || 0 });
+    } catch (err) {
+        console.error("Audit Query Error:", err);
+        res.status(500).json({ error: 'Error consultando auditoría' });
+    }
+});
+
+// ==========================================
+// 8.1 CONTROL DEL BOT (SEDE, ALUMNO, HORARIO Y HANDOVER)
+// ==========================================
+// El bot responde solo si todas las capas lo permiten, en este orden:
+//   1. global:   bot_settings (id 1).is_active
+//   2. sede:     bot_sede_settings (sede, is_active, timezone, schedule, updated_by, updated_at)
+//   3. alumno:   columna 'bot active' (false lo apaga)
+//   4. handover: student.bot_paused_until (un humano tomó la conversación; se reanuda solo)
+//   5. horario:  schedule de la sede { mon: [['08:00', '20:00']], ... } en su timezone;
+//                sin schedule el bot atiende siempre.
+// Cualquier error al consultar deja el bot apagado (reason 'error').
+
+const BOT_DEFAULT_TIMEZONE = process.env.BOT_TIMEZONE || 'America/Argentina/Buenos_Aires';
+const BOT_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const HANDOVER_DEFAULT_MINUTES = 60;
+const HANDOVER_MAX_MINUTES = 24 * 60;
+const BOT_STUDENT_COLUMNS = 'id, codPuntoKennedy, "bot active", bot_paused_until';
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (e) { return false; }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function validateBotSchedule(schedule) {
+    if (schedule === null) return null;
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) return 'Debe ser un objeto por día (mon..sun)';
+    for (const [day, ranges] of Object.entries(schedule)) {
+        if (!BOT_DAYS.includes(day)) return `Día inválido: ${day}`;
+        if (!Array.isArray(ranges)) return `${day}: debe ser una lista de rangos`;
+        for (const range of ranges) {
+            if (!Array.isArray(range) || range.length !== 2 || !range.every(t => TIME_PATTERN.test(t)) || range[0] >= range[1]) {
+                return `${day}: cada rango es ['HH:MM', 'HH:MM'] con inicio menor al fin`;
+            }
+        }
+    }
+    return null;
+}
+
+// Día y hora locales de la sede ('mon', '14:05')
+function localDayAndTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date);
+    const get = (type) => parts.find(p => p.type === type).value;
+    return { day: get('weekday').toLowerCase(), time: `${get('hour')}:${get('minute')}` };
+}
+
+const withinSchedule = (schedule, timezone, date) => {
+    if (!schedule) return true;
+    const { day, time } = localDayAndTime(date, timezone || BOT_DEFAULT_TIMEZONE);
+    return (schedule[day] || []).some(([start, end]) => time >= start && time < end);
+};
+
+async function getSedeBotSettings(sede) {
+    if (!sede) return null;
+    const { data, error } = await supabase.from('bot_sede_settings').select('*').eq('sede', sede).maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+// { active, reason, resumesAt } para un alumno (o solo global + sede si no hay alumno)
+async function resolveBotState({ student = null, sede = null, now = new Date() } = {}) {
+    try {
+        const { data: global, error } = await supabase.from('bot_settings').select('is_active').eq('id', 1).single();
+        if (error || !global) throw error || new Error('Sin configuración global del bot');
+        if (global.is_active !== true) return { active: false, reason: 'global' };
+
+        const sedeSettings = await getSedeBotSettings(student ? student.codPuntoKennedy : sede);
+        if (sedeSettings && sedeSettings.is_active === false) return { active: false, reason: 'sede' };
+
+        if (student) {
+            if (student['bot active'] === false) return { active: false, reason: 'student' };
+            if (student.bot_paused_until && new Date(student.bot_paused_until) > now) {
+                return { active: false, reason: 'handover', resumesAt: student.bot_paused_until };
+            }
+        }
+
+        if (sedeSettings && !withinSchedule(sedeSettings.schedule, sedeSettings.timezone, now)) {
+            return { active: false, reason: 'schedule' };
+        }
+        return { active: true, reason: null };
+    } catch (err) {
+        console.error("Bot State Error:", err && err.message);
+        return { active: false, reason: 'error' };
+    }
+}
+
+// --- SEDES ---
+
+app.get('/api/admin/bot/sedes', verifyUser, requirePermission('bot', 'read'), async (req, res) => {
+    try {
+        const { data, error } = await scopeSedeQuery(supabase.from('bot_sede_settings').select('*'), req.staffProfile).order('sede', { ascending: true });
+        if (error) throw error;
+        res.json({ defaultTimezone: BOT_DEFAULT_TIMEZONE, sedes: data || [] });
+    } catch (err) {
+        console.error("Bot Sedes Error:", err);
+        res.status(500).json({ error: 'Error listando configuración del bot' });
+    }
+});
+
+// ⚙️ { is_active?, timezone?, schedule? (null = siempre) }
+app.put('/api/admin/bot/sedes/:sede', verifyUser, requirePermission('bot', 'write'), async (req, res) => {
+    if (!canAccessSede(req.staffProfile, req.params.sede)) return res.status(403).json({ error: 'No tienes acceso a esa sede' });
+    try {
+        const { is_active, timezone, schedule } = req.body;
+        const errors = [];
+        const updates = {};
+        if (is_active !== undefined) {
+            if (typeof is_active !== 'boolean') errors.push({ field: 'is_active', message: 'Debe ser true o false' });
+            else updates.is_active = is_active;
+        }
+        if (timezone !== undefined) {
+            if (typeof timezone !== 'string' || !isValidTimezone(timezone)) errors.push({ field: 'timezone', message: 'Zona horaria IANA inválida (ej. America/Argentina/Buenos_Aires)' });
+            else updates.timezone = timezone;
+        }
+        if (schedule !== undefined) {
+            const scheduleError = validateBotSchedule(schedule);
+            if (scheduleError) errors.push({ field: 'schedule', message: scheduleError });
+            else updates.schedule = schedule;
+        }
+        if (errors.length > 0) return sendValidationError(res, errors);
+        if (Object.keys(updates).length === 0) return sendValidationError(res, [{ field: null, message: 'No hay campos para actualizar' }]);
+
+        const before = await getSedeBotSettings(req.params.sede);
+        const record = {
+            is_active: true, timezone: BOT_DEFAULT_TIMEZONE, schedule: null,
+            ...(before || {}), ...updates,
+            sede: req.params.sede, updated_by: req.staffProfile.id, updated_at: new Date()
+        };
+        const { data, error } = await supabase.from('bot_sede_settings').upsert(record, { onConflict: 'sede' }).select().single();
+        if (error) throw error;
+        await recordAudit(req, { action: before ? 'update' : 'create', entity: 'bot_sede_settings', entityId: req.params.sede, before, after: updates });
+        res.json(data);
+    } catch (err) {
+        console.error("Bot Sede Update Error:", err);
+        res.status(500).json({ error: 'Error guardando configuración del bot' });
+    }
+});
+
+// --- ALUMNO ---
+
+app.get('/api/students/:id/bot', verifyUser, requirePermission('bot', 'read'), requireStudentAccess(req => req.params.id), async (req, res) => {
+    res.json(await resolveBotState({ student: req.student }));
+});
+
+// 🙋 HANDOVER: { minutes } -> el bot deja de responder a este alumno hasta que venza
+app.post('/api/students/:id/handover', verifyUser, requirePermission('bot', 'handover'), requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const minutes = req.body.minutes === undefined ? HANDOVER_DEFAULT_MINUTES : Number(req.body.minutes);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > HANDOVER_MAX_MINUTES) {
+            return sendValidationError(res, [{ field: 'minutes', message: `Entero entre 1 y ${HANDOVER_MAX_MINUTES}` }]);
+        }
+        const updates = { bot_paused_until: new Date(Date.now() + minutes * 60 * 1000).toISOString(), bot_paused_by: req.staffProfile.id };
+        const { error } = await supabase.from('student').update(updates).eq('id', req.student.id);
+        if (error) throw error;
+        await recordAudit(req, { action: 'update', entity: 'student', entityId: req.student.id, before: req.student, after: updates });
+        res.json(await resolveBotState({ student: { ...req.student, ...updates } }));
+    } catch (err) {
+        console.error("Handover Error:", err);
+        res.status(500).json({ error: 'Error tomando la conversación' });
+    }
+});
+
+// Devuelve la conversación al bot antes de que venza el handover
+app.delete('/api/students/:id/handover', verifyUser, requirePermission('bot', 'handover'), requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const updates = { bot_paused_until: null, bot_paused_by: null };
+        const { error } = await supabase.from('student').update(updates).eq('id', req.student.id);
+        if (error) throw error;
+        await recordAudit(req, { action: 'update', entity: 'student', entityId: req.student.id, before: req.student, after: updates });
+        res.json(await resolveBotState({ student: { ...req.student, ...updates } }));
+    } catch (err) {
+        console.error("Handover Resume Error:", err);
+        res.status(500).json({ error: 'Error devolviendo la conversación al bot' });
+    }
+});
+
+// --- N8N ---
+
+// 🤖 ¿RESPONDE EL BOT? ?phone=<teléfono del alumno>[&sede=] -> { active, reason, resumesAt }
+// Teléfono sin alumno (contacto nuevo): global + sede indicada. Varios alumnos con el
+// mismo teléfono: el bot responde solo si está activo para todos.
+app.get('/api/n8n/bot-status', verifyN8n, async (req, res) => {
+    try {
+        const phone = normalizePhone(req.query.phone);
+        if (!phone) return sendValidationError(res, [{ field: 'phone', message: 'Teléfono inválido' }]);
+        const students = await findStudentsByPhone(phone, BOT_STUDENT_COLUMNS);
+        if (students.length === 0) {
+            return res.json({ phone, studentIds: [], ...(await resolveBotState({ sede: req.query.sede ? String(req.query.sede) : null })) });
+        }
+        const states = await Promise.all(students.map(student => resolveBotState({ student })));
+        const state = states.find(s => !s.active) || states[0];
+        res.json({ phone, studentIds: students.map(s => s.id), ...state });
+    } catch (err) {
+        console.error("n8n Bot Status Error:", err);
+        res.json({ active: false, reason: 'error' });
+    }
+});
+
+// ==========================================
+// 8.2 ANALÍTICA DE ADMISIONES
+// ==========================================
+// Todas las rutas aceptan ?from=&to= (default: últimos 30 días), ?bucket=day|week|month
+// y ?sede= (limitado a las sedes del perfil). Las series vienen listas para graficar: { buckets: [...], series: [{ key, data }] }
+// con ceros en los períodos sin datos. Los días se cortan en ANALYTICS_TIMEZONE.
+// Resultados cacheados ANALYTICS_CACHE_TTL segundos (?refresh=true fuerza recalcular).
+
+const ANALYTICS_TIMEZONE = process.env.ANALYTICS_TIMEZONE || BOT_DEFAULT_TIMEZONE;
+const ANALYTICS_BUCKETS = ['day', 'week', 'month'];
+const ANALYTICS_MAX_BUCKETS = 400;
+const ANALYTICS_TOP_CAREERS = 10;
+const analyticsCache = new NodeCache({ stdTTL: Number(process.env.ANALYTICS_CACHE_TTL) || 300, checkperiod: 120, useClones: false });
+
+// Fecha local 'YYYY-MM-DD'
+const localDate = (date) => new Intl.DateTimeFormat('en-CA', {
+    timeZone: ANALYTICS_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+}).format(new Date(date));
+
+// Clave del período: día, lunes de la semana o 'YYYY-MM'
+function bucketKey(date, bucket) {
+    const day = localDate(date);
+    if (bucket === 'month') return day.substring(0, 7);
+    if (bucket === 'week') {
+        const d = new Date(`${day}T00:00:00Z`);
+        d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+        return d.toISOString().substring(0, 10);
+    }
+    return day;
+}
+
+function listBuckets(from, to, bucket) {
+    const keys = [];
+    const last = bucketKey(to, bucket);
+    const cursor = new Date(`${bucketKey(from, bucket)}${bucket === 'month' ? '-01' : ''}T00:00:00Z`);
+    while (keys.length <= ANALYTICS_MAX_BUCKETS) {
+        const key = bucket === 'month' ? cursor.toISOString().substring(0, 7) : cursor.toISOString().substring(0, 10);
+        if (key > last) break;
+        keys.push(key);
+        if (bucket === 'month') cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+        else cursor.setUTCDate(cursor.getUTCDate() + (bucket === 'week' ? 7 : 1));
+    }
+    return keys;
+}
+
+// Minutos de diferencia con UTC de la zona de analítica en ese instante
+const timezoneOffsetMinutes = (date) => {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone: ANALYTICS_TIMEZONE, timeZoneName: 'longOffset' })
+        .formatToParts(date).find(p => p.type === 'timeZoneName')?.value || '';
+    const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+    return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+};
+
+// 'YYYY-MM-DD' se toma como día local completo (inicio para from, fin para to)
+function parseAnalyticsDate(value, { endOfDay = false } = {}) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return new Date(value);
+    const utc = Date.parse(`${value}T00:00:00Z`);
+    if (isNaN(utc)) return new Date(NaN);
+    const start = utc - timezoneOffsetMinutes(new Date(utc)) * 60000;
+    return new Date(endOfDay ? start + 24 * 3600 * 1000 - 1 : start);
+}
+
+function parseAnalyticsQuery(query, profile) {
+    const errors = [];
+    const to = query.to ? parseAnalyticsDate(query.to, { endOfDay: true }) : new Date();
+    const from = query.from ? parseAnalyticsDate(query.from) : new Date(to.getTime() - 30 * 24 * 3600 * 1000);
+    if (isNaN(from.getTime())) errors.push({ field: 'from', message: 'Fecha inválida' });
+    if (isNaN(to.getTime())) errors.push({ field: 'to', message: 'Fecha inválida' });
+    if (errors.length === 0 && from > to) errors.push({ field: 'from', message: 'Debe ser anterior a to' });
+    const bucket = query.bucket || 'day';
+    if (!ANALYTICS_BUCKETS.includes(bucket)) errors.push({ field: 'bucket', message: `Use ${ANALYTICS_BUCKETS.join(', ')}` });
+    if (errors.length === 0 && listBuckets(from, to, bucket).length > ANALYTICS_MAX_BUCKETS) {
+        errors.push({ field: 'bucket', message: `Demasiados períodos (máx. ${ANALYTICS_MAX_BUCKETS}); use un bucket mayor` });
+    }
+    const sede = query.sede ? String(query.sede) : null;
+    // sedes: null = todas; si no pide una, las del perfil
+    const sedes = sede ? [sede] : sedesOf(profile);
+    return { value: { from, to, bucket, sede, sedes, profile }, errors };
+}
+
+// Cuenta filas por período y por clave (ej. sede) -> series con ceros
+function bucketSeries(rows, { from, to, bucket }, keyOf, dateOf = (r) => r.created_at) {
+    const buckets = listBuckets(from, to, bucket);
+    const position = new Map(buckets.map((b, i) => [b, i]));
+    const series = new Map();
+    for (const row of rows) {
+        const index = position.get(bucketKey(dateOf(row), bucket));
+        if (index === undefined) continue;
+        const key = keyOf(row);
+        if (!series.has(key)) series.set(key, new Array(buckets.length).fill(0));
+        series.get(key)[index]++;
+    }
+    return {
+        buckets,
+        series: [...series.entries()]
+            .map(([key, data]) => ({ key, total: data.reduce((a, b) => a + b, 0), data }))
+            .sort((a, b) => b.total - a.total)
+    };
+}
+
+// Middleware: permiso + cache por ruta, query y alcance. ranged=false para fotos actuales (sin rango)
+const analyticsRoute = (name, compute, { ranged = true } = {}) => [verifyUser, requirePermission('analytics', 'read'), requireSede, async (req, res) => {
+    if (req.query.sede && !canAccessSede(req.staffProfile, String(req.query.sede))) return res.status(403).json({ error: 'No tienes acceso a esa sede' });
+    const { value: params, errors } = parseAnalyticsQuery(req.query, req.staffProfile);
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    const { refresh, ...rest } = req.query;
+    const cacheKey = `${name}:${JSON.stringify(params.sedes)}:${JSON.stringify(Object.keys(rest).sort().map(k => [k, rest[k]]))}`;
+    try {
+        let cached = true;
+        let result = refresh === 'true' ? undefined : analyticsCache.get(cacheKey);
+        if (result === undefined) {
+            cached = false;
+            const range = ranged ? { from: params.from.toISOString(), to: params.to.toISOString(), bucket: params.bucket } : {};
+            result = { ...(await compute(params, req)), ...range, sede: params.sede, sedes: params.sedes, generatedAt: new Date().toISOString() };
+            analyticsCache.set(cacheKey, result);
+        }
+        res.json({ ...result, cached });
+    } catch (err) {
+        console.error(`Analytics ${name} Error:`, err);
+        res.status(500).json({ error: 'Error calculando analítica' });
+    }
+}];
+
+const inRange = ({ from, to }, column = 'created_at') => (q) => q.gte(column, from.toISOString()).lte(column, to.toISOString());
+
+// 📈 LEADS (alumnos nuevos) por período: ?groupBy=sede|career&career=
+app.get('/api/analytics/leads', ...analyticsRoute('leads', async (params, req) => {
+    const groupBy = req.query.groupBy === 'career' ? 'career' : 'sede';
+    const students = await fetchAllRows('student', 'id, created_at, codPuntoKennedy, nombrePrograma', (q) => {
+        let scoped = inRange(params)(q);
+        if (params.sedes) scoped = scoped.in('codPuntoKennedy', params.sedes);
+        if (req.query.career) scoped = scoped.ilike('nombrePrograma', escapeLikePattern(String(req.query.career)));
+        return scoped;
+    });
+    const keyOf = groupBy === 'career' ? (s) => s.nombrePrograma || 'Sin carrera' : (s) => s.codPuntoKennedy || 'Sin sede';
+    const result = bucketSeries(students, params, keyOf);
+    // Las carreras menos frecuentes se agrupan para que el gráfico sea legible
+    if (groupBy === 'career' && result.series.length > ANALYTICS_TOP_CAREERS) {
+        const rest = result.series.slice(ANALYTICS_TOP_CAREERS);
+        const others = rest[0].data.map((_, i) => rest.reduce((sum, s) => sum + s.data[i], 0));
+        result.series = [...result.series.slice(0, ANALYTICS_TOP_CAREERS), { key: 'Otras', total: others.reduce((a, b) => a + b, 0), data: others }];
+    }
+    return { groupBy, total: students.length, ...result };
+}));
+
+// 🧭 ESTADO Y ÁNIMO de los alumnos (foto actual, no usa el rango)
+app.get('/api/analytics/students/breakdown', ...analyticsRoute('breakdown', async (params) => {
+    const students = await fetchAllRows('student', 'id, status, mood, codPuntoKennedy', (q) => (params.sedes ? q.in('codPuntoKennedy', params.sedes) : q));
+    const countBy = (values, field) => {
+        const counts = new Map(values.map(v => [v, 0]));
+        for (const s of students) {
+            const key = s[field] || 'Sin dato';
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        return [...counts.entries()].map(([label, count]) => ({ label, count }));
+    };
+    const matrix = STUDENT_STATUSES.map(status => ({
+        status,
+        moods: Object.fromEntries(STUDENT_MOODS.map(mood => [mood, students.filter(s => s.status === status && s.mood === mood).length]))
+    }));
+    return { total: students.length, status: countBy(STUDENT_STATUSES, 'status'), mood: countBy(STUDENT_MOODS, 'mood'), matrix };
+}, { ranged: false }));
+
+// 💬 VOLUMEN DE MENSAJES: alumno, bot y secretaría por período
+app.get('/api/analytics/messages', ...analyticsRoute('messages', async (params) => {
+    const [chats, staffMessages] = await Promise.all([
+        fetchAllRows('n8n_chat_histories', 'id, session_id, message, created_at', inRange(params)),
+        fetchAllRows('Mensaje_de_secretaria', 'id, sede, created_at', (q) => {
+            const scoped = inRange(params)(q);
+            return params.sedes ? scoped.in('sede', params.sedes) : scoped;
+        })
+    ]);
+
+    let sedeChats = chats;
+    if (params.sedes) {
+        // Sesiones de las sedes: vínculos guardados + candidatos por teléfono
+        const students = await fetchAllRows('student', 'id, telefono1, telefono2', (q) => q.in('codPuntoKennedy', params.sedes));
+        const sessions = new Set(students.flatMap(s => studentPhones(s).flatMap(sessionIdCandidates)));
+        for (const ids of chunk(students.map(s => s.id), ID_CHUNK)) {
+            const { data, error } = await supabase.from('student_chat_sessions').select('session_id').in('student_id', ids);
+            if (error) throw error;
+            (data || []).forEach(link => sessions.add(link.session_id));
+        }
+        sedeChats = chats.filter(c => sessions.has(c.session_id));
+    }
+
+    const rows = [
+        ...sedeChats.map(c => ({ created_at: c.created_at, kind: detectN8nRole(c.message) === 'user' ? 'alumno' : 'bot' })),
+        ...staffMessages.map(m => ({ created_at: m.created_at, kind: 'secretaria' }))
+    ];
+    const result = bucketSeries(rows, params, (r) => r.kind);
+    const totals = Object.fromEntries(result.series.map(s => [s.key, s.total]));
+    const outbound = (totals.bot || 0) + (totals.secretaria || 0);
+    return { ...result, totals, botShare: outbound ? Math.round(((totals.bot || 0) / outbound) * 1000) / 10 : null };
+}));
+
+// 📋 DOCUMENTACIÓN (foto actual): porcentaje de legajos completos por carrera y documentos que más faltan
+app.get('/api/analytics/documents', ...analyticsRoute('documents', async (params) => {
+    const requirements = await loadCareerRequirements();
+    const students = await fetchAllRows('student', 'id, nombrePrograma, codPuntoKennedy', (q) => (params.sedes ? q.in('codPuntoKennedy', params.sedes) : q));
+    const checklists = await computeChecklists(students, requirements);
+
+    const rate = (part, total) => (total ? Math.round((part / total) * 1000) / 10 : null);
+    const byCareer = new Map();
+    const missingByType = new Map();
+    for (const student of students.filter(s => checklists.has(s.id))) {
+        const checklist = checklists.get(student.id);
+        const career = requirements.get(normalizeLabel(student.nombrePrograma)).career.CARRERA;
+        if (!byCareer.has(career)) byCareer.set(career, { career, students: 0, complete: 0, approved: 0 });
+        const stats = byCareer.get(career);
+        stats.students++;
+        if (checklist.complete) stats.complete++;
+        if (checklist.approved.length === checklist.required.length) stats.approved++;
+        checklist.missing.forEach(type => missingByType.set(type, (missingByType.get(type) || 0) + 1));
+    }
+
+    const careers = [...byCareer.values()].map(c => ({ ...c, completionRate: rate(c.complete, c.students), approvalRate: rate(c.approved, c.students) }));
+    const totals = careers.reduce((acc, c) => ({ students: acc.students + c.students, complete: acc.complete + c.complete, approved: acc.approved + c.approved }), { students: 0, complete: 0, approved: 0 });
+    return {
+        ...totals,
+        completionRate: rate(totals.complete, totals.students),
+        approvalRate: rate(totals.approved, totals.students),
+        careers: careers.sort((a, b) => b.students - a.students),
+        missing: [...missingByType.entries()].map(([documentType, count]) => ({ documentType, count })).sort((a, b) => b.count - a.count)
+    };
+}, { ranged: false }));
+
+// ⏱️ TIEMPOS DE RESPUESTA de la cola de secretaría (promedio y mediana en minutos)
+app.get('/api/analytics/response-times', ...analyticsRoute('response-times', async (params) => {
+    const requests = await fetchAllRows('secretaria_requests', '*', (q) => {
+        const scoped = inRange(params, 'opened_at')(q);
+        return params.sedes ? scoped.in('sede', params.sedes) : scoped;
+    });
+    const stats = (values) => {
+        if (values.length === 0) return { count: 0, avg: null, median: null };
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return {
+            count: values.length,
+            avg: Math.round(values.reduce((a, b) => a + b, 0) / values.length),
+            median: sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2)
+        };
+    };
+    const answered = requests.map(r => mapSecretariaRequest(r)).filter(r => r.sla.minutesToFirstResponse != null);
+
+    const buckets = listBuckets(params.from, params.to, params.bucket);
+    const perBucket = new Map(buckets.map(b => [b, []]));
+    answered.forEach(r => { const list = perBucket.get(bucketKey(r.opened_at, params.bucket)); if (list) list.push(r.sla.minutesToFirstResponse); });
+
+    const perAdvisor = new Map();
+    answered.forEach(r => {
+        const key = r.assigned_to == null ? 'unassigned' : String(r.assigned_to);
+        if (!perAdvisor.has(key)) perAdvisor.set(key, { staffId: r.assigned_to ?? null, values: [] });
+        perAdvisor.get(key).values.push(r.sla.minutesToFirstResponse);
+    });
+
+    const staffIds = [...perAdvisor.values()].map(a => a.staffId).filter(id => id != null);
+    const names = new Map();
+    if (staffIds.length > 0) {
+        const { data: staff, error } = await supabase.from('perfil_staff').select('id, nombre').in('id', staffIds);
+        if (error) throw error;
+        (staff || []).forEach(s => names.set(String(s.id), s.nombre));
+    }
+
+    return {
+        slaMinutes: SECRETARIA_SLA_MINUTES,
+        overall: { ...stats(answered.map(r => r.sla.minutesToFirstResponse)), breached: answered.filter(r => r.sla.breached).length, unanswered: requests.length - answered.length },
+        buckets,
+        series: [
+            { key: 'avg', data: buckets.map(b => stats(perBucket.get(b)).avg) },
+            { key: 'median', data: buckets.map(b => stats(perBucket.get(b)).median) }
+        ],
+        advisors: [...perAdvisor.values()].map(({ staffId, values }) => ({ staffId, nombre: names.get(String(staffId)) || null, ...stats(values) }))
+    };
+}));
+
+// ==========================================
+// 9. INTELIGENCIA ARTIFICIAL
+// ==========================================
+
+// --- PERFILES DE MODELO, REINTENTOS Y CONSUMO ---
+// Cada uso de la IA tiene un perfil: 'assistant' (análisis y asistente del staff) y
+// 'classifier' (estado y ánimo). La tabla ai_model_profiles (profile, models text[],
+// temperature, max_tokens, timeout_ms, prices jsonb, updated_by, updated_at) pisa los
+// valores por defecto. models va en orden: el primero es el principal, el resto fallbacks.
+// prices: { [modelo]: { prompt, completion } } en USD por millón de tokens (si el proveedor
+// informa usage.cost, como OpenRouter, se usa ese).
+// Cada pedido (con sus reintentos) deja una fila en ai_usage_log y ai_budgets (scope 'global'
+// o una sede, monthly_limit_usd) frena la IA cuando el gasto del mes llega al tope.
+
+// Entero >= 0; un valor vacío o inválido ('abc', -1, 1.5) usa el default
+const aiMaxRetriesEnv = Number(process.env.AI_MAX_RETRIES || 2);
+const AI_MAX_RETRIES = Number.isInteger(aiMaxRetriesEnv) && aiMaxRetriesEnv >= 0 ? aiMaxRetriesEnv : 2;
+const AI_RETRY_BASE_MS = Number(process.env.AI_RETRY_BASE_MS) || 1000;
+const AI_RETRY_MAX_MS = 30 * 1000;
+const AI_MAX_MODELS = 5;
+const AI_FALLBACK_MODELS = String(process.env.OPENROUTER_FALLBACK_MODELS || '').split(',').map(m => m.trim()).filter(Boolean);
+
+const DEFAULT_AI_PROFILES = {
+    assistant: { label: 'Asistente del staff', models: [AI_MODEL, ...AI_FALLBACK_MODELS], temperature: null, maxTokens: null, timeoutMs: 60000, prices: {} },
+    classifier: { label: 'Clasificador de estado y ánimo', models: [process.env.AI_CLASSIFIER_MODEL || AI_MODEL, ...AI_FALLBACK_MODELS], temperature: 0, maxTokens: null, timeoutMs: 30000, prices: {} }
+};
+
+const aiConfigCache = new NodeCache({ stdTTL: 60, useClones: false });
+
+async function loadAiProfiles() {
+    const cached = aiConfigCache.get('profiles');
+    if (cached) return cached;
+
+    const { data, error } = await supabase.from('ai_model_profiles').select('*');
+    if (error) throw error;
+    const profiles = {};
+    for (const [name, def] of Object.entries(DEFAULT_AI_PROFILES)) profiles[name] = { name, ...def, custom: false };
+    for (const row of data || []) {
+        if (!profiles[row.profile] || !Array.isArray(row.models) || row.models.length === 0) continue;
+        profiles[row.profile] = {
+            ...profiles[row.profile],
+            models: row.models,
+            temperature: row.temperature ?? null,
+            maxTokens: row.max_tokens ?? null,
+            timeoutMs: row.timeout_ms || profiles[row.profile].timeoutMs,
+            prices: row.prices || {},
+            custom: true,
+            updatedAt: row.updated_at || null
+        };
+    }
+    aiConfigCache.set('profiles', profiles);
+    return profiles;
+}
+
+// Map scope -> tope mensual en USD
+async function loadAiBudgets() {
+    const cached = aiConfigCache.get('budgets');
+    if (cached) return cached;
+
+    const { data, error } = await supabase.from('ai_budgets').select('*');
+    if (error) throw error;
+    const budgets = Object.fromEntries((data || []).filter(b => b.monthly_limit_usd != null).map(b => [b.scope, Number(b.monthly_limit_usd)]));
+    aiConfigCache.set('budgets', budgets);
+    return budgets;
+}
+
+// El mes se corta en la zona de la analítica
+const aiMonthStart = (date = new Date()) => parseAnalyticsDate(`${localDate(date).substring(0, 7)}-01`);
+
+const addAiSpend = (spend, sede, cost) => {
+    if (!cost) return;
+    spend.total += cost;
+    if (sede) spend.bySede[sede] = (spend.bySede[sede] || 0) + cost;
+};
+
+// Gasto del mes en curso: { total, bySede }. Se suma en memoria con cada pedido.
+async function loadAiMonthSpend() {
+    const key = `spend:${aiMonthStart().toISOString()}`;
+    const cached = aiConfigCache.get(key);
+    if (cached) return cached;
+
+    const rows = await fetchAllRows('ai_usage_log', 'id, sede, cost_usd', q => q.gte('created_at', aiMonthStart().toISOString()));
+    const spend = { total: 0, bySede: {} };
+    for (const row of rows) addAiSpend(spend, row.sede, Number(row.cost_usd) || 0);
+    aiConfigCache.set(key, spend);
+    return spend;
+}
+
+// Motivo por el que la IA está frenada para esa sede, o null si puede seguir
+async function aiBudgetBlock(sede) {
+    const [budgets, spend] = await Promise.all([loadAiBudgets(), loadAiMonthSpend()]);
+    if (budgets.global != null && spend.total >= budgets.global) return 'Se alcanzó el presupuesto mensual de IA';
+    if (sede && budgets[sede] != null && (spend.bySede[sede] || 0) >= budgets[sede]) return `Se alcanzó el presupuesto mensual de IA de la sede ${sede}`;
+    return null;
+}
+
+// Quién y desde dónde consume: la sede es la del alumno si lo hay
+const aiContextOf = (req, student = req.student) => ({
+    staffId: req.staffProfile?.id ?? null,
+    sede: student?.codPuntoKennedy || req.staffProfile?.sede || null,
+    studentId: student?.id ?? null,
+    route: `${req.method} ${req.originalUrl.split('?')[0]}`
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 429, 5xx, timeouts y cortes de conexión se reintentan; el resto pasa al siguiente modelo
+const isRetryableAiError = (err) => err instanceof OpenAI.APIConnectionError || [408, 409, 429].includes(err?.status) || err?.status >= 500;
+
+function aiRetryDelay(err, retry) {
+    const retryAfter = Number(err?.headers?.get?.('retry-after'));
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, AI_RETRY_MAX_MS);
+    return Math.min(AI_RETRY_BASE_MS * 2 ** retry, AI_RETRY_MAX_MS) + Math.floor(Math.random() * AI_RETRY_BASE_MS / 2);
+}
+
+function aiCostOf(profile, model, usage) {
+    if (typeof usage?.cost === 'number') return usage.cost;
+    const price = profile.prices?.[model];
+    if (!price || !usage) return null;
+    return ((usage.prompt_tokens || 0) * (price.prompt || 0) + (usage.completion_tokens || 0) * (price.completion || 0)) / 1e6;
+}
+
+async function requestAiCompletion(profile, model, messages, { stream, onDelta, signal }) {
+    const body = { model, messages };
+    if (profile.temperature != null) body.temperature = profile.temperature;
+    if (profile.maxTokens != null) body.max_tokens = profile.maxTokens;
+    const options = { timeout: profile.timeoutMs, signal };
+
+    if (!stream) {
+        const completion = await openai.chat.completions.create(body, options);
+        const content = completion.choices?.[0]?.message?.content;
+        if (!content) throw new Error('El modelo devolvió una respuesta vacía');
+        return { content, usage: completion.usage || null };
+    }
+
+    const completion = await openai.chat.completions.create({ ...body, stream: true, stream_options: { include_usage: true } }, options);
+    let content = '';
+    let usage = null;
+    for await (const chunk of completion) {
+        if (chunk.usage) usage = chunk.usage;
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (!delta) continue;
+        content += delta;
+        onDelta(delta);
+    }
+    if (!content) throw new Error('El modelo devolvió una respuesta vacía');
+    return { content, usage };
+}
+
+// Nunca rompe la request: si el registro falla, solo se loguea
+async function logAiUsage({ profile, model, tried, attempts, startedAt, context, status, usage = null, messages, content = '', error = null }) {
+    // Sin usage del proveedor (stream cortado) se estima; un pedido fallido no consume
+    const estimated = !usage && Boolean(content);
+    const tokens = usage || (estimated
+        ? { prompt_tokens: estimateTokens(messages.map(m => m.content).join('\n')), completion_tokens: estimateTokens(content) }
+        : null);
+    const cost = tokens ? aiCostOf(profile, model, tokens) : null;
+
+    try {
+        const { error: insertError } = await supabase.from('ai_usage_log').insert([{
+            profile: profile.name,
+            model,
+            models_tried: tried,
+            attempts,
+            status,
+            prompt_tokens: tokens?.prompt_tokens ?? null,
+            completion_tokens: tokens?.completion_tokens ?? null,
+            total_tokens: tokens ? (tokens.total_tokens ?? (tokens.prompt_tokens || 0) + (tokens.completion_tokens || 0)) : null,
+            usage_estimated: estimated,
+            cost_usd: cost,
+            latency_ms: Date.now() - startedAt,
+            staff_id: context.staffId ?? null,
+            sede: context.sede || null,
+            student_id: context.studentId ?? null,
+            route: context.route || null,
+            error: error ? String(error).substring(0, 500) : null,
+            created_at: new Date()
+        }]);
+        if (insertError) throw insertError;
+        const spend = aiConfigCache.get(`spend:${aiMonthStart().toISOString()}`);
+        if (spend) addAiSpend(spend, context.sede, cost);
+    } catch (err) {
+        console.error("AI Usage Log Error:", err.message);
+    }
+}
+
+// Llama al perfil con reintentos (backoff exponencial) y fallback de modelos, y registra el consumo.
+// Con stream, onDelta recibe cada fragmento; una vez que salió texto ya no se reintenta.
+// Si ningún modelo responde lanza un error con status 502.
+async function runAiCompletion(profileName, messages, { context = {}, stream = false, onDelta = () => {}, signal } = {}) {
+    const profile = (await loadAiProfiles())[profileName];
+    const startedAt = Date.now();
+    const tried = [];
+    let attempts = 0;
+    let partial = '';
+    let lastError = null;
+    const log = (model, fields) => logAiUsage({ profile, model, tried, attempts, startedAt, context, messages, ...fields });
+
+    for (const model of profile.models) {
+        tried.push(model);
+        for (let retry = 0; retry <= AI_MAX_RETRIES; retry++) {
+            attempts++;
+            try {
+                const result = await requestAiCompletion(profile, model, messages, {
+                    stream, signal, onDelta: (delta) => { partial += delta; onDelta(delta); }
+                });
+                await log(model, { status: 'ok', usage: result.usage, content: result.content });
+                return { ...result, model };
+            } catch (err) {
+                lastError = err;
+                if (signal?.aborted || partial) {
+                    await log(model, { status: signal?.aborted ? 'aborted' : 'error', content: partial, error: err.message });
+                    throw err;
+                }
+                console.warn(`⚠️ IA ${model} (intento ${retry + 1}): ${err.message}`);
+                if (!isRetryableAiError(err) || retry === AI_MAX_RETRIES) break;
+                await sleep(aiRetryDelay(err, retry));
+            }
+        }
+    }
+
+    await log(tried[tried.length - 1], { status: 'error', error: lastError?.message });
+    throw Object.assign(new Error('Ningún modelo de IA respondió, intente más tarde'), { status: 502 });
+}
+
+async function nodeReadChat(studentId, limit = 20) {
+    const { data: student } = await supabase.from('student').select('id, telefono1, telefono2').eq('id', studentId).single();
+    if (!student) return "Sin historial.";
+    
+    const sessionIds = await getStudentSessionIds(student);
+    if (sessionIds.length === 0) return "Sin historial.";
+    
+    const { data: chats } = await supabase.from('n8n_chat_histories')
+        .select('message')
+        .in('session_id', sessionIds)
+        .order('id', { ascending: false })
+        .limit(limit);
+        
+    if (!chats || chats.length === 0) return "No hay historial reciente.";
+    
+    return chats.map(c => {
+        const cleanContent = cleanN8nMessage(c.message);
+        const author = detectN8nRole(c.message) === 'user' ? 'Alumno' : 'Bot';
+        return `- ${author}: ${cleanContent}`;
+    }).reverse().join('\n');
+}
+
+// Devuelve [{ document_type, file_name, text }] desde el texto ya extraído (document_texts);
+// el recorte lo hace buildAssistantMessages
+async function nodeReadDocs(studentId) {
+    const { data: docs, error } = await supabase.from('student_documents')
+        .select('id, document_type, file_name, extraction_status')
+        .eq('student_id', studentId)
+        .is('deleted_at', null);
+    if (error) throw error;
+    if (!docs || docs.length === 0) return [];
+
+    const { data: texts, error: textError } = await supabase.from('document_texts')
+        .select('document_id, text')
+        .in('document_id', docs.map(d => d.id));
+    if (textError) throw textError;
+    const textById = new Map((texts || []).map(t => [t.document_id, t.text]));
+
+    return docs.map(doc => ({
+        document_type: doc.document_type,
+        file_name: doc.file_name,
+        text: textById.get(doc.id) || `[Archivo sin texto disponible: ${doc.extraction_status || 'pending'}]`
+    }));
+}
+
+// --- PRESUPUESTO DE TOKENS ---
+// Estimación simple (~4 caracteres por token): suficiente para no pasarse de contexto.
+const AI_CONTEXT_TOKENS = parseInt(process.env.AI_CONTEXT_TOKENS, 10) || 6000;
+const AI_BUDGET = { chat: 0.25, documents: 0.30, history: 0.35 }; // el resto: sistema + pregunta
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+const truncateToTokens = (text, tokens, { keepEnd = false } = {}) => {
+    const str = String(text || '');
+    const maxChars = Math.max(tokens, 0) * 4;
+    if (str.length <= maxChars) return str;
+    return keepEnd ? `…${str.slice(str.length - maxChars)}` : `${str.slice(0, maxChars)}…`;
+};
+
+// Arma los mensajes en secciones: sistema, contexto del alumno (chat + documentos),
+// historial de la conversación con el asistente y la pregunta actual.
+function buildAssistantMessages(student, { chatContext, documents, history = [], question }) {
+    const budget = (key) => Math.floor(AI_CONTEXT_TOKENS * AI_BUDGET[key]);
+
+    const system = `ERES: Asistente administrativo de la Universidad Kennedy. Ayudas al staff a gestionar al alumno.
+ALUMNO: ${student.full_name} | DNI: ${student['numero Identificacion'] || '-'} | CARRERA: ${student.nombrePrograma || '-'} | SEDE: ${student.codPuntoKennedy || '-'} | ESTADO: ${student.status || 'Sólo preguntó'}
+Responde breve y en español. Si un dato no está en el contexto, dilo.`;
+
+    // Documentos: el presupuesto se reparte en partes iguales
+    const perDoc = documents.length > 0 ? Math.floor(budget('documents') / documents.length) : 0;
+    const docsSection = documents.length > 0
+        ? documents.map(d => `--- DOC: ${d.document_type} (${d.file_name}) ---\n${truncateToTokens(d.text, perDoc)}`).join('\n')
+        : 'No hay documentos.';
+
+    // Chat de WhatsApp: se conservan los mensajes más recientes
+    const chatSection = truncateToTokens(chatContext, budget('chat'), { keepEnd: true });
+
+    // Historial del asistente: de la pregunta más reciente hacia atrás mientras entre
+    const turns = [];
+    let used = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+        const cost = estimateTokens(history[i].content);
+        if (used + cost > budget('history')) break;
+        used += cost;
+        turns.unshift({ role: history[i].role, content: history[i].content });
+    }
+
+    return [
+        { role: "system", content: system },
+        { role: "system", content: `HISTORIAL WHATSAPP:\n${chatSection}\n\nDOCUMENTOS:\n${docsSection}` },
+        ...turns,
+        { role: "user", content: question }
+    ];
+}
+
+app.post('/api/bot/analyze', verifyUser, requirePermission('messages', 'read'), requireStudentAccess(req => req.body.studentId), async (req, res) => {
+    const systemActive = await getBotStatus();
+    if (systemActive === false) return res.json({ answer: "⛔ IA desactivada por administrador." });
+    
+    const { studentId, question } = req.body;
+    if (!AI_CONFIGURED) return res.json({ answer: "⚠️ Error: Falta API Key." });
+    
+    try {
+        const student = req.student;
+        const blocked = await aiBudgetBlock(student.codPuntoKennedy);
+        if (blocked) return res.json({ answer: `⛔ ${blocked}.`, budgetExceeded: true });
+
+        const [chatContext, documents] = await Promise.all([ nodeReadChat(studentId), nodeReadDocs(studentId) ]);
+        
+        const { content } = await runAiCompletion('assistant', buildAssistantMessages(student, { chatContext, documents, question }), {
+            context: aiContextOf(req)
+        });
+        res.json({ answer: content });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error("AI Analyze Error:", err);
+        res.status(500).json({ error: 'Error análisis IA' });
+    }
+});
+
+// ==========================================
+// 9.1 CLASIFICADOR DE ESTADO Y ÁNIMO
+// ==========================================
+// Lee la conversación reciente y escribe en 'student': status, mood,
+// ai_summary y classified_at. La respuesta del modelo se valida contra los enums.
+
+const CLASSIFIER_BATCH_LIMIT = 25;
+// Tope de filas de n8n_chat_histories que lee un lote (las más recientes primero)
+const CLASSIFIER_SCAN_LIMIT = Number(process.env.CLASSIFIER_SCAN_LIMIT) || 5000;
+
+const CLASSIFIER_PROMPT = `Eres un analista de admisiones de la Universidad Kennedy.
+Lee la conversación de WhatsApp entre un alumno y el bot y clasifícala.
+Responde SOLO un JSON con esta forma:
+{"status": "<estado>", "mood": "<ánimo>", "summary": "<resumen de 1 o 2 frases>"}
+Estados posibles: ${STUDENT_STATUSES.join(' | ')}
+Ánimos posibles: ${STUDENT_MOODS.join(' | ')}`;
+
+// Extrae y valida el JSON del modelo; lanza si algo no encaja con los enums
+function parseClassification(rawAnswer) {
+    const match = String(rawAnswer || '').match(/\{[\s\S]*\}/);
+    if (!match) throw new Error('La IA no devolvió JSON');
+
+    const parsed = JSON.parse(match[0]);
+    if (!STUDENT_STATUSES.includes(parsed.status)) throw new Error(`Estado fuera del enum: ${parsed.status}`);
+    if (!STUDENT_MOODS.includes(parsed.mood)) throw new Error(`Ánimo fuera del enum: ${parsed.mood}`);
+    if (typeof parsed.summary !== 'string' || !parsed.summary.trim()) throw new Error('Resumen vacío');
+
+    return { status: parsed.status, mood: parsed.mood, summary: parsed.summary.trim().substring(0, 500) };
+}
+
+async function classifyStudent(student, context) {
+    const transcript = await nodeReadChat(student.id, 40);
+    if (!transcript.startsWith('- ')) return { skipped: true, reason: 'Sin conversación' };
+
+    const { content } = await runAiCompletion('classifier', [
+        { role: "system", content: CLASSIFIER_PROMPT },
+        { role: "user", content: `ALUMNO: ${student.full_name}\nCONVERSACIÓN:\n${transcript}` }
+    ], { context });
+    const result = parseClassification(content);
+
+    const updates = { status: result.status, mood: result.mood, ai_summary: result.summary, classified_at: new Date().toISOString() };
+    const { error } = await supabase.from('student').update(updates).eq('id', student.id);
+    if (error) throw error;
+
+    return { before: { status: student.status, mood: student.mood, ai_summary: student.ai_summary }, ...updates };
+}
+
+// 🧠 CLASIFICACIÓN A DEMANDA DE UN ALUMNO
+app.post('/api/admin/students/:id/classify', verifyUser, requirePermission('system', 'manage'), requireStudentAccess(req => req.params.id), async (req, res) => {
+    if (!AI_CONFIGURED) return res.status(503).json({ error: 'Falta API Key de IA' });
+
+    try {
+        const blocked = await aiBudgetBlock(req.student.codPuntoKennedy);
+        if (blocked) return res.status(503).json({ error: blocked, budgetExceeded: true });
+
+        const result = await classifyStudent(req.student, aiContextOf(req));
+        if (result.skipped) return res.status(422).json({ error: result.reason });
+
+        const { before, ...updates } = result;
+        await recordAudit(req, { action: 'update', entity: 'student', entityId: req.student.id, before, after: updates });
+        res.json({ success: true, ...updates });
+    } catch (err) {
+        console.error("Classifier Error:", err.message);
+        res.status(502).json({ error: 'La IA no pudo clasificar al alumno' });
+    }
+});
+
+// 🧠 CLASIFICACIÓN EN LOTE: alumnos con mensajes nuevos desde su última clasificación
+// Body: { since?: ISO (default: últimas 24h), limit?: number }
+app.post('/api/admin/classify/batch', verifyUser, requirePermission('system', 'manage'), async (req, res) => {
+    if (!AI_CONFIGURED) return res.status(503).json({ error: 'Falta API Key de IA' });
+
+    const since = req.body?.since ? new Date(req.body.since) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    if (isNaN(since.getTime())) return res.status(400).json({ error: "Fecha 'since' inválida" });
+    const limit = Math.min(parseInt(req.body?.limit, 10) || CLASSIFIER_BATCH_LIMIT, 100);
+
+    try {
+        // Última actividad por sesión desde 'since' (lo más reciente primero, con tope)
+        const { data: chats, error } = await supabase.from('n8n_chat_histories')
+            .select('session_id, created_at')
+            .gte('created_at', since.toISOString())
+            .order('created_at', { ascending: false })
+            .limit(CLASSIFIER_SCAN_LIMIT);
+        if (error) throw error;
+
+        const lastBySession = new Map();
+        for (const c of chats || []) {
+            if (!lastBySession.has(c.session_id)) lastBySession.set(c.session_id, c.created_at);
+        }
+
+        // Sesión -> alumno; las ambiguas o sin alumno se descartan
+        const sessionStudents = await studentsBySession([...lastBySession.keys()]);
+        const lastByStudent = new Map();
+        for (const [sessionId, lastAt] of lastBySession) {
+            const studentIds = sessionStudents.get(sessionId) || [];
+            if (studentIds.length !== 1) continue;
+            const prev = lastByStudent.get(studentIds[0]);
+            if (!prev || prev < lastAt) lastByStudent.set(studentIds[0], lastAt);
+        }
+
+        // truncated: hubo más mensajes que CLASSIFIER_SCAN_LIMIT; otro lote con 'since' más corto sigue
+        const report = { candidates: lastByStudent.size, truncated: (chats || []).length >= CLASSIFIER_SCAN_LIMIT, classified: [], skipped: [], failed: [] };
+        const done = () => report.classified.length + report.failed.length >= limit;
+        for (const ids of chunk([...lastByStudent.keys()], ID_CHUNK)) {
+            if (done()) break;
+            const { data: students, error: studentError } = await supabase.from('student').select('*').in('id', ids);
+            if (studentError) throw studentError;
+            const byId = new Map((students || []).map(s => [String(s.id), s]));
+
+            for (const studentId of ids) {
+                if (done()) break;
+                const student = byId.get(String(studentId));
+                const lastAt = lastByStudent.get(studentId);
+                if (!student) continue;
+                if (student.classified_at && new Date(student.classified_at) >= new Date(lastAt)) {
+                    report.skipped.push({ id: studentId, reason: 'Sin mensajes nuevos' });
+                    continue;
+                }
+
+                // Las sedes que llegaron al tope del presupuesto quedan para el mes que viene
+                const blocked = await aiBudgetBlock(student.codPuntoKennedy);
+                if (blocked) {
+                    report.skipped.push({ id: studentId, reason: blocked });
+                    continue;
+                }
+
+                try {
+                    const result = await classifyStudent(student, aiContextOf(req, student));
+                    if (result.skipped) { report.skipped.push({ id: studentId, reason: result.reason }); continue; }
+                    const { before, ...updates } = result;
+                    await recordAudit(req, { action: 'update', entity: 'student', entityId: studentId, before, after: updates });
+                    report.classified.push({ id: studentId, status: updates.status, mood: updates.mood });
+                } catch (err) {
+                    report.failed.push({ id: studentId, error: err.message });
+                }
+            }
+        }
+
+        res.json(report);
+    } catch (err) {
+        console.error("Classifier Batch Error:", err);
+        res.status(500).json({ error: 'Error en la clasificación en lote' });
+    }
+});
+
+// ==========================================
+// 9.2 ASISTENTE CONVERSACIONAL (STREAMING SSE)
+// ==========================================
+// Una conversación activa por alumno y miembro del staff. Tablas:
+//   assistant_conversations: id, student_id, staff_id, archived_at, created_at, updated_at
+//   assistant_messages:      id, conversation_id, role ('user'|'assistant'), content, created_at
+
+async function getActiveConversation(studentId, staffId, { create = false } = {}) {
+    const { data: existing, error } = await supabase.from('assistant_conversations')
+        .select('*')
+        .eq('student_id', studentId)
+        .eq('staff_id', staffId)
+        .is('archived_at', null)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    if (error) throw error;
+    if (existing || !create) return existing;
+
+    const { data: created, error: insertError } = await supabase.from('assistant_conversations')
+        .insert([{ student_id: studentId, staff_id: staffId, created_at: new Date(), updated_at: new Date() }])
+        .select()
+        .single();
+    if (insertError) throw insertError;
+    return created;
+}
+
+async function getConversationMessages(conversationId) {
+    const { data, error } = await supabase.from('assistant_messages')
+        .select('*')
+        .eq('conversation_id', conversationId)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true });
+    if (error) throw error;
+    return data || [];
+}
+
+const sendSse = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+// 📜 TRANSCRIPCIÓN: conversación activa del staff con este alumno (o ?conversationId=)
+app.get('/api/students/:id/assistant', verifyUser, requirePermission('messages', 'read'), requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        let conversation;
+        if (req.query.conversationId) {
+            const { data } = await supabase.from('assistant_conversations').select('*')
+                .eq('id', req.query.conversationId).eq('student_id', req.student.id).maybeSingle();
+            // Cada uno ve sus propias conversaciones; quien audita ve todas
+            if (!data || (data.staff_id !== req.staffProfile.id && !can(req.staffProfile, 'audit', 'read'))) {
+                return res.status(404).json({ error: 'Conversación no encontrada' });
+            }
+            conversation = data;
+        } else {
+            conversation = await getActiveConversation(req.student.id, req.staffProfile.id);
+        }
+
+        const messages = conversation ? await getConversationMessages(conversation.id) : [];
+        res.json({ conversation: conversation || null, messages });
+    } catch (err) {
+        console.error("Assistant Load Error:", err);
+        res.status(500).json({ error: 'Error cargando conversación del asistente' });
+    }
+});
+
+// 📚 CONVERSACIONES ANTERIORES con este alumno
+app.get('/api/students/:id/assistant/conversations', verifyUser, requirePermission('messages', 'read'), requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        let query = supabase.from('assistant_conversations').select('*').eq('student_id', req.student.id);
+        if (!can(req.staffProfile, 'audit', 'read')) query = query.eq('staff_id', req.staffProfile.id);
+        const { data, error } = await query.order('updated_at', { ascending: false });
+        if (error) throw error;
+        res.json(data || []);
+    } catch (err) {
+        console.error("Assistant List Error:", err);
+        res.status(500).json({ error: 'Error listando conversaciones' });
+    }
+});
+
+// 🔄 NUEVA CONVERSACIÓN: archiva la activa; la próxima pregunta arranca de cero
+app.post('/api/students/:id/assistant/reset', verifyUser, requirePermission('messages', 'read'), requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const { error } = await supabase.from('assistant_conversations')
+            .update({ archived_at: new Date() })
+            .eq('student_id', req.student.id)
+            .eq('staff_id', req.staffProfile.id)
+            .is('archived_at', null);
+        if (error) throw error;
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Assistant Reset Error:", err);
+        res.status(500).json({ error: 'Error reiniciando conversación' });
+    }
+});
+
+// 💬 PREGUNTA CON RESPUESTA EN STREAMING
+// Eventos SSE: 'token' { delta }, 'done' { conversationId, messageId }, 'error' { error }
+app.post('/api/students/:id/assistant/messages', verifyUser, requirePermission('messages', 'read'), requireStudentAccess(req => req.params.id), async (req, res) => {
+    const question = typeof req.body?.question === 'string' ? req.body.question.trim() : '';
+    if (!question) return res.status(400).json({ error: 'Falta la pregunta' });
+
+    const systemActive = await getBotStatus();
+    if (systemActive === false) return res.status(503).json({ error: 'IA desactivada por administrador.' });
+    if (!AI_CONFIGURED) return res.status(503).json({ error: 'Falta API Key de IA' });
+
+    let conversation, history, chatContext, documents;
+    try {
+        const blocked = await aiBudgetBlock(req.student.codPuntoKennedy);
+        if (blocked) return res.status(503).json({ error: blocked, budgetExceeded: true });
+
+        conversation = await getActiveConversation(req.student.id, req.staffProfile.id, { create: true });
+        [history, chatContext, documents] = await Promise.all([
+            getConversationMessages(conversation.id),
+            nodeReadChat(req.student.id),
+            nodeReadDocs(req.student.id)
+        ]);
+
+        const { error } = await supabase.from('assistant_messages')
+            .insert([{ conversation_id: conversation.id, role: 'user', content: question, created_at: new Date() }]);
+        if (error) throw error;
+    } catch (err) {
+        console.error("Assistant Prepare Error:", err);
+        return res.status(500).json({ error: 'Error preparando el asistente' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    // Si el frontend cierra la conexión, se corta la llamada al modelo
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    let answer = '';
+    try {
+        await runAiCompletion('assistant', buildAssistantMessages(req.student, { chatContext, documents, history, question }), {
+            stream: true,
+            signal: controller.signal,
+            context: aiContextOf(req),
+            onDelta: (delta) => {
+                answer += delta;
+                sendSse(res, 'token', { delta });
+            }
+        });
+    } catch (err) {
+        if (!controller.signal.aborted) {
+            console.error("Assistant Stream Error:", err.message);
+            sendSse(res, 'error', { error: err.status ? err.message : 'Error generando la respuesta' });
+        }
+    }
+
+    // Se guarda lo generado aunque el stream se haya cortado a mitad
+    try {
+        let messageId = null;
+        if (answer) {
+            const { data: saved } = await supabase.from('assistant_messages')
+                .insert([{ conversation_id: conversation.id, role: 'assistant', content: answer, created_at: new Date() }])
+                .select()
+                .single();
+            messageId = saved?.id ?? null;
+        }
+        await supabase.from('assistant_conversations').update({ updated_at: new Date() }).eq('id', conversation.id);
+        if (!res.writableEnded) sendSse(res, 'done', { conversationId: conversation.id, messageId });
+    } catch (err) {
+        console.error("Assistant Save Error:", err.message);
+    }
+    res.end();
+});
+
+// ==========================================
+// 9.3 MODELOS, PRESUPUESTO Y CONSUMO DE IA
+// ==========================================
+// Configuración de los perfiles de modelo y topes mensuales (ai:write) y reporte de
+// consumo por staff, sede, modelo o perfil (ai:read). El gasto se cuenta en USD.
+
+const AI_USAGE_GROUPS = { staff: 'staff_id', sede: 'sede', model: 'model', profile: 'profile' };
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+const optionalNumber = (value, { min, max, integer = false }) => {
+    if (value === null || value === undefined) return { value: null };
+    const num = Number(value);
+    if (typeof value === 'boolean' || !Number.isFinite(num) || num < min || num > max || (integer && !Number.isInteger(num))) {
+        return { error: `${integer ? 'Entero' : 'Número'} entre ${min} y ${max}` };
+    }
+    return { value: num };
+};
+
+// El PUT reemplaza el perfil completo; lo que no viene vuelve al valor por defecto
+function validateAiProfile(body, defaults) {
+    const errors = [];
+    const value = {};
+    const input = body || {};
+
+    const models = Array.isArray(input.models) ? [...new Set(input.models.map(m => (typeof m === 'string' ? m.trim() : '')))] : [];
+    if (models.length === 0 || models.length > AI_MAX_MODELS || models.some(m => !m || m.length > 200)) {
+        errors.push({ field: 'models', message: `Lista de 1 a ${AI_MAX_MODELS} modelos; el primero es el principal` });
+    } else {
+        value.models = models;
+    }
+
+    for (const [field, rule] of [['temperature', { min: 0, max: 2 }], ['maxTokens', { min: 1, max: 100000, integer: true }], ['timeoutMs', { min: 1000, max: 300000, integer: true }]]) {
+        const result = optionalNumber(input[field], rule);
+        if (result.error) errors.push({ field, message: result.error });
+        else value[field] = result.value;
+    }
+    if (value.timeoutMs == null) value.timeoutMs = defaults.timeoutMs;
+
+    const prices = input.prices ?? {};
+    value.prices = {};
+    if (typeof prices !== 'object' || Array.isArray(prices)) {
+        errors.push({ field: 'prices', message: 'Debe ser { modelo: { prompt, completion } } en USD por millón de tokens' });
+    } else {
+        for (const [model, price] of Object.entries(prices)) {
+            const prompt = optionalNumber(price?.prompt ?? 0, { min: 0, max: 10000 });
+            const completion = optionalNumber(price?.completion ?? 0, { min: 0, max: 10000 });
+            if (prompt.error || completion.error) errors.push({ field: `prices.${model}`, message: 'Precios en USD por millón de tokens (≥ 0)' });
+            else value.prices[model] = { prompt: prompt.value, completion: completion.value };
+        }
+    }
+    return { value, errors };
+}
+
+app.get('/api/admin/ai/profiles', verifyUser, requirePermission('ai', 'read'), async (req, res) => {
+    try {
+        res.json({ maxRetries: AI_MAX_RETRIES, profiles: Object.values(await loadAiProfiles()) });
+    } catch (err) {
+        console.error("AI Profiles Error:", err);
+        res.status(500).json({ error: 'Error cargando perfiles de IA' });
+    }
+});
+
+// { models: [principal, ...fallbacks], temperature?, maxTokens?, timeoutMs?, prices? }
+app.put('/api/admin/ai/profiles/:profile', verifyUser, requirePermission('ai', 'write'), async (req, res) => {
+    const name = req.params.profile;
+    const defaults = DEFAULT_AI_PROFILES[name];
+    if (!defaults) return res.status(404).json({ error: `Perfil desconocido. Use: ${Object.keys(DEFAULT_AI_PROFILES).join(', ')}` });
+
+    const { value, errors } = validateAiProfile(req.body, defaults);
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    try {
+        const before = (await loadAiProfiles())[name];
+        const row = {
+            profile: name,
+            models: value.models,
+            temperature: value.temperature,
+            max_tokens: value.maxTokens,
+            timeout_ms: value.timeoutMs,
+            prices: value.prices,
+            updated_by: req.staffProfile.id,
+            updated_at: new Date()
+        };
+        const { error } = await supabase.from('ai_model_profiles').upsert(row, { onConflict: 'profile' });
+        if (error) throw error;
+        aiConfigCache.del('profiles');
+        await recordAudit(req, { action: 'update', entity: 'ai_model_profile', entityId: name, before, after: value });
+        res.json((await loadAiProfiles())[name]);
+    } catch (err) {
+        console.error("AI Profile Update Error:", err);
+        res.status(500).json({ error: 'Error guardando el perfil de IA' });
+    }
+});
+
+// Vuelve el perfil a los valores por defecto (variables de entorno)
+app.delete('/api/admin/ai/profiles/:profile', verifyUser, requirePermission('ai', 'write'), async (req, res) => {
+    const name = req.params.profile;
+    if (!DEFAULT_AI_PROFILES[name]) return res.status(404).json({ error: 'Perfil desconocido' });
+
+    try {
+        const before = (await loadAiProfiles())[name];
+        const { error } = await supabase.from('ai_model_profiles').delete().eq('profile', name);
+        if (error) throw error;
+        aiConfigCache.del('profiles');
+        await recordAudit(req, { action: 'delete', entity: 'ai_model_profile', entityId: name, before });
+        res.json((await loadAiProfiles())[name]);
+    } catch (err) {
+        console.error("AI Profile Reset Error:", err);
+        res.status(500).json({ error: 'Error restableciendo el perfil de IA' });
+    }
+});
+
+// 💰 PRESUPUESTOS: tope y gasto del mes en curso (global y sedes del perfil)
+app.get('/api/admin/ai/budgets', verifyUser, requirePermission('ai', 'read'), async (req, res) => {
+    try {
+        const [budgets, spend] = await Promise.all([loadAiBudgets(), loadAiMonthSpend()]);
+        const visible = (scope) => scope === 'global' || canAccessSede(req.staffProfile, scope);
+        const spentOf = (scope) => roundUsd(scope === 'global' ? spend.total : spend.bySede[scope] || 0);
+        res.json({
+            month: localDate(new Date()).substring(0, 7),
+            spentUsd: hasAllSedes(req.staffProfile) ? roundUsd(spend.total) : null,
+            bySede: Object.fromEntries(Object.entries(spend.bySede).filter(([sede]) => visible(sede)).map(([sede, cost]) => [sede, roundUsd(cost)])),
+            budgets: Object.entries(budgets).filter(([scope]) => visible(scope)).map(([scope, limit]) => ({
+                scope,
+                monthlyLimitUsd: limit,
+                spentUsd: spentOf(scope),
+                remainingUsd: roundUsd(Math.max(limit - spentOf(scope), 0)),
+                blocked: spentOf(scope) >= limit
+            }))
+        });
+    } catch (err) {
+        console.error("AI Budgets Error:", err);
+        res.status(500).json({ error: 'Error cargando presupuestos de IA' });
+    }
+});
+
+// { monthlyLimitUsd: number | null } — null quita el tope. scope: 'global' o una sede
+app.put('/api/admin/ai/budgets/:scope', verifyUser, requirePermission('ai', 'write'), async (req, res) => {
+    const scope = req.params.scope;
+    if (scope === 'global' ? !hasAllSedes(req.staffProfile) : !canAccessSede(req.staffProfile, scope)) {
+        return res.status(403).json({ error: 'No tienes acceso a ese presupuesto' });
+    }
+    const limit = optionalNumber(req.body?.monthlyLimitUsd, { min: 0, max: 1000000 });
+    if (limit.error) return sendValidationError(res, [{ field: 'monthlyLimitUsd', message: limit.error }]);
+
+    try {
+        const before = { monthly_limit_usd: (await loadAiBudgets())[scope] ?? null };
+        const { error } = limit.value == null
+            ? await supabase.from('ai_budgets').delete().eq('scope', scope)
+            : await supabase.from('ai_budgets').upsert({ scope, monthly_limit_usd: limit.value, updated_by: req.staffProfile.id, updated_at: new Date() }, { onConflict: 'scope' });
+        if (error) throw error;
+        aiConfigCache.del('budgets');
+        await recordAudit(req, { action: 'update', entity: 'ai_budget', entityId: scope, before, after: { monthly_limit_usd: limit.value } });
+        res.json({ scope, monthlyLimitUsd: limit.value, blocked: Boolean(await aiBudgetBlock(scope === 'global' ? null : scope)) });
+    } catch (err) {
+        console.error("AI Budget Update Error:", err);
+        res.status(500).json({ error: 'Error guardando el presupuesto de IA' });
+    }
+});
+
+// 📈 CONSUMO: ?from=&to= (por defecto el mes en curso) &groupBy=staff|sede|model|profile &sede=
+app.get('/api/admin/ai/usage', verifyUser, requirePermission('ai', 'read'), requireSede, async (req, res) => {
+    const groupBy = req.query.groupBy || 'staff';
+    if (!AI_USAGE_GROUPS[groupBy]) return sendValidationError(res, [{ field: 'groupBy', message: `Use: ${Object.keys(AI_USAGE_GROUPS).join(', ')}` }]);
+    const from = req.query.from ? parseAnalyticsDate(req.query.from) : aiMonthStart();
+    const to = req.query.to ? parseAnalyticsDate(req.query.to, { endOfDay: true }) : new Date();
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) return sendValidationError(res, [{ field: 'from', message: 'Rango de fechas inválido' }]);
+    const scope = requestedSedes(req.staffProfile, req.query.sede);
+    if (scope.error) return res.status(403).json({ error: scope.error });
+
+    try {
+        const rows = await fetchAllRows('ai_usage_log', 'id, profile, model, models_tried, attempts, status, prompt_tokens, completion_tokens, cost_usd, latency_ms, staff_id, sede', q => {
+            const scoped = q.gte('created_at', from.toISOString()).lte('created_at', to.toISOString());
+            return scope.sedes ? scoped.in('sede', scope.sedes) : scoped;
+        });
+
+        const column = AI_USAGE_GROUPS[groupBy];
+        const groups = new Map();
+        const empty = () => ({ requests: 0, errors: 0, aborted: 0, fallbacks: 0, retries: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, latency: [] });
+        const totals = empty();
+        for (const row of rows) {
+            const key = row[column] ?? null;
+            if (!groups.has(key)) groups.set(key, empty());
+            for (const stats of [groups.get(key), totals]) {
+                stats.requests++;
+                if (row.status === 'error') stats.errors++;
+                if (row.status === 'aborted') stats.aborted++;
+                if (row.status === 'ok' && row.models_tried?.[0] && row.model !== row.models_tried[0]) stats.fallbacks++;
+                stats.retries += Math.max((row.attempts || 1) - (row.models_tried?.length || 1), 0);
+                stats.promptTokens += row.prompt_tokens || 0;
+                stats.completionTokens += row.completion_tokens || 0;
+                stats.costUsd += Number(row.cost_usd) || 0;
+                if (row.latency_ms != null) stats.latency.push(row.latency_ms);
+            }
+        }
+
+        const staffIds = groupBy === 'staff' ? [...groups.keys()].filter(id => id != null) : [];
+        const { data: staff } = staffIds.length
+            ? await supabase.from('perfil_staff').select('id, nombre, email').in('id', staffIds)
+            : { data: [] };
+        const names = new Map((staff || []).map(s => [String(s.id), s.nombre || s.email]));
+
+        const average = (values) => (values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null);
+        const summarize = ({ latency, costUsd, ...stats }) => ({ ...stats, costUsd: roundUsd(costUsd), avgLatencyMs: average(latency) });
+        res.json({
+            from: from.toISOString(), to: to.toISOString(), groupBy, sedes: scope.sedes,
+            totals: summarize(totals),
+            groups: [...groups.entries()]
+                .map(([key, stats]) => ({ key, ...(groupBy === 'staff' ? { name: key == null ? 'Sistema' : names.get(String(key)) || null } : {}), ...summarize(stats) }))
+                .sort((a, b) => b.costUsd - a.costUsd || b.requests - a.requests)
+        });
+    } catch (err) {
+        console.error("AI Usage Error:", err);
+        res.status(500).json({ error: 'Error calculando consumo de IA' });
+    }
+});
+
+// ==========================================
+// 10. ARCHIVOS Y MENSAJES
+// ==========================================
+
+// --- EXTRACCIÓN DE TEXTO ---
+// Se extrae una sola vez al subir. Estado en student_documents.extraction_status
+// ('pending' | 'done' | 'unsupported' | 'failed') y extraction_error; el texto va a
+// document_texts (document_id, text, extracted_at) para no inflar los listados.
+const EXTRACTION_MAX_CHARS = 200000;
+const EXTRACTION_RETRY_BATCH = 20;
+
+async function extractDocumentText(buffer, mimeType) {
+    if (mimeType === 'application/pdf') {
+        const parser = new PDFParse({ data: buffer });
+        try {
+            const result = await parser.getText();
+            return { status: 'done', text: result.text };
+        } finally {
+            await parser.destroy();
+        }
+    }
+    if (mimeType && mimeType.startsWith('text/')) {
+        return { status: 'done', text: buffer.toString('utf8') };
+    }
+    return { status: 'unsupported', text: null }; // imágenes: sin OCR por ahora
+}
+
+// Nunca lanza: el resultado queda registrado en la fila del documento
+async function extractAndStoreDocument(doc, buffer) {
+    let update;
+    try {
+        const result = await extractDocumentText(buffer, doc.mime_type);
+        if (result.text !== null) {
+            const { error } = await supabase.from('document_texts').upsert({
+                document_id: doc.id,
+                text: result.text.substring(0, EXTRACTION_MAX_CHARS),
+                extracted_at: new Date()
+            }, { onConflict: 'document_id' });
+            if (error) throw error;
+        }
+        update = { extraction_status: result.status, extraction_error: null };
+    } catch (err) {
+        console.error(`Extraction Error (doc ${doc.id}):`, err.message);
+        update = { extraction_status: 'failed', extraction_error: String(err.message).substring(0, 500) };
+    }
+
+    const { error } = await supabase.from('student_documents').update(update).eq('id', doc.id);
+    if (error) console.error("Extraction Status Error:", error.message);
+    return update;
+}
+
+async function downloadDocumentBuffer(doc) {
+    const storage = storageForDocument(doc);
+    if (!storage.isReady()) throw new Error(`Almacenamiento ${storage.name} no disponible`);
+    return storage.get(storageKeyOf(doc));
+}
+
+async function retryDocumentExtraction(doc) {
+    try {
+        const buffer = await downloadDocumentBuffer(doc);
+        return await extractAndStoreDocument(doc, buffer);
+    } catch (err) {
+        const update = { extraction_status: 'failed', extraction_error: String(err.message).substring(0, 500) };
+        await supabase.from('student_documents').update(update).eq('id', doc.id);
+        return update;
+    }
+}
+
+// --- POLÍTICA DE SUBIDAS ---
+// El tipo real se detecta por los primeros bytes (nunca se confía en file.mimetype del
+// cliente) y cada documentType tiene sus formatos y tamaño máximo. Los archivos que el
+// antivirus rechaza quedan en cuarentena (document_quarantine: file_name, mime_type,
+// document_type, student_phone, storage_backend, storage_key, checksum_sha256, reason,
+// signature, uploaded_by, source) y no se adjuntan al alumno.
+
+const MB = 1024 * 1024;
+const IMAGE_FORMATS = ['image/jpeg', 'image/png', 'image/webp', 'image/heic'];
+
+const FILE_SIGNATURES = [
+    { mimeType: 'application/pdf', test: (b) => b.subarray(0, 1024).indexOf('%PDF-') !== -1 },
+    { mimeType: 'image/jpeg', test: (b) => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+    { mimeType: 'image/png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    { mimeType: 'image/webp', test: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+    { mimeType: 'image/heic', test: (b) => b.toString('latin1', 4, 8) === 'ftyp' && ['heic', 'heix', 'mif1', 'msf1'].includes(b.toString('latin1', 8, 12)) }
+];
+
+// Clave: documentType normalizado (normalizeLabel). Los tipos no listados usan 'default'.
+const DOCUMENT_TYPE_POLICIES = {
+    default: { formats: ['application/pdf', ...IMAGE_FORMATS], maxBytes: 10 * MB },
+    dni: { formats: ['application/pdf', ...IMAGE_FORMATS], maxBytes: 5 * MB },
+    foto: { formats: ['image/jpeg', 'image/png'], maxBytes: 2 * MB },
+    titulo: { formats: ['application/pdf', 'image/jpeg', 'image/png'], maxBytes: 10 * MB },
+    'partida de nacimiento': { formats: ['application/pdf', 'image/jpeg', 'image/png'], maxBytes: 10 * MB },
+    'certificado analitico': { formats: ['application/pdf'], maxBytes: 10 * MB }
+};
+
+const uploadPolicyFor = (documentType) => DOCUMENT_TYPE_POLICIES[normalizeLabel(documentType)] || DOCUMENT_TYPE_POLICIES.default;
+
+function detectFileType(buffer) {
+    const match = FILE_SIGNATURES.find(sig => sig.test(buffer));
+    return match ? match.mimeType : null;
+}
+
+// Nombre visible: sin rutas, caracteres de control ni reservados, y con la extensión del tipo real
+function sanitizeFileName(name, mimeType) {
+    const base = path.basename(String(name || '').replace(/\\/g, '/'))
+        .normalize('NFC')
+        .replace(/\.[^.]*$/, '')
+        .replace(/[\u0000-\u001f\u007f"*/:<>?\\|]/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.]+/, '')
+        .trim()
+        .substring(0, 100);
+    return `${base || 'documento'}.${mime.extension(mimeType) || 'bin'}`;
+}
+
+// Nombre en el almacenamiento: sólo ASCII seguro
+const storageFileName = (...parts) => parts
+    .map(part => String(part || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w.-]+/g, '_'))
+    .join('_');
+
+// RFC 6266 / RFC 5987: fallback ASCII + filename* en UTF-8
+function contentDisposition(fileName) {
+    const name = String(fileName || 'documento');
+    const fallback = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(name).replace(/['()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// --- ANTIVIRUS ---
+// DOCUMENT_SCANNER: 'none' (default) o 'clamav' (clamd por TCP, protocolo INSTREAM en
+// CLAMAV_HOST:CLAMAV_PORT). scan(buffer) -> { clean, signature }. Si el escáner está
+// configurado y falla, la subida se rechaza: nunca se guarda un archivo sin escanear.
+
+const CLAMAV_CHUNK = 64 * 1024;
+
+function createNoopScanner() {
+    return { name: 'none', scan: async () => ({ clean: true, signature: null }) };
+}
+
+function createClamAvScanner() {
+    const host = process.env.CLAMAV_HOST || '127.0.0.1';
+    const port = Number(process.env.CLAMAV_PORT) || 3310;
+    const timeoutMs = Number(process.env.CLAMAV_TIMEOUT_MS) || 15000;
+
+    return {
+        name: 'clamav',
+        scan(buffer) {
+            return new Promise((resolve, reject) => {
+                const chunks = [];
+                const socket = net.createConnection({ host, port });
+                socket.setTimeout(timeoutMs, () => socket.destroy(new Error('ClamAV no respondió a tiempo')));
+                socket.on('connect', () => {
+                    socket.write('zINSTREAM\0');
+                    for (let offset = 0; offset < buffer.length; offset += CLAMAV_CHUNK) {
+                        const chunk = buffer.subarray(offset, offset + CLAMAV_CHUNK);
+                        const size = Buffer.alloc(4);
+                        size.writeUInt32BE(chunk.length);
+                        socket.write(size);
+                        socket.write(chunk);
+                    }
+                    socket.end(Buffer.alloc(4));
+                });
+                socket.on('data', data => chunks.push(data));
+                socket.on('error', reject);
+                socket.on('close', () => {
+                    // Respuestas: "stream: OK", "stream: <firma> FOUND" o "... ERROR"
+                    const reply = Buffer.concat(chunks).toString('utf8').replace(/\0/g, '').trim();
+                    if (/^stream: OK$/.test(reply)) return resolve({ clean: true, signature: null });
+                    const found = reply.match(/^stream: (.+) FOUND$/);
+                    if (found) return resolve({ clean: false, signature: found[1] });
+                    reject(new Error(`Respuesta inesperada de ClamAV: ${reply || '(vacía)'}`));
+                });
+            });
+        }
+    };
+}
+
+const SCANNER_FACTORIES = { none: createNoopScanner, clamav: createClamAvScanner };
+const DOCUMENT_SCANNER = process.env.DOCUMENT_SCANNER || 'none';
+if (!SCANNER_FACTORIES[DOCUMENT_SCANNER]) throw new Error(`Escáner de documentos desconocido: ${DOCUMENT_SCANNER}`);
+const documentScanner = SCANNER_FACTORIES[DOCUMENT_SCANNER]();
+
+async function quarantineUpload(req, { fileName, mimeType, documentType, studentPhone, buffer, reason, signature }) {
+    const record = {
+        file_name: fileName, mime_type: mimeType, document_type: documentType, student_phone: studentPhone || null,
+        storage_backend: null, storage_key: null, checksum_sha256: sha256(buffer),
+        reason, signature: signature || null, uploaded_by: req.staffProfile.id,
+        source: req.originalUrl, created_at: new Date()
+    };
+    try {
+        if (quarantineStorage && quarantineStorage.isReady()) {
+            record.storage_key = await quarantineStorage.put(storageFileName('CUARENTENA', Date.now(), fileName), buffer, 'application/octet-stream');
+            record.storage_backend = quarantineStorage.name;
+        }
+    } catch (err) {
+        console.error("Quarantine Storage Error:", err.message);
+    }
+    const { data, error } = await supabase.from('document_quarantine').insert([record]).select().single();
+    if (error) throw error;
+    console.warn(`☣️ Archivo en cuarentena (${signature}): ${fileName}`);
+    return data;
+}
+
+// Middleware: valida tipo, tamaño y antivirus; deja el archivo listo en req.upload
+// ({ buffer, mimeType, fileName, documentType })
+const inspectUpload = (getDocumentType) => async (req, res, next) => {
+    const file = req.file;
+    if (!file) return res.status(400).json({ error: 'Falta archivo' });
+    const rawType = getDocumentType(req);
+    const documentType = typeof rawType === 'string' ? rawType.trim() : '';
+    if (!documentType || documentType.length > 80) {
+        return sendValidationError(res, [{ field: 'documentType', message: 'Tipo de documento requerido (máx. 80 caracteres)' }]);
+    }
+
+    const policy = uploadPolicyFor(documentType);
+    const mimeType = detectFileType(file.buffer);
+    if (!mimeType || !policy.formats.includes(mimeType)) {
+        return res.status(415).json({
+            error: `Formato no permitido para ${documentType}`,
+            detected: mimeType,
+            allowed: policy.formats.map(type => mime.extension(type))
+        });
+    }
+    if (file.size > policy.maxBytes) {
+        return res.status(413).json({ error: `El archivo supera ${Math.round(policy.maxBytes / MB)}MB permitidos para ${documentType}` });
+    }
+
+    // busboy entrega el nombre como latin1; los navegadores lo mandan en UTF-8
+    const fileName = sanitizeFileName(Buffer.from(file.originalname, 'latin1').toString('utf8'), mimeType);
+    let result;
+    try {
+        result = await documentScanner.scan(file.buffer);
+    } catch (err) {
+        console.error("Scanner Error:", err.message);
+        return res.status(503).json({ error: 'Antivirus no disponible, intente más tarde' });
+    }
+    if (!result.clean) {
+        try {
+            const quarantine = await quarantineUpload(req, {
+                fileName, mimeType, documentType, studentPhone: req.document ? req.document.student_phone : normalizePhone(req.params.phone),
+                buffer: file.buffer, reason: 'malware', signature: result.signature
+            });
+            return res.status(422).json({ error: 'El archivo fue rechazado por el antivirus', signature: result.signature, quarantineId: quarantine.id });
+        } catch (err) {
+            console.error("Quarantine Error:", err);
+            return res.status(500).json({ error: 'El archivo fue rechazado por el antivirus pero no se pudo registrar la cuarentena', signature: result.signature });
+        }
+    }
+
+    req.upload = { buffer: file.buffer, mimeType, fileName, documentType };
+    next();
+};
+
+app.post('/api/students/phone/:phone/documents', verifyUser, requirePermission('documents', 'upload'), uploadSingle('file'), inspectUpload(req => req.body.documentType), async (req, res) => {
+  const rawPhone = req.params.phone;
+  try {
+    if (!documentStorage.isReady()) return res.status(503).json({ error: `Almacenamiento ${documentStorage.name} no disponible` });
+    const cleanPhone = normalizePhone(rawPhone);
+    if (!cleanPhone) return res.status(400).json({ error: 'Teléfono inválido' });
+    const { buffer, mimeType, fileName, documentType } = req.upload;
+
+    const students = await findStudentsByPhone(cleanPhone);
+    if (students.length > 1) return res.status(409).json({ error: 'Hay más de un alumno con ese teléfono', studentIds: students.map(s => s.id) });
+    const student = students.length === 1 ? students[0] : null;
+
+    // No se adjuntan archivos a alumnos de otra sede
+    if (student && !canAccessSede(req.staffProfile, student.codPuntoKennedy)) {
+        return res.status(403).json({ error: 'El alumno pertenece a otra sede' });
+    }
+    
+    const storageKey = await documentStorage.put(storageFileName(cleanPhone, documentType, fileName), buffer, mimeType);
+    const { data, error } = await supabase.from('student_documents').insert([{
+        student_id: student ? student.id : null, student_phone: cleanPhone, document_type: documentType,
+        storage_backend: documentStorage.name, storage_key: storageKey,
+        drive_file_id: documentStorage.name === 'drive' ? storageKey : null,
+        checksum_sha256: sha256(buffer),
+        file_name: fileName, mime_type: mimeType, uploaded_at: new Date(),
+        version: 1, review_status: 'pending', uploaded_by: req.staffProfile.id,
+        extraction_status: 'pending'
+    }]).select().single();
+    if (error) {
+        // Sin fila nadie vuelve a encontrar el archivo: se borra del almacenamiento
+        await documentStorage.remove(storageKey).catch(e => console.error("Upload Cleanup Error:", e.message));
+        throw error;
+    }
+    await recordAudit(req, { action: 'create', entity: 'document', entityId: data.id, after: { student_id: data.student_id, document_type: documentType, file_name: fileName } });
+    const extraction = await extractAndStoreDocument(data, buffer);
+    res.json({ success: true, id: data.id, extraction_status: extraction.extraction_status });
+  } catch (err) {
+    console.error("Upload Error:", err);
+    res.status(500).json({ error: 'Error upload' });
+  }
+});
+
+app.get('/api/documents/:id/download', verifyUser, requirePermission('documents', 'read'), requireDocumentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const doc = req.document;
+        if (doc.deleted_at) return res.status(404).json({ error: 'Documento eliminado' });
+        const storage = storageForDocument(doc);
+        if (!storage.isReady()) return res.status(503).json({ error: `Almacenamiento ${storage.name} no disponible` });
+        const fileStream = await storage.stream(storageKeyOf(doc));
+        res.setHeader('Content-Disposition', contentDisposition(doc.file_name));
+        res.setHeader('Content-Type', doc.mime_type || mime.lookup(doc.file_name || '') || 'application/octet-stream');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        // Si el backend corta a mitad de camino ya se enviaron los headers: se cierra la conexión
+        stream.pipeline(fileStream, res, (err) => {
+            if (!err) return;
+            console.error("Download Stream Error:", err.message);
+            res.destroy();
+        });
+    } catch (err) { res.status(500).json({ error: 'Error download' }); }
+});
+
+// ==========================================
+// 10.1 CICLO DE VIDA DE DOCUMENTOS
+// ==========================================
+// - Versiones: reemplazar el archivo guarda el anterior en student_document_versions
+//   (document_id, version, storage_backend, storage_key, drive_file_id, checksum_sha256,
+//   file_name, mime_type, uploaded_at, uploaded_by, replaced_at) y vuelve la revisión a 'pending'.
+// - Revisión: pending -> approved | rejected (con motivo, revisor y fecha).
+// - Borrado lógico (deleted_at) con restauración; el purge del admin borra también los archivos.
+// - Subidas sin alumno (student_id null): listado y re-vinculación por el admin.
+
+const REVIEW_TRANSITIONS = { pending: ['approved', 'rejected'] };
+
+const documentFileFields = (doc) => ({
+    storage_backend: doc.storage_backend || 'drive',
+    storage_key: storageKeyOf(doc),
+    drive_file_id: doc.drive_file_id || null,
+    checksum_sha256: doc.checksum_sha256 || null,
+    file_name: doc.file_name,
+    mime_type: doc.mime_type,
+    uploaded_at: doc.uploaded_at,
+    uploaded_by: doc.uploaded_by || null
+});
+
+// Middleware: el documento debe existir y no estar borrado
+const requireActiveDocument = (req, res, next) => {
+    if (req.document.deleted_at) return res.status(404).json({ error: 'Documento eliminado' });
+    next();
+};
+
+// 📄 NUEVA VERSIÓN DEL ARCHIVO (ej. reemplazar un DNI borroso)
+app.post('/api/documents/:id/versions', verifyUser, requirePermission('documents', 'upload'), requireDocumentAccess(req => req.params.id), requireActiveDocument, uploadSingle('file'), inspectUpload(req => req.document.document_type), async (req, res) => {
+    try {
+        const doc = req.document;
+        const { buffer, mimeType, fileName } = req.upload;
+        if (!documentStorage.isReady()) return res.status(503).json({ error: `Almacenamiento ${documentStorage.name} no disponible` });
+
+        const version = (doc.version || 1) + 1;
+        const storageKey = await documentStorage.put(storageFileName(doc.student_phone, doc.document_type, `v${version}`, fileName), buffer, mimeType);
+
+        const { error: versionError } = await supabase.from('student_document_versions').insert([{
+            document_id: doc.id, version: doc.version || 1, ...documentFileFields(doc), replaced_at: new Date()
+        }]);
+        if (versionError) throw versionError;
+
+        const updates = {
+            storage_backend: documentStorage.name, storage_key: storageKey,
+            drive_file_id: documentStorage.name === 'drive' ? storageKey : null,
+            checksum_sha256: sha256(buffer),
+            file_name: fileName, mime_type: mimeType, uploaded_at: new Date(), uploaded_by: req.staffProfile.id,
+            version,
+            review_status: 'pending', review_reason: null, reviewed_by: null, reviewed_at: null,
+            extraction_status: 'pending', extraction_error: null
+        };
+        const { data: updated, error } = await supabase.from('student_documents').update(updates).eq('id', doc.id).select().single();
+        if (error) throw error;
+
+        await recordAudit(req, { action: 'update', entity: 'document', entityId: doc.id, before: doc, after: updates });
+        const extraction = await extractAndStoreDocument(updated, buffer);
+        res.json({ success: true, id: doc.id, version, extraction_status: extraction.extraction_status });
+    } catch (err) {
+        console.error("Document Version Error:", err);
+        res.status(500).json({ error: 'Error subiendo nueva versión' });
+    }
+});
+
+app.get('/api/documents/:id/versions', verifyUser, requirePermission('documents', 'read'), requireDocumentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const { data, error } = await supabase.from('student_document_versions')
+            .select('*')
+            .eq('document_id', req.document.id)
+            .order('version', { ascending: false });
+        if (error) throw error;
+        const current = { version: req.document.version || 1, current: true, ...documentFileFields(req.document) };
+        res.json([current, ...(data || [])]);
+    } catch (err) {
+        console.error("Document Versions Error:", err);
+        res.status(500).json({ error: 'Error listando versiones' });
+    }
+});
+
+// ✅ REVISIÓN: { status: 'approved' | 'rejected', reason }
+app.patch('/api/documents/:id/review', verifyUser, requirePermission('documents', 'review'), requireDocumentAccess(req => req.params.id), requireActiveDocument, async (req, res) => {
+    try {
+        const doc = req.document;
+        const { status } = req.body;
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        const current = doc.review_status || 'pending';
+
+        if (!(REVIEW_TRANSITIONS[current] || []).includes(status)) {
+            return res.status(409).json({ error: `No se puede pasar de '${current}' a '${status}'. Suba una nueva versión para revisar de nuevo.` });
+        }
+        if (status === 'rejected' && !reason) {
+            return sendValidationError(res, [{ field: 'reason', message: 'El rechazo necesita un motivo' }]);
+        }
+
+        const updates = {
+            review_status: status,
+            review_reason: status === 'rejected' ? reason.substring(0, 500) : null,
+            reviewed_by: req.staffProfile.id,
+            reviewed_at: new Date()
+        };
+        const { error } = await supabase.from('student_documents').update(updates).eq('id', doc.id);
+        if (error) throw error;
+
+        await recordAudit(req, { action: 'update', entity: 'document', entityId: doc.id, before: doc, after: updates });
+        res.json({ success: true, ...updates });
+    } catch (err) {
+        console.error("Document Review Error:", err);
+        res.status(500).json({ error: 'Error revisando documento' });
+    }
+});
+
+// 🗑️ BORRADO LÓGICO Y RESTAURACIÓN
+app.delete('/api/documents/:id', verifyUser, requirePermission('documents', 'delete'), requireDocumentAccess(req => req.params.id), requireActiveDocument, async (req, res) => {
+    try {
+        const updates = { deleted_at: new Date(), deleted_by: req.staffProfile.id };
+        const { error } = await supabase.from('student_documents').update(updates).eq('id', req.document.id);
+        if (error) throw error;
+        await recordAudit(req, { action: 'delete', entity: 'document', entityId: req.document.id, before: req.document });
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Document Delete Error:", err);
+        res.status(500).json({ error: 'Error eliminando documento' });
+    }
+});
+
+app.post('/api/documents/:id/restore', verifyUser, requirePermission('documents', 'delete'), requireDocumentAccess(req => req.params.id), async (req, res) => {
+    try {
+        if (!req.document.deleted_at) return res.status(409).json({ error: 'El documento no está eliminado' });
+        const updates = { deleted_at: null, deleted_by: null };
+        const { error } = await supabase.from('student_documents').update(updates).eq('id', req.document.id);
+        if (error) throw error;
+        await recordAudit(req, { action: 'update', entity: 'document', entityId: req.document.id, before: req.document, after: updates });
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Document Restore Error:", err);
+        res.status(500).json({ error: 'Error restaurando documento' });
+    }
+});
+
+// 💣 PURGE (solo admin): borra archivos de todas las versiones y las filas
+app.delete('/api/documents/:id/purge', verifyUser, requirePermission('documents', 'purge'), requireDocumentAccess(req => req.params.id), async (req, res) => {
+    const doc = req.document;
+    if (!doc.deleted_at) return res.status(409).json({ error: 'Primero elimine el documento' });
+
+    try {
+        const { data: versions, error: versionsError } = await supabase.from('student_document_versions').select('*').eq('document_id', doc.id);
+        if (versionsError) throw versionsError;
+
+        const failed = [];
+        const removeFile = async (file) => {
+            try {
+                await getStorage(file.storage_backend || 'drive').remove(file.storage_key || file.drive_file_id);
+                return true;
+            } catch (err) {
+                failed.push({ storage_key: file.storage_key || file.drive_file_id, error: err.message });
+                return false;
+            }
+        };
+        const filesFailed = () => res.status(502).json({ error: 'No se pudieron borrar todos los archivos', failed });
+
+        // Cada versión: primero la fila y después el archivo, así ninguna fila queda apuntando a
+        // un archivo borrado. Si el archivo no se pudo borrar, la fila vuelve para reintentar.
+        for (const version of versions || []) {
+            const { error: versionError } = await supabase.from('student_document_versions').delete()
+                .eq('document_id', doc.id).eq('version', version.version);
+            if (versionError) throw versionError;
+            if (await removeFile(version)) continue;
+            const { error: restoreError } = await supabase.from('student_document_versions').insert([version]);
+            if (restoreError) console.error(`Document Purge: no se pudo restaurar la versión ${version.version} del documento ${doc.id}:`, restoreError.message);
+        }
+        if (failed.length > 0) return filesFailed();
+
+        const { error: textsError } = await supabase.from('document_texts').delete().eq('document_id', doc.id);
+        if (textsError) throw textsError;
+        if (!await removeFile(documentFileFields(doc))) return filesFailed();
+        const { error } = await supabase.from('student_documents').delete().eq('id', doc.id);
+        if (error) throw error;
+
+        await recordAudit(req, { action: 'delete', entity: 'document', entityId: doc.id, before: doc });
+        res.json({ success: true, filesRemoved: 1 + (versions || []).length });
+    } catch (err) {
+        console.error("Document Purge Error:", err);
+        res.status(500).json({ error: 'Error purgando documento' });
+    }
+});
+
+// 🔗 SUBIDAS SIN ALUMNO: listado con sugerencia por teléfono y re-vinculación (solo admin)
+app.get('/api/documents/unlinked', verifyUser, requirePermission('documents', 'link'), async (req, res) => {
+    try {
+        const { data: docs, error } = await supabase.from('student_documents')
+            .select('id, student_phone, document_type, file_name, mime_type, uploaded_at')
+            .is('student_id', null)
+            .is('deleted_at', null)
+            .order('uploaded_at', { ascending: false })
+            .limit(200);
+        if (error) throw error;
+
+        const phoneOf = new Map((docs || []).map(doc => [doc.id, normalizePhone(doc.student_phone)]));
+        const studentsByPhone = await findStudentsByPhones([...phoneOf.values()], 'id, full_name, codPuntoKennedy');
+        res.json((docs || []).map(doc => ({
+            ...doc,
+            candidates: (studentsByPhone.get(phoneOf.get(doc.id)) || []).map(({ telefono1, telefono2, ...student }) => student)
+        })));
+    } catch (err) {
+        console.error("Unlinked Documents Error:", err);
+        res.status(500).json({ error: 'Error listando documentos sin alumno' });
+    }
+});
+
+app.post('/api/documents/:id/link', verifyUser, requirePermission('documents', 'link'), requireDocumentAccess(req => req.params.id), requireActiveDocument, async (req, res) => {
+    try {
+        const result = await findStudentForStaff(req.staffProfile, req.body.studentId);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        const updates = { student_id: result.student.id };
+        const { error } = await supabase.from('student_documents').update(updates).eq('id', req.document.id);
+        if (error) throw error;
+
+        await recordAudit(req, { action: 'update', entity: 'document', entityId: req.document.id, before: req.document, after: updates });
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Document Link Error:", err);
+        res.status(500).json({ error: 'Error vinculando documento' });
+    }
+});
+
+// ==========================================
+// 10.2 MENSAJES SALIENTES (OUTBOX) Y PLANTILLAS
+// ==========================================
+// Mensaje_de_secretaria funciona como outbox. Columnas: student_id, delivery_status
+// ('queued' | 'sent' | 'delivered' | 'failed'), attempts, next_attempt_at, last_error,
+// external_id, template_id, campaign_id, created_by, sent_at, delivered_at, failed_at.
+// n8n reclama los pendientes (POST /api/n8n/outbox/claim), los manda por WhatsApp y
+// reporta el resultado (POST /api/n8n/messages/:id/delivery). Reclamar un mensaje cuenta
+// un intento y lo reserva por MESSAGE_CLAIM_LEASE_MS (vía next_attempt_at); si n8n no
+// confirma, vuelve a estar disponible. Un fallo reprograma con backoff exponencial hasta
+// MESSAGE_MAX_ATTEMPTS; después queda 'failed' y el staff puede reintentarlo a mano.
+// Plantillas en message_templates (id, name, body, active, created_by, updated_at).
+
+const DELIVERY_TRANSITIONS = {
+    queued: ['sent', 'delivered', 'failed'],
+    sent: ['delivered', 'failed'],
+    delivered: [],
+    failed: []
+};
+const MESSAGE_MAX_LENGTH = 4096; // límite de WhatsApp
+const MESSAGE_MAX_ATTEMPTS = Number(process.env.MESSAGE_MAX_ATTEMPTS) || 3;
+const MESSAGE_RETRY_BASE_MS = 60 * 1000;
+const MESSAGE_CLAIM_LEASE_MS = 5 * 60 * 1000;
+const MESSAGE_CLAIM_MAX = 50;
+
+const TEMPLATE_VARIABLES = {
+    nombre: ({ student }) => String(student.full_name || '').trim().split(/\s+/)[0],
+    nombre_completo: ({ student }) => student.full_name,
+    carrera: ({ student }) => student.nombrePrograma,
+    sede: ({ student }) => student.codPuntoKennedy,
+    asesor: ({ staff }) => staff.nombre
+};
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+const templateVariablesOf = (body) => [...new Set([...String(body).matchAll(TEMPLATE_VARIABLE_PATTERN)].map(m => m[1]))];
+
+// Devuelve el texto y las variables que el alumno no tiene cargadas
+function renderTemplate(body, context) {
+    const missing = new Set();
+    const text = String(body).replace(TEMPLATE_VARIABLE_PATTERN, (_, name) => {
+        const value = TEMPLATE_VARIABLES[name] ? TEMPLATE_VARIABLES[name](context) : null;
+        if (value == null || String(value).trim() === '') {
+            missing.add(name);
+            return '';
+        }
+        return String(value).trim();
+    });
+    return { text, missing: [...missing] };
+}
+
+function validateTemplate(body, { mode }) {
+    const value = {};
+    const errors = [];
+    const input = body || {};
+
+    if (mode === 'create' || input.name !== undefined) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name || name.length > 100) errors.push({ field: 'name', message: 'Nombre requerido (máx. 100 caracteres)' });
+        else value.name = name;
+    }
+    if (mode === 'create' || input.body !== undefined) {
+        const text = typeof input.body === 'string' ? input.body.trim() : '';
+        const unknown = templateVariablesOf(text).filter(name => !TEMPLATE_VARIABLES[name]);
+        if (!text || text.length > MESSAGE_MAX_LENGTH) {
+            errors.push({ field: 'body', message: `Texto requerido (máx. ${MESSAGE_MAX_LENGTH} caracteres)` });
+        } else if (unknown.length > 0) {
+            errors.push({ field: 'body', message: `Variables desconocidas: ${unknown.join(', ')}. Disponibles: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}` });
+        } else {
+            value.body = text;
+        }
+    }
+    if (input.active !== undefined) {
+        if (typeof input.active !== 'boolean') errors.push({ field: 'active', message: 'Debe ser true o false' });
+        else value.active = input.active;
+    }
+    return { value, errors };
+}
+
+// Mensajes viejos sin student_id: se autoriza por la sede guardada en la fila
+async function findMessageForStaff(profile, messageId) {
+    const { data: message, error } = await supabase.from('Mensaje_de_secretaria').select('*').eq('id', messageId).maybeSingle();
+    if (error) throw error;
+    if (!message) return { status: 404, error: 'Mensaje no encontrado' };
+    if (message.student_id != null) {
+        const result = await findStudentForStaff(profile, message.student_id);
+        if (result.error) return result;
+    } else if (!canAccessSede(profile, message.sede)) {
+        return { status: 403, error: 'El mensaje pertenece a otra sede' };
+    }
+    return { message };
+}
+
+// Inserta en el outbox; n8n lo toma en el próximo claim
+async function enqueueMessage({ student, phone, text, agent, templateId = null, createdBy = null, campaignId = null }) {
+    const { data, error } = await supabase.from('Mensaje_de_secretaria').insert([{ 
+        "Telefono_EST": phoneToWhatsApp(phone), 
+        "Mensaje de secretaria": { message: text, agent }, 
+        "sede": student.codPuntoKennedy,
+        student_id: student.id,
+        template_id: templateId,
+        campaign_id: campaignId,
+        created_by: createdBy,
+        delivery_status: 'queued',
+        attempts: 0,
+        next_attempt_at: null
+    }]).select().single();
+    if (error) throw error;
+    return data;
+}
+
+// --- PLANTILLAS ---
+
+app.get('/api/message-templates', verifyUser, requirePermission('templates', 'read'), async (req, res) => {
+    try {
+        let query = supabase.from('message_templates').select('*').order('name', { ascending: true });
+        if (!(can(req.staffProfile, 'templates', 'write') && req.query.includeInactive === 'true')) query = query.eq('active', true);
+        const { data, error } = await query;
+        if (error) throw error;
+        res.json({ variables: Object.keys(TEMPLATE_VARIABLES), templates: data || [] });
+    } catch (err) {
+        console.error("Templates Error:", err);
+        res.status(500).json({ error: 'Error listando plantillas' });
+    }
+});
+
+app.post('/api/message-templates', verifyUser, requirePermission('templates', 'write'), async (req, res) => {
+    try {
+        const { value, errors } = validateTemplate(req.body, { mode: 'create' });
+        if (errors.length > 0) return sendValidationError(res, errors);
+
+        const record = { active: true, ...value, created_by: req.staffProfile.id, updated_at: new Date() };
+        const { data, error } = await supabase.from('message_templates').insert([record]).select().single();
+        if (error) throw error;
+        await recordAudit(req, { action: 'create', entity: 'message_template', entityId: data.id, after: data });
+        res.json(data);
+    } catch (err) {
+        console.error("Template Create Error:", err);
+        res.status(500).json({ error: 'Error creando plantilla' });
+    }
+});
+
+app.put('/api/message-templates/:id', verifyUser, requirePermission('templates', 'write'), async (req, res) => {
+    try {
+        const { value, errors } = validateTemplate(req.body, { mode: 'update' });
+        if (errors.length > 0) return sendValidationError(res, errors);
+
+        const { data: before } = await supabase.from('message_templates').select('*').eq('id', req.params.id).maybeSingle();
+        if (!before) return res.status(404).json({ error: 'Plantilla no encontrada' });
+
+        const updates = { ...value, updated_at: new Date() };
+        const { data, error } = await supabase.from('message_templates').update(updates).eq('id', req.params.id).select().single();
+        if (error) throw error;
+        await recordAudit(req, { action: 'update', entity: 'message_template', entityId: req.params.id, before, after: value });
+        res.json(data);
+    } catch (err) {
+        console.error("Template Update Error:", err);
+        res.status(500).json({ error: 'Error actualizando plantilla' });
+    }
+});
+
+app.delete('/api/message-templates/:id', verifyUser, requirePermission('templates', 'write'), async (req, res) => {
+    try {
+        const { data: before } = await supabase.from('message_templates').select('*').eq('id', req.params.id).maybeSingle();
+        if (!before) return res.status(404).json({ error: 'Plantilla no encontrada' });
+        const { error } = await supabase.from('message_templates').delete().eq('id', req.params.id);
+        if (error) throw error;
+        await recordAudit(req, { action: 'delete', entity: 'message_template', entityId: req.params.id, before });
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Template Delete Error:", err);
+        res.status(500).json({ error: 'Error eliminando plantilla' });
+    }
+});
+
+// 👀 VISTA PREVIA: { studentId }
+app.post('/api/message-templates/:id/preview', verifyUser, requirePermission('templates', 'read'), requireStudentAccess(req => req.body.studentId), async (req, res) => {
+    try {
+        const { data: template } = await supabase.from('message_templates').select('*').eq('id', req.params.id).maybeSingle();
+        if (!template) return res.status(404).json({ error: 'Plantilla no encontrada' });
+        res.json(renderTemplate(template.body, { student: req.student, staff: req.staffProfile }));
+    } catch (err) {
+        console.error("Template Preview Error:", err);
+        res.status(500).json({ error: 'Error generando vista previa' });
+    }
+});
+
+// --- ENVÍO ---
+
+// ✉️ ENCOLAR MENSAJE: { studentId, phone?, messageText? | templateId? }
+// Sin phone se usa el primer teléfono válido del alumno.
+app.post('/api/messages', verifyUser, requirePermission('messages', 'send'), requireStudentAccess(req => req.body.studentId), async (req, res) => {
+    try {
+        const student = req.student;
+        const { templateId } = req.body;
+        const phones = studentPhones(student);
+
+        let phone = phones[0];
+        if (req.body.phone !== undefined && req.body.phone !== null && req.body.phone !== '') {
+            phone = normalizePhone(req.body.phone);
+            if (!phone) return sendValidationError(res, [{ field: 'phone', message: 'Teléfono inválido' }]);
+            if (!phones.includes(phone)) return sendValidationError(res, [{ field: 'phone', message: 'El teléfono no pertenece al alumno' }]);
+        }
+        if (!phone) return sendValidationError(res, [{ field: 'phone', message: 'El alumno no tiene un teléfono válido' }]);
+
+        let messageText = typeof req.body.messageText === 'string' ? req.body.messageText.trim() : '';
+        if (templateId != null) {
+            const { data: template } = await supabase.from('message_templates').select('*').eq('id', templateId).maybeSingle();
+            if (!template || !template.active) return sendValidationError(res, [{ field: 'templateId', message: 'Plantilla inexistente o inactiva' }]);
+            const rendered = renderTemplate(template.body, { student, staff: req.staffProfile });
+            if (rendered.missing.length > 0) {
+                return sendValidationError(res, [{ field: 'templateId', message: `Faltan datos del alumno: ${rendered.missing.join(', ')}` }]);
+            }
+            messageText = rendered.text;
+        }
+        if (!messageText || messageText.length > MESSAGE_MAX_LENGTH) {
+            return sendValidationError(res, [{ field: 'messageText', message: `Mensaje requerido (máx. ${MESSAGE_MAX_LENGTH} caracteres)` }]);
+        }
+
+        const data = await enqueueMessage({
+            student, phone, text: messageText, agent: req.staffProfile.nombre,
+            templateId: templateId ?? null, createdBy: req.staffProfile.id
+        });
+
+        await recordAudit(req, { action: 'create', entity: 'message', entityId: data.id, after: { student_id: student.id, phone, message: messageText, template_id: templateId ?? null } });
+        await markSecretariaFirstResponse(student.id);
+        res.json({ success: true, message: mapSecretariaEntry(data) });
+    } catch (err) {
+        console.error("Message Error:", err);
+        res.status(500).json({ error: 'Error message' });
+    }
+});
+
+// 🔁 REINTENTO MANUAL de un mensaje fallido
+app.post('/api/messages/:id/retry', verifyUser, requirePermission('messages', 'send'), async (req, res) => {
+    try {
+        const result = await findMessageForStaff(req.staffProfile, req.params.id);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        const message = result.message;
+        if (message.delivery_status !== 'failed') return res.status(409).json({ error: 'Solo se reintentan mensajes fallidos' });
+
+        const updates = { delivery_status: 'queued', attempts: 0, next_attempt_at: null, last_error: null, sent_at: null, failed_at: null };
+        const { data, error } = await supabase.from('Mensaje_de_secretaria').update(updates)
+            .eq('id', message.id).eq('delivery_status', 'failed')
+            .select().maybeSingle();
         if (error) throw error;
-        res.json({ success: true, data });
-    } catch (err) { res.status(500).json({ error: 'Error creando la carrera' }); }
+        if (!data) return res.status(409).json({ error: 'El mensaje cambió de estado, recargue' });
+
+        await recordAudit(req, { action: 'update', entity: 'message', entityId: message.id, before: message, after: updates });
+        res.json({ success: true, message: mapSecretariaEntry(data) });
+    } catch (err) {
+        console.error("Message Retry Error:", err);
+        res.status(500).json({ error: 'Error reintentando mensaje' });
+    }
 });
 
-app.put('/api/careers/:id', verifyUser, async (req, res) => {
-    const { rol } = req.staffProfile;
-    if (rol !== 'admin') return res.status(403).json({ error: 'Solo administradores editan carreras.' });
+// --- N8N ---
 
+// 📤 RECLAMAR PENDIENTES: { limit } -> [{ id, phone, message, attempts }]
+app.post('/api/n8n/outbox/claim', verifyN8n, async (req, res) => {
     try {
-        const { id } = req.params;
-        const updates = req.body;
-        delete updates.id; 
-        const { error } = await supabase.from('resumen_carreras').update(updates).eq('id', id);
+        const limit = Math.min(Math.max(parseInt(req.body.limit, 10) || 10, 1), MESSAGE_CLAIM_MAX);
+        const now = new Date();
+        const { data: due, error } = await supabase.from('Mensaje_de_secretaria')
+            .select('*')
+            .eq('delivery_status', 'queued')
+            .or(`next_attempt_at.is.null,next_attempt_at.lte.${now.toISOString()}`)
+            .order('created_at', { ascending: true })
+            .limit(limit);
         if (error) throw error;
-        res.json({ success: true });
-    } catch (err) { res.status(500).json({ error: 'Error actualizando carrera' }); }
-});
 
-app.delete('/api/careers/:id', verifyUser, async (req, res) => {
-    const { rol } = req.staffProfile;
-    if (rol !== 'admin') return res.status(403).json({ error: 'Acceso denegado.' });
+        const claimed = [];
+        for (const message of due || []) {
+            const attempts = message.attempts || 0;
+            // Se agotaron los intentos sin que n8n confirmara nada
+            if (attempts >= MESSAGE_MAX_ATTEMPTS) {
+                await supabase.from('Mensaje_de_secretaria')
+                    .update({ delivery_status: 'failed', failed_at: now, last_error: message.last_error || 'Sin confirmación de envío' })
+                    .eq('id', message.id).eq('delivery_status', 'queued');
+                continue;
+            }
+            // Update condicionado: si otro worker lo reclamó primero, no vuelve nada
+            const { data: row } = await supabase.from('Mensaje_de_secretaria')
+                .update({ attempts: attempts + 1, next_attempt_at: new Date(now.getTime() + MESSAGE_CLAIM_LEASE_MS) })
+                .eq('id', message.id).eq('delivery_status', 'queued').eq('attempts', attempts)
+                .select().maybeSingle();
+            if (!row) continue;
+            claimed.push({
+                id: row.id,
+                phone: row.Telefono_EST,
+                message: cleanN8nMessage(row['Mensaje de secretaria']),
+                attempts: row.attempts
+            });
+        }
+        res.json(claimed);
+    } catch (err) {
+        console.error("Outbox Claim Error:", err);
+        res.status(500).json({ error: 'Error reclamando mensajes' });
+    }
+});
 
+// 📬 REPORTE DE ENTREGA: { status: 'sent' | 'delivered' | 'failed', externalId?, error? }
+app.post('/api/n8n/messages/:id/delivery', verifyN8n, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { error } = await supabase.from('resumen_carreras').delete().eq('id', id);
+        const { status, externalId } = req.body;
+        if (!['sent', 'delivered', 'failed'].includes(status)) {
+            return sendValidationError(res, [{ field: 'status', message: 'Debe ser sent, delivered o failed' }]);
+        }
+        const { data: message } = await supabase.from('Mensaje_de_secretaria').select('*').eq('id', req.params.id).maybeSingle();
+        if (!message) return res.status(404).json({ error: 'Mensaje no encontrado' });
+
+        const current = message.delivery_status || 'queued';
+        if (current === status) return res.json({ success: true, delivery: current }); // reintento del webhook
+        if (!DELIVERY_TRANSITIONS[current].includes(status)) {
+            return res.status(409).json({ error: `No se puede pasar de '${current}' a '${status}'` });
+        }
+
+        const now = new Date();
+        const updates = { delivery_status: status };
+        if (externalId) updates.external_id = String(externalId);
+        if (status === 'sent') updates.sent_at = now;
+        if (status === 'delivered') updates.delivered_at = now;
+        if (status === 'failed') {
+            const attempts = message.attempts || 1;
+            updates.last_error = String(req.body.error || 'Error de envío').substring(0, 500);
+            if (attempts < MESSAGE_MAX_ATTEMPTS) {
+                updates.delivery_status = 'queued';
+                updates.next_attempt_at = new Date(now.getTime() + MESSAGE_RETRY_BASE_MS * 2 ** (attempts - 1));
+            } else {
+                updates.failed_at = now;
+            }
+        }
+
+        const { data, error } = await supabase.from('Mensaje_de_secretaria').update(updates)
+            .eq('id', message.id).eq('delivery_status', current)
+            .select().maybeSingle();
         if (error) throw error;
-        res.json({ success: true });
-    } catch (err) { res.status(500).json({ error: 'Error eliminando la carrera' }); }
+        if (!data) return res.status(409).json({ error: 'El mensaje cambió de estado' });
+        res.json({ success: true, delivery: data.delivery_status, nextAttemptAt: data.delivery_status === 'queued' ? data.next_attempt_at : null });
+    } catch (err) {
+        console.error("Delivery Webhook Error:", err);
+        res.status(500).json({ error: 'Error registrando entrega' });
+    }
 });
 
 // ==========================================
-// 7. STAFF
+// 10.3 CAMPAÑAS MASIVAS Y BAJAS (OPT-OUT)
 // ==========================================
+// campaigns: id, name, sede, filters (jsonb, mismos filtros que GET /api/students),
+//   template_id | message_text, scheduled_at, rate_per_minute, status, created_by,
+//   approved_by, approved_at, rejection_reason, recipients_total, completed_at.
+// Estados: pending_approval -> approved | rejected; approved -> sending -> completed;
+//   pending_approval | approved | sending -> cancelled.
+// campaign_recipients: campaign_id, student_id, sede, phone, message_text, status
+//   ('pending' | 'queued' | 'skipped'), skip_reason, message_id, processed_at.
+// Al aprobar se congela la lista de destinatarios con el texto ya renderizado. El
+// despachador encola rate_per_minute mensajes por minuto en el outbox (10.2) y vuelve a
+// mirar las bajas justo antes de encolar.
+// message_opt_outs: phone (E.164), student_id, reason, source ('staff' | 'n8n'),
+//   created_by, created_at. Las bajas solo aplican a campañas, no a mensajes 1 a 1.
 
-app.get('/api/staff', verifyUser, async (req, res) => {
-    const { rol } = req.staffProfile;
-    if (rol !== 'admin') return res.status(403).json({ error: 'Acceso denegado' });
-    
-    const { data } = await supabase.from('perfil_staff').select('*').order('created_at', { ascending: false });
-    res.json(data || []);
+const CAMPAIGN_MAX_RECIPIENTS = 2000;
+const CAMPAIGN_DEFAULT_RATE = 20;
+const CAMPAIGN_MAX_RATE = 60;
+const CAMPAIGN_TICK_MS = Number(process.env.CAMPAIGN_TICK_MS) || 60 * 1000;
+const CAMPAIGN_PREVIEW_SAMPLE = 20;
+const CAMPAIGN_CANCELLABLE = ['pending_approval', 'approved', 'sending'];
+
+function validateCampaign(body, profile) {
+    const input = body || {};
+    const value = {};
+    const errors = [];
+
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > 120) errors.push({ field: 'name', message: 'Nombre requerido (máx. 120 caracteres)' });
+    else value.name = name;
+
+    const filters = parseStudentFilters(input.filters);
+    errors.push(...filters.errors.map(e => ({ ...e, field: `filters.${e.field}` })));
+    value.filters = filters.value;
+    // El segmento nunca sale de las sedes del perfil: una sede ajena se reemplaza por la propia
+    if (!hasAllSedes(profile)) {
+        const requested = canAccessSede(profile, value.filters.sede) ? value.filters.sede : null;
+        const target = resolveTargetSede(profile, requested);
+        if (target.error) errors.push({ field: 'filters.sede', message: target.error });
+        else value.filters.sede = target.sede;
+    }
+
+    const messageText = typeof input.messageText === 'string' ? input.messageText.trim() : '';
+    if ((input.templateId == null) === !messageText) {
+        errors.push({ field: 'messageText', message: 'Indique templateId o messageText (uno solo)' });
+    } else if (messageText) {
+        const unknown = templateVariablesOf(messageText).filter(v => !TEMPLATE_VARIABLES[v]);
+        if (messageText.length > MESSAGE_MAX_LENGTH) errors.push({ field: 'messageText', message: `Máximo ${MESSAGE_MAX_LENGTH} caracteres` });
+        else if (unknown.length > 0) errors.push({ field: 'messageText', message: `Variables desconocidas: ${unknown.join(', ')}` });
+        else value.message_text = messageText;
+    } else {
+        value.template_id = input.templateId;
+    }
+
+    if (input.scheduledAt != null && input.scheduledAt !== '') {
+        const when = new Date(input.scheduledAt);
+        if (isNaN(when.getTime())) errors.push({ field: 'scheduledAt', message: 'Fecha inválida' });
+        else value.scheduled_at = when.toISOString();
+    }
+
+    if (input.ratePerMinute != null) {
+        const rate = Number(input.ratePerMinute);
+        if (!Number.isInteger(rate) || rate < 1 || rate > CAMPAIGN_MAX_RATE) errors.push({ field: 'ratePerMinute', message: `Entero entre 1 y ${CAMPAIGN_MAX_RATE}` });
+        else value.rate_per_minute = rate;
+    }
+    return { value, errors };
+}
+
+async function loadOptedOutPhones(phones) {
+    const optedOut = new Set();
+    for (const ids of chunk([...new Set(phones)], ID_CHUNK)) {
+        const { data, error } = await supabase.from('message_opt_outs').select('phone').in('phone', ids);
+        if (error) throw error;
+        (data || []).forEach(row => optedOut.add(row.phone));
+    }
+    return optedOut;
+}
+
+async function loadCampaignBody(campaign) {
+    if (campaign.template_id == null) return campaign.message_text;
+    const { data: template } = await supabase.from('message_templates').select('*').eq('id', campaign.template_id).maybeSingle();
+    if (!template || !template.active) throw Object.assign(new Error('Plantilla inexistente o inactiva'), { status: 422 });
+    return template.body;
+}
+
+// Destinatarios del segmento con su texto renderizado o el motivo de exclusión
+async function resolveCampaignAudience(campaign, profile, staff) {
+    const body = await loadCampaignBody(campaign);
+    const filters = await resolveStudentFilters(campaign.filters || {}, profile);
+    const students = filters
+        ? await fetchFilteredStudents('id, full_name, nombrePrograma, codPuntoKennedy, telefono1, telefono2', filters, profile)
+        : [];
+    const optedOut = await loadOptedOutPhones(students.flatMap(studentPhones));
+
+    const seen = new Set();
+    return students.map(student => {
+        const phone = studentPhones(student)[0] || null;
+        const recipient = { student, phone, text: null, skip_reason: null };
+        if (!phone) recipient.skip_reason = 'no_phone';
+        else if (studentPhones(student).some(p => optedOut.has(p))) recipient.skip_reason = 'opted_out';
+        else if (seen.has(phone)) recipient.skip_reason = 'duplicate';
+        else {
+            const rendered = renderTemplate(body, { student, staff });
+            if (rendered.missing.length > 0) recipient.skip_reason = 'missing_data';
+            else recipient.text = rendered.text;
+        }
+        if (phone) seen.add(phone);
+        return recipient;
+    });
+}
+
+const summarizeAudience = (audience) => {
+    const skipped = {};
+    audience.filter(r => r.skip_reason).forEach(r => { skipped[r.skip_reason] = (skipped[r.skip_reason] || 0) + 1; });
+    const eligible = audience.filter(r => !r.skip_reason);
+    return {
+        total: audience.length,
+        eligible: eligible.length,
+        skipped,
+        sample: eligible.slice(0, CAMPAIGN_PREVIEW_SAMPLE).map(r => ({
+            studentId: r.student.id, name: r.student.full_name, phone: r.phone, text: r.text
+        }))
+    };
+};
+
+async function findCampaignForStaff(profile, campaignId) {
+    const { data: campaign, error } = await supabase.from('campaigns').select('*').eq('id', campaignId).maybeSingle();
+    if (error) throw error;
+    if (!campaign) return { status: 404, error: 'Campaña no encontrada' };
+    if (!canAccessSede(profile, campaign.sede)) return { status: 403, error: 'La campaña pertenece a otra sede' };
+    return { campaign };
+}
+
+async function loadCampaignCreator(campaign) {
+    const { data } = await supabase.from('perfil_staff').select('*').eq('id', campaign.created_by).maybeSingle();
+    return data || {};
+}
+
+// Estado final de cada destinatario: el de la fila o, si ya se encoló, el del outbox
+async function loadCampaignResults(campaignId, status) {
+    const recipients = await fetchAllRows('campaign_recipients', '*', q => q.eq('campaign_id', campaignId));
+    const messageIds = recipients.map(r => r.message_id).filter(id => id != null);
+    const messages = new Map();
+    for (const ids of chunk(messageIds, ID_CHUNK)) {
+        const { data, error } = await supabase.from('Mensaje_de_secretaria').select('id, delivery_status, last_error').in('id', ids);
+        if (error) throw error;
+        (data || []).forEach(m => messages.set(m.id, m));
+    }
+    const results = recipients.map(r => {
+        const message = messages.get(r.message_id);
+        return {
+            studentId: r.student_id,
+            phone: r.phone,
+            status: r.status === 'queued' && message ? (message.delivery_status || 'queued') : r.status,
+            skipReason: r.skip_reason || null,
+            error: message ? message.last_error || null : null,
+            messageId: r.message_id || null,
+            processedAt: r.processed_at || null
+        };
+    });
+    return status ? results.filter(r => r.status === status) : results;
+}
+
+// --- BAJAS ---
+
+app.post('/api/students/:id/opt-out', verifyUser, requirePermission('messages', 'send'), requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const phones = studentPhones(req.student);
+        if (phones.length === 0) return sendValidationError(res, [{ field: 'phone', message: 'El alumno no tiene un teléfono válido' }]);
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().substring(0, 300) : null;
+        const rows = phones.map(phone => ({
+            phone, student_id: req.student.id, reason, source: 'staff', created_by: req.staffProfile.id, created_at: new Date()
+        }));
+        const { error } = await supabase.from('message_opt_outs').upsert(rows, { onConflict: 'phone' });
+        if (error) throw error;
+        await recordAudit(req, { action: 'create', entity: 'opt_out', entityId: req.student.id, after: { phones, reason } });
+        res.json({ success: true, phones });
+    } catch (err) {
+        console.error("Opt-out Error:", err);
+        res.status(500).json({ error: 'Error registrando la baja' });
+    }
 });
 
-app.put('/api/staff/:id', verifyUser, async (req, res) => {
-    const { newRole, newSede } = req.body;
-    const currentUser = req.staffProfile;
-    
+app.delete('/api/students/:id/opt-out', verifyUser, requirePermission('messages', 'send'), requireStudentAccess(req => req.params.id), async (req, res) => {
     try {
-        if (currentUser.rol !== 'admin') return res.status(403).json({ error: 'No tienes permisos' });
-        
-        if (newRole && !['admin', 'asesor'].includes(newRole)) {
-             return res.status(400).json({ error: 'Rol no válido. Use admin o asesor.' });
+        const phones = studentPhones(req.student);
+        if (phones.length > 0) {
+            const { error } = await supabase.from('message_opt_outs').delete().in('phone', phones);
+            if (error) throw error;
         }
-
-        await supabase.from('perfil_staff').update({ rol: newRole, sede: newSede }).eq('id', req.params.id);
+        await recordAudit(req, { action: 'delete', entity: 'opt_out', entityId: req.student.id, before: { phones } });
         res.json({ success: true });
-    } catch (err) { res.status(500).json({ error: 'Error actualizando staff' }); }
+    } catch (err) {
+        console.error("Opt-out Delete Error:", err);
+        res.status(500).json({ error: 'Error quitando la baja' });
+    }
 });
 
-app.delete('/api/staff/:id', verifyUser, async (req, res) => {
-    const { rol } = req.staffProfile;
-    if (rol !== 'admin') return res.status(403).json({ error: 'Solo Admin elimina cuentas' });
+// n8n registra la baja cuando el alumno responde BAJA: { phone, reason? }
+app.post('/api/n8n/opt-outs', verifyN8n, async (req, res) => {
+    try {
+        const phone = normalizePhone(req.body.phone);
+        if (!phone) return sendValidationError(res, [{ field: 'phone', message: 'Teléfono inválido' }]);
+        const students = await findStudentsByPhone(phone);
+        const { error } = await supabase.from('message_opt_outs').upsert([{
+            phone, student_id: students.length === 1 ? students[0].id : null,
+            reason: typeof req.body.reason === 'string' ? req.body.reason.substring(0, 300) : null,
+            source: 'n8n', created_by: null, created_at: new Date()
+        }], { onConflict: 'phone' });
+        if (error) throw error;
+        res.json({ success: true, phone });
+    } catch (err) {
+        console.error("n8n Opt-out Error:", err);
+        res.status(500).json({ error: 'Error registrando la baja' });
+    }
+});
+
+// --- CAMPAÑAS ---
+
+// 👀 VISTA PREVIA sin guardar (mismo body que la creación)
+app.post('/api/campaigns/preview', verifyUser, requirePermission('campaigns', 'write'), requireSede, async (req, res) => {
+    try {
+        const { value, errors } = validateCampaign(req.body, req.staffProfile);
+        if (errors.length > 0) return sendValidationError(res, errors);
+        const audience = await resolveCampaignAudience(value, req.staffProfile, req.staffProfile);
+        res.json(summarizeAudience(audience));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error("Campaign Preview Error:", err);
+        res.status(500).json({ error: 'Error generando vista previa' });
+    }
+});
 
+app.post('/api/campaigns', verifyUser, requirePermission('campaigns', 'write'), requireSede, async (req, res) => {
     try {
-        const { error } = await supabase.from('perfil_staff').delete().eq('id', req.params.id);
+        const { value, errors } = validateCampaign(req.body, req.staffProfile);
+        if (errors.length > 0) return sendValidationError(res, errors);
+
+        const record = {
+            rate_per_minute: CAMPAIGN_DEFAULT_RATE, scheduled_at: null, template_id: null, message_text: null,
+            ...value,
+            sede: value.filters.sede || null,
+            status: 'pending_approval',
+            created_by: req.staffProfile.id,
+            created_at: new Date(),
+            updated_at: new Date()
+        };
+        const { data, error } = await supabase.from('campaigns').insert([record]).select().single();
         if (error) throw error;
-        res.json({ success: true });
-    } catch (err) { res.status(500).json({ error: 'Error eliminando staff' }); }
+        await recordAudit(req, { action: 'create', entity: 'campaign', entityId: data.id, after: data });
+        res.json(data);
+    } catch (err) {
+        console.error("Campaign Create Error:", err);
+        res.status(500).json({ error: 'Error creando campaña' });
+    }
 });
 
-// ==========================================
-// 8. SISTEMA ADMIN & BOT
-// ==========================================
+app.get('/api/campaigns', verifyUser, requirePermission('campaigns', 'read'), requireSede, async (req, res) => {
+    try {
+        let query = supabase.from('campaigns').select('*').order('created_at', { ascending: false }).limit(100);
+        query = scopeSedeQuery(query, req.staffProfile);
+        if (req.query.status) query = query.eq('status', String(req.query.status));
+        const { data, error } = await query;
+        if (error) throw error;
+        res.json(data || []);
+    } catch (err) {
+        console.error("Campaigns Error:", err);
+        res.status(500).json({ error: 'Error listando campañas' });
+    }
+});
 
-async function getBotStatus() {
+app.get('/api/campaigns/:id', verifyUser, requirePermission('campaigns', 'read'), async (req, res) => {
     try {
-        const { data, error } = await supabase.from('bot_settings').select('is_active').eq('id', 1).single();
-        if (error || !data) return true;
-        return data.is_active;
-    } catch (e) { return true; }
-}
+        const result = await findCampaignForStaff(req.staffProfile, req.params.id);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        const stats = {};
+        (await loadCampaignResults(result.campaign.id)).forEach(r => { stats[r.status] = (stats[r.status] || 0) + 1; });
+        res.json({ ...result.campaign, stats });
+    } catch (err) {
+        console.error("Campaign Error:", err);
+        res.status(500).json({ error: 'Error cargando campaña' });
+    }
+});
 
-app.post('/api/admin/bot-status', verifyUser, async (req, res) => {
-    const { rol } = req.staffProfile;
-    if (rol !== 'admin') return res.status(403).json({ error: 'Solo admin controla el bot.' });
-    const { is_active } = req.body; 
-    await supabase.from('bot_settings').upsert({ id: 1, is_active: is_active, updated_at: new Date() });
-    return res.json({ success: true, is_active });
+// Vista previa de una campaña guardada (antes de aprobar, el segmento se recalcula)
+app.get('/api/campaigns/:id/preview', verifyUser, requirePermission('campaigns', 'read'), async (req, res) => {
+    try {
+        const result = await findCampaignForStaff(req.staffProfile, req.params.id);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        const creator = await loadCampaignCreator(result.campaign);
+        const audience = await resolveCampaignAudience(result.campaign, req.staffProfile, creator);
+        res.json(summarizeAudience(audience));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error("Campaign Preview Error:", err);
+        res.status(500).json({ error: 'Error generando vista previa' });
+    }
 });
 
-app.get('/api/admin/bot-status', verifyUser, async (req, res) => {
-    const isActive = await getBotStatus();
-    res.json({ active: isActive, is_active: isActive });
+// 📊 RESULTADO POR DESTINATARIO: ?status=pending|skipped|queued|sent|delivered|failed
+app.get('/api/campaigns/:id/recipients', verifyUser, requirePermission('campaigns', 'read'), async (req, res) => {
+    try {
+        const result = await findCampaignForStaff(req.staffProfile, req.params.id);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json(await loadCampaignResults(result.campaign.id, req.query.status ? String(req.query.status) : null));
+    } catch (err) {
+        console.error("Campaign Recipients Error:", err);
+        res.status(500).json({ error: 'Error listando destinatarios' });
+    }
 });
 
-// ==========================================
-// 9. INTELIGENCIA ARTIFICIAL
-// ==========================================
+// ✅ APROBACIÓN (admin): congela destinatarios y textos
+app.post('/api/campaigns/:id/approve', verifyUser, requirePermission('campaigns', 'approve'), async (req, res) => {
+    try {
+        const result = await findCampaignForStaff(req.staffProfile, req.params.id);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        const campaign = result.campaign;
+        if (campaign.status !== 'pending_approval') return res.status(409).json({ error: `La campaña está '${campaign.status}'` });
 
-async function nodeReadChat(studentId) {
-    const { data: student } = await supabase.from('student').select('telefono1, telefono2').eq('id', studentId).single();
-    if (!student) return "Sin historial.";
-    
-    const p1 = student.telefono1 ? student.telefono1.replace(/\D/g, '') : 'X';
-    const p2 = student.telefono2 ? student.telefono2.replace(/\D/g, '') : 'X';
-    
-    const { data: chats } = await supabase.from('n8n_chat_histories')
-        .select('message')
-        .or(`session_id.ilike.%${p1}%,session_id.ilike.%${p2}%`)
-        .order('id', { ascending: false })
-        .limit(20);
-        
-    if (!chats || chats.length === 0) return "No hay historial reciente.";
-    
-    return chats.map(c => {
-        const cleanContent = cleanN8nMessage(c.message);
-        return `- ${cleanContent}`;
-    }).reverse().join('\n');
-}
+        const creator = await loadCampaignCreator(campaign);
+        const audience = await resolveCampaignAudience(campaign, req.staffProfile, creator);
+        const eligible = audience.filter(r => !r.skip_reason).length;
+        if (eligible === 0) return res.status(422).json({ error: 'El segmento no tiene destinatarios válidos' });
+        if (eligible > CAMPAIGN_MAX_RECIPIENTS) {
+            return res.status(422).json({ error: `El segmento supera ${CAMPAIGN_MAX_RECIPIENTS} destinatarios (${eligible})` });
+        }
+
+        // Update condicionado: dos admins no aprueban la misma campaña
+        const updates = { status: 'approved', approved_by: req.staffProfile.id, approved_at: new Date(), recipients_total: eligible, updated_at: new Date() };
+        const { data: approved, error } = await supabase.from('campaigns').update(updates)
+            .eq('id', campaign.id).eq('status', 'pending_approval')
+            .select().maybeSingle();
+        if (error) throw error;
+        if (!approved) return res.status(409).json({ error: 'La campaña cambió de estado, recargue' });
 
-async function nodeReadDrive(studentId) {
-    const { data: docs } = await supabase.from('student_documents').select('*').eq('student_id', studentId);
-    if (!docs || docs.length === 0) return "No hay documentos.";
-    
-    let documentsContent = "";
-    for (const doc of docs) {
         try {
-            if(!drive) continue;
-            const response = await drive.files.get({ fileId: doc.drive_file_id, alt: 'media' }, { responseType: 'arraybuffer' });
-            const buffer = Buffer.from(response.data);
-            let text = "";
-            if (doc.mime_type === 'application/pdf') {
-                const pdfData = await pdf(buffer);
-                text = `(PDF): ${pdfData.text.substring(0, 1000)}...`;
-            } else { text = `[Archivo: ${doc.file_name}]`; }
-            documentsContent += `\n--- DOC: ${doc.document_type} ---\n${text}\n`;
-        } catch (err) { }
+            const rows = audience.map(r => ({
+                campaign_id: campaign.id, student_id: r.student.id, sede: r.student.codPuntoKennedy, phone: r.phone, message_text: r.text,
+                status: r.skip_reason ? 'skipped' : 'pending', skip_reason: r.skip_reason,
+                processed_at: r.skip_reason ? new Date() : null
+            }));
+            for (const batch of chunk(rows, BACKFILL_PAGE)) {
+                const { error: insertError } = await supabase.from('campaign_recipients').insert(batch);
+                if (insertError) throw insertError;
+            }
+        } catch (insertErr) {
+            await supabase.from('campaign_recipients').delete().eq('campaign_id', campaign.id);
+            await supabase.from('campaigns').update({ status: 'pending_approval', approved_by: null, approved_at: null, recipients_total: null }).eq('id', campaign.id);
+            throw insertErr;
+        }
+
+        await recordAudit(req, { action: 'update', entity: 'campaign', entityId: campaign.id, before: campaign, after: updates });
+        res.json({ ...approved, preview: summarizeAudience(audience) });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error("Campaign Approve Error:", err);
+        res.status(500).json({ error: 'Error aprobando campaña' });
     }
-    return documentsContent;
-}
+});
 
-app.post('/api/bot/analyze', verifyUser, async (req, res) => {
-    const systemActive = await getBotStatus();
-    if (systemActive === false) return res.json({ answer: "⛔ IA desactivada por administrador." });
-    
-    const { studentId, question } = req.body;
-    if (!process.env.OPENROUTER_API_KEY) return res.json({ answer: "⚠️ Error: Falta API Key." });
-    
+app.post('/api/campaigns/:id/reject', verifyUser, requirePermission('campaigns', 'approve'), async (req, res) => {
     try {
-        const { data: student } = await supabase.from('student').select('*').eq('id', studentId).single();
-        const [chatContext, docsContext] = await Promise.all([ nodeReadChat(studentId), nodeReadDrive(studentId) ]);
-        
-        const prompt = `ERES: Asistente administrativo Universidad Kennedy. ALUMNO: ${student.full_name}. HISTORIAL: ${chatContext}. DOCS: ${docsContext}. PREGUNTA: "${question}". RESPONDE BREVE.`;
-        
-        const completion = await openai.chat.completions.create({
-            model: "google/gemini-2.0-flash-exp:free", 
-            messages: [{ role: "user", content: prompt }],
-        });
-        res.json({ answer: completion.choices[0].message.content });
-    } catch (err) { res.status(500).json({ error: 'Error análisis IA' }); }
+        const result = await findCampaignForStaff(req.staffProfile, req.params.id);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) return sendValidationError(res, [{ field: 'reason', message: 'El rechazo necesita un motivo' }]);
+
+        const updates = { status: 'rejected', rejection_reason: reason, approved_by: req.staffProfile.id, updated_at: new Date() };
+        const { data, error } = await supabase.from('campaigns').update(updates)
+            .eq('id', result.campaign.id).eq('status', 'pending_approval')
+            .select().maybeSingle();
+        if (error) throw error;
+        if (!data) return res.status(409).json({ error: `La campaña está '${result.campaign.status}'` });
+        await recordAudit(req, { action: 'update', entity: 'campaign', entityId: data.id, before: result.campaign, after: updates });
+        res.json(data);
+    } catch (err) {
+        console.error("Campaign Reject Error:", err);
+        res.status(500).json({ error: 'Error rechazando campaña' });
+    }
+});
+
+// ⛔ CANCELAR (creador o admin): lo ya encolado sigue su curso
+app.post('/api/campaigns/:id/cancel', verifyUser, requirePermission('campaigns', 'write'), async (req, res) => {
+    try {
+        const result = await findCampaignForStaff(req.staffProfile, req.params.id);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        const campaign = result.campaign;
+        if (!can(req.staffProfile, 'campaigns', 'approve') && campaign.created_by !== req.staffProfile.id) {
+            return res.status(403).json({ error: 'Solo el creador o quien aprueba campañas puede cancelarla' });
+        }
+        if (!CAMPAIGN_CANCELLABLE.includes(campaign.status)) return res.status(409).json({ error: `La campaña está '${campaign.status}'` });
+
+        const updates = { status: 'cancelled', updated_at: new Date() };
+        const { data, error } = await supabase.from('campaigns').update(updates)
+            .eq('id', campaign.id).in('status', CAMPAIGN_CANCELLABLE)
+            .select().maybeSingle();
+        if (error) throw error;
+        if (!data) return res.status(409).json({ error: 'La campaña cambió de estado, recargue' });
+        const { error: recipientsError } = await supabase.from('campaign_recipients')
+            .update({ status: 'skipped', skip_reason: 'cancelled', processed_at: new Date() })
+            .eq('campaign_id', campaign.id).eq('status', 'pending');
+        if (recipientsError) throw recipientsError;
+
+        await recordAudit(req, { action: 'update', entity: 'campaign', entityId: campaign.id, before: campaign, after: updates });
+        res.json(data);
+    } catch (err) {
+        console.error("Campaign Cancel Error:", err);
+        res.status(500).json({ error: 'Error cancelando campaña' });
+    }
 });
 
+// --- DESPACHO ---
+// Cada CAMPAIGN_TICK_MS encola la cuota de cada campaña vencida. Un solo tick a la vez.
+
+let campaignDispatchRunning = false;
+
+async function dispatchCampaigns() {
+    if (campaignDispatchRunning) return;
+    campaignDispatchRunning = true;
+    try {
+        const now = new Date();
+        const { data: campaigns, error } = await supabase.from('campaigns')
+            .select('*')
+            .in('status', ['approved', 'sending'])
+            .or(`scheduled_at.is.null,scheduled_at.lte.${now.toISOString()}`);
+        if (error) throw error;
+
+        for (const campaign of campaigns || []) {
+            const quota = Math.max(1, Math.round((campaign.rate_per_minute || CAMPAIGN_DEFAULT_RATE) * CAMPAIGN_TICK_MS / 60000));
+            const { data: pending, error: pendingError } = await supabase.from('campaign_recipients')
+                .select('*')
+                .eq('campaign_id', campaign.id).eq('status', 'pending')
+                .order('id', { ascending: true })
+                .limit(quota);
+            if (pendingError) throw pendingError;
+
+            if (!pending || pending.length === 0) {
+                const { error: completeError } = await supabase.from('campaigns').update({ status: 'completed', completed_at: now, updated_at: now })
+                    .eq('id', campaign.id).in('status', ['approved', 'sending']);
+                if (completeError) throw completeError;
+                console.log(`✅ Campaña ${campaign.id} completada`);
+                continue;
+            }
+            if (campaign.status === 'approved') {
+                const { error: sendingError } = await supabase.from('campaigns').update({ status: 'sending', updated_at: now }).eq('id', campaign.id).eq('status', 'approved');
+                if (sendingError) throw sendingError;
+            }
+
+            const creator = await loadCampaignCreator(campaign);
+            const optedOut = await loadOptedOutPhones(pending.map(r => r.phone));
+            // Encolar es idempotente por (campaign_id, student_id): si un tick anterior encoló el
+            // mensaje pero no pudo marcar al destinatario, se reusa en vez de mandarlo otra vez
+            const { data: alreadyQueued, error: queuedError } = await supabase.from('Mensaje_de_secretaria')
+                .select('id, student_id')
+                .eq('campaign_id', campaign.id).in('student_id', pending.map(r => r.student_id));
+            if (queuedError) throw queuedError;
+            const queuedByStudent = new Map((alreadyQueued || []).map(m => [String(m.student_id), m]));
+
+            for (const recipient of pending) {
+                let updates;
+                if (optedOut.has(recipient.phone)) {
+                    updates = { status: 'skipped', skip_reason: 'opted_out', processed_at: new Date() };
+                } else {
+                    const message = queuedByStudent.get(String(recipient.student_id)) || await enqueueMessage({
+                        student: { id: recipient.student_id, codPuntoKennedy: recipient.sede },
+                        phone: recipient.phone, text: recipient.message_text, agent: creator.nombre || 'campaña',
+                        templateId: campaign.template_id, createdBy: campaign.created_by, campaignId: campaign.id
+                    });
+                    updates = { status: 'queued', message_id: message.id, processed_at: new Date() };
+                }
+                const { error: recipientError } = await supabase.from('campaign_recipients').update(updates).eq('id', recipient.id).eq('status', 'pending');
+                if (recipientError) throw recipientError;
+            }
+        }
+    } catch (err) {
+        console.error("❌ Campaign Dispatch Error:", err.message);
+    } finally {
+        campaignDispatchRunning = false;
+    }
+}
+
 // ==========================================
-// 10. ARCHIVOS Y MENSAJES
+// 10.4 TIEMPO REAL PARA EL DASHBOARD (SSE)
 // ==========================================
+// GET /api/realtime abre un stream SSE con el mismo token de verifyUser (header o
+// ?access_token=, porque EventSource no manda headers). Cada staff recibe solo lo de su
+// sede; lo que no tiene sede (ej. documentos sin alumno) va solo a los admin.
+// Eventos: 'message' (chat del bot o mensaje de secretaría), 'delivery', 'student'
+// (alta o cambio de estado/ánimo/flags), 'document', 'secretaria_request'.
+// CHANGE_FEED elige el origen de los cambios: 'supabase' (Realtime, default) o 'memory'
+// (sin base: los cambios se inyectan con POST /api/admin/realtime/simulate).
+// Formato común de un cambio: { table, type: 'INSERT' | 'UPDATE' | 'DELETE', record, old }.
 
-app.post('/api/students/phone/:phone/documents', verifyUser, upload.single('file'), async (req, res) => {
-  const rawPhone = req.params.phone;
-  try {
-    if (!drive) return res.status(503).json({ error: 'Drive off' });
-    const cleanPhone = rawPhone.replace(/\D/g, '');
-    const { documentType } = req.body;
-    const file = req.file;
-    if (!file) return res.status(400).json({ error: 'Falta archivo' });
-    
-    const { data: students } = await supabase.from('student').select('id').or(`telefono1.ilike.%${cleanPhone}%,telefono2.ilike.%${cleanPhone}%`).limit(1);
-    const student = students && students.length > 0 ? students[0] : null;
-    
-    const fileMetadata = { name: `${cleanPhone}_${documentType}_${file.originalname}`, parents: [process.env.GOOGLE_DRIVE_FOLDER_ID] };
-    const media = { mimeType: file.mimetype, body: stream.Readable.from(file.buffer) };
-    
-    const driveResponse = await drive.files.create({ resource: fileMetadata, media: media, fields: 'id' });
-    const { data } = await supabase.from('student_documents').insert([{
-        student_id: student ? student.id : null, student_phone: cleanPhone, document_type: documentType,
-        drive_file_id: driveResponse.data.id, file_name: file.originalname, mime_type: file.mimetype, uploaded_at: new Date()
-    }]).select().single();
-    res.json({ success: true, id: data.id });
-  } catch (err) { res.status(500).json({ error: 'Error upload' }); }
-});
+const CHANGE_FEED = process.env.CHANGE_FEED || 'supabase';
+const REALTIME_TABLES = ['n8n_chat_histories', 'Mensaje_de_secretaria', 'student', 'student_documents', 'secretaria_requests'];
+const REALTIME_STUDENT_FIELDS = ['status', 'mood', 'solicita secretaria', 'bot active', 'codPuntoKennedy', 'bot_paused_until'];
+const REALTIME_HEARTBEAT_MS = 25 * 1000;
+
+const realtimeClients = new Set();
+let realtimeEventId = 0;
+
+// Corta los streams de un email (o todos). El EventSource del frontend se reconecta solo
+// y pasa otra vez por verifyUser: toma el rol y las sedes nuevos, o recibe 403 si la
+// cuenta quedó desactivada. Función declarada para poder llamarla desde las invalidaciones.
+function closeRealtimeClients(email = null) {
+    for (const client of realtimeClients) {
+        if (email && client.profile.email !== email) continue;
+        realtimeClients.delete(client);
+        clearInterval(client.heartbeat);
+        client.res.end();
+    }
+}
+
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+        req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+// sedes: lista de sedes afectadas ([] = solo admin)
+function broadcastRealtime(event, payload, sedes) {
+    const id = ++realtimeEventId;
+    for (const client of realtimeClients) {
+        const allowed = hasAllSedes(client.profile) || sedes.some(sede => sede && canAccessSede(client.profile, sede));
+        if (!allowed) continue;
+        client.res.write(`id: ${id}\n`);
+        sendSse(client.res, event, payload);
+    }
+}
+
+async function sedesOfStudents(studentIds) {
+    const ids = studentIds.filter(id => id != null);
+    if (ids.length === 0) return [];
+    const { data, error } = await supabase.from('student').select('id, codPuntoKennedy').in('id', ids);
+    if (error) throw error;
+    return [...new Set((data || []).map(s => s.codPuntoKennedy))];
+}
+
+async function studentsOfSession(sessionId) {
+    const { data: link } = await supabase.from('student_chat_sessions').select('student_id').eq('session_id', sessionId).maybeSingle();
+    if (link) return [link.student_id];
+    const phone = sessionIdToPhone(sessionId);
+    return phone ? (await findStudentsByPhone(phone, 'id')).map(s => s.id) : [];
+}
 
-app.get('/api/documents/:id/download', verifyUser, async (req, res) => {
+// Traduce un cambio de tabla a evento del dashboard y lo reparte por sede
+async function handleChange({ table, type, record, old }) {
     try {
-        if (!drive) return res.status(503).json({ error: 'Drive off' });
-        const { data: doc } = await supabase.from('student_documents').select('*').eq('id', req.params.id).single();
-        if (!doc) return res.status(404).json({ error: '404' });
-        const driveStream = await drive.files.get({ fileId: doc.drive_file_id, alt: 'media' }, { responseType: 'stream' });
-        res.setHeader('Content-Disposition', `attachment; filename="${doc.file_name}"`);
-        res.setHeader('Content-Type', doc.mime_type);
-        driveStream.data.pipe(res);
-    } catch (err) { res.status(500).json({ error: 'Error download' }); }
+        const row = record || {};
+        if (table === 'n8n_chat_histories' && type === 'INSERT') {
+            const studentIds = await studentsOfSession(row.session_id);
+            broadcastRealtime('message', {
+                source: 'bot', studentIds, sessionId: row.session_id,
+                role: detectN8nRole(row.message), content: cleanN8nMessage(row.message), timestamp: row.created_at || null
+            }, await sedesOfStudents(studentIds));
+        } else if (table === 'Mensaje_de_secretaria') {
+            const entry = mapSecretariaEntry(row);
+            const event = type === 'INSERT' ? 'message' : 'delivery';
+            broadcastRealtime(event, { ...entry, studentIds: row.student_id != null ? [row.student_id] : [] }, [row.sede]);
+        } else if (table === 'student' && type !== 'DELETE') {
+            // Sin REPLICA IDENTITY FULL, 'old' de Realtime solo trae la clave
+            const previous = old && Object.keys(old).length > 1 ? old : null;
+            const changes = {};
+            for (const field of REALTIME_STUDENT_FIELDS) {
+                if (!previous || JSON.stringify(previous[field]) !== JSON.stringify(row[field])) changes[field] = row[field] ?? null;
+            }
+            if (type === 'UPDATE' && previous && Object.keys(changes).length === 0) return;
+            broadcastRealtime('student', { type, student: mapStudentSummary(row), changes },
+                [row.codPuntoKennedy, previous && previous.codPuntoKennedy]);
+        } else if (table === 'student_documents' && type === 'INSERT') {
+            broadcastRealtime('document', {
+                id: row.id, studentId: row.student_id ?? null, documentType: row.document_type,
+                fileName: row.file_name, uploadedAt: row.uploaded_at || null
+            }, await sedesOfStudents([row.student_id]));
+        } else if (table === 'secretaria_requests') {
+            broadcastRealtime('secretaria_request', { type, request: mapSecretariaRequest(row) }, [row.sede]);
+        }
+    } catch (err) {
+        console.error("Realtime Change Error:", err.message);
+    }
+}
+
+function startChangeFeed() {
+    if (CHANGE_FEED === 'memory') {
+        console.log('📡 Feed de cambios en memoria (simulado)');
+        return;
+    }
+    let channel = supabase.channel('dashboard-changes');
+    for (const table of REALTIME_TABLES) {
+        channel = channel.on('postgres_changes', { event: '*', schema: 'public', table }, (payload) => handleChange({
+            table: payload.table, type: payload.eventType, record: payload.new, old: payload.old
+        }));
+    }
+    channel.subscribe((status) => console.log(`📡 Realtime Supabase: ${status}`));
+}
+
+// 📡 STREAM DEL DASHBOARD
+app.get('/api/realtime', tokenFromQuery, verifyUser, requirePermission('students', 'read'), requireSede, (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    const client = { res, profile: req.staffProfile, heartbeat: setInterval(() => res.write(': ping\n\n'), REALTIME_HEARTBEAT_MS) };
+    realtimeClients.add(client);
+    sendSse(res, 'ready', { sede: req.staffProfile.sede, sedes: sedesOf(req.staffProfile), rol: req.staffProfile.rol });
+
+    req.on('close', () => {
+        clearInterval(client.heartbeat);
+        realtimeClients.delete(client);
+    });
 });
 
-app.post('/api/messages', verifyUser, async (req, res) => {
-    try {
-        const { studentId, messageText, phone } = req.body;
-        const { data: student } = await supabase.from('student').select('codPuntoKennedy').eq('id', studentId).single();
-        
-        await supabase.from('Mensaje_de_secretaria').insert([{ 
-            "Telefono_EST": phone, 
-            "Mensaje de secretaria": { message: messageText, agent: req.staffProfile.nombre }, 
-            "sede": student?.codPuntoKennedy 
-        }]);
-        res.json({ success: true });
-    } catch (err) { res.status(500).json({ error: 'Error message' }); }
+// 🧪 SIMULACIÓN (solo CHANGE_FEED=memory): { table, type, record, old? }
+app.post('/api/admin/realtime/simulate', verifyUser, requirePermission('system', 'manage'), async (req, res) => {
+    if (CHANGE_FEED !== 'memory') return res.status(409).json({ error: 'Disponible solo con CHANGE_FEED=memory' });
+    const { table, type, record, old } = req.body;
+    if (!REALTIME_TABLES.includes(table) || !['INSERT', 'UPDATE', 'DELETE'].includes(type) || !record || typeof record !== 'object') {
+        return sendValidationError(res, [{ field: 'table', message: `table en ${REALTIME_TABLES.join(', ')}, type INSERT|UPDATE|DELETE y record objeto` }]);
+    }
+    await handleChange({ table, type, record, old: old || null });
+    res.json({ success: true, clients: realtimeClients.size });
 });
 
-app.listen(port, () => console.log(`🚀 KENNEDY BACKEND v10.0 (Full Management) puerto ${port}`));
\ No newline at end of file
+// ==========================================
+// 11. MIGRACIÓN DE ALMACENAMIENTO (CLI)
+// ==========================================
+// node server.js migrate-storage --from drive --to s3 [--dry-run] [--limit 100]
+// Copia cada archivo del backend origen al destino (los documentos y también sus versiones
+// anteriores en student_document_versions), verifica el SHA-256 releyendo la copia y recién
+// entonces actualiza la fila. El archivo original no se borra.
+
+const parseCliArgs = (argv) => {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next && !next.startsWith('--')) { args[key] = next; i++; } else { args[key] = true; }
+    }
+    return args;
+};
+
+async function migrateStorage({ from, to, dryRun = false, limit = Infinity }) {
+    const source = getStorage(from);
+    const target = getStorage(to);
+    if (from === to) throw new Error('Origen y destino son el mismo backend');
+    if (!source.isReady() || !target.isReady()) throw new Error('Algún backend no está configurado');
+
+    const onSource = (row) => (row.storage_backend || 'drive') === from;
+    const docs = (await fetchAllRows('student_documents', '*')).filter(onSource).map(doc => ({
+        row: doc,
+        label: `Documento ${doc.id}`,
+        name: `${doc.id}_${doc.file_name}`,
+        update: (updates) => supabase.from('student_documents').update(updates).eq('id', doc.id),
+        failure: { id: doc.id }
+    }));
+    const versions = (await fetchAllRows('student_document_versions', '*')).filter(onSource).map(v => ({
+        row: v,
+        label: `Documento ${v.document_id} (versión ${v.version})`,
+        name: `${v.document_id}_v${v.version}_${v.file_name}`,
+        update: (updates) => supabase.from('student_document_versions').update(updates).eq('document_id', v.document_id).eq('version', v.version),
+        failure: { id: v.document_id, version: v.version }
+    }));
+    const files = [...docs, ...versions].slice(0, limit);
+
+    const report = { total: files.length, migrated: 0, failed: [] };
+    for (const file of files) {
+        try {
+            const buffer = await source.get(storageKeyOf(file.row));
+            const checksum = sha256(buffer);
+            if (file.row.checksum_sha256 && file.row.checksum_sha256 !== checksum) {
+                throw new Error('El checksum del origen no coincide con el registrado');
+            }
+            if (dryRun) { report.migrated++; continue; }
+
+            const newKey = await target.put(file.name, buffer, file.row.mime_type);
+            const copy = await target.get(newKey);
+            if (sha256(copy) !== checksum) {
+                await target.remove(newKey).catch(() => {});
+                throw new Error('La copia en destino no coincide (checksum)');
+            }
+
+            const { error } = await file.update({
+                storage_backend: to,
+                storage_key: newKey,
+                checksum_sha256: checksum
+            });
+            if (error) throw error;
+
+            report.migrated++;
+            console.log(`✅ [MIGRACIÓN] ${file.label}: ${from} -> ${to}`);
+        } catch (err) {
+            report.failed.push({ ...file.failure, error: err.message });
+            console.error(`❌ [MIGRACIÓN] ${file.label}:`, err.message);
+        }
+    }
+    return report;
+}
+
+// Requerido como módulo (tests) no arranca nada: ni listen, ni timers, ni el feed de cambios
+if (require.main === module) {
+    if (process.argv[2] === 'migrate-storage') {
+        const args = parseCliArgs(process.argv.slice(3));
+        migrateStorage({
+            from: args.from || 'drive',
+            to: args.to,
+            dryRun: Boolean(args['dry-run']),
+            limit: args.limit ? parseInt(args.limit, 10) : Infinity
+        })
+            .then(report => {
+                console.log(JSON.stringify(report, null, 2));
+                process.exit(report.failed.length > 0 ? 1 : 0);
+            })
+            .catch(err => {
+                console.error("❌ [MIGRACIÓN]", err.message);
+                process.exit(1);
+            });
+    } else {
+        app.listen(port, () => console.log(`🚀 KENNEDY BACKEND v10.0 (Full Management) puerto ${port}`));
+        setInterval(dispatchCampaigns, CAMPAIGN_TICK_MS);
+        setInterval(runSecretariaQueueTick, SECRETARIA_TICK_MS);
+        startChangeFeed();
+    }
+}
+
+// Además de la app, los helpers puros que cubren los tests
+module.exports = {
+    app,
+    cleanN8nMessage, detectN8nRole, encodeTimelineCursor, decodeTimelineCursor,
+    parseClassification, escapeLikePattern, ilikeAnyFilter,
+    getStorage, migrateStorage, dispatchCampaigns
+};
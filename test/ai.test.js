@@ -0,0 +1,159 @@
+// Perfiles de modelo contra un servidor local compatible con OpenAI: reintentos con backoff,
+// orden de fallback, registro de consumo con costo y tope de presupuesto mensual.
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+const { startAiStub } = require('./helpers/ai-stub');
+
+const { admin } = STAFF;
+let api;
+let ai;
+
+test.before(async () => {
+    seed();
+    fake.db.bot_settings = [{ id: 1, is_active: true }];
+    ai = await startAiStub();
+    api = await startServer({
+        OPENROUTER_BASE_URL: ai.url,
+        OPENROUTER_MODEL: 'main/model',
+        OPENROUTER_FALLBACK_MODELS: 'backup/one, backup/two',
+        AI_RETRY_BASE_MS: '5',
+        AI_MAX_RETRIES: 'muchos' // inválido: vuelve al default (2)
+    });
+});
+
+test.after(async () => {
+    await api.close();
+    await ai.close();
+});
+
+test.beforeEach(() => {
+    ai.calls.length = 0;
+    ai.setReply(() => 'Respuesta del modelo');
+});
+
+const analyze = () => api.call('POST', '/api/bot/analyze', { token: admin.token, body: { studentId: 10, question: '¿Qué le falta?' } });
+const lastUsage = () => fake.db.ai_usage_log.at(-1);
+const modelsCalled = () => ai.calls.map(c => c.model);
+
+test('AI_MAX_RETRIES inválido usa el default', async () => {
+    const res = await api.call('GET', '/api/admin/ai/profiles', { token: admin.token });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.maxRetries, 2);
+    assert.deepStrictEqual(res.body.profiles.find(p => p.name === 'assistant').models, ['main/model', 'backup/one', 'backup/two']);
+});
+
+test('un 503 se reintenta con el mismo modelo y el consumo queda registrado', async () => {
+    ai.setReply((body, n) => (n <= 2 ? { status: 503 } : 'Le falta el DNI'));
+    const res = await analyze();
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.answer, 'Le falta el DNI');
+    assert.deepStrictEqual(modelsCalled(), ['main/model', 'main/model', 'main/model']);
+
+    const usage = lastUsage();
+    assert.strictEqual(usage.profile, 'assistant');
+    assert.strictEqual(usage.status, 'ok');
+    assert.strictEqual(usage.model, 'main/model');
+    assert.deepStrictEqual(usage.models_tried, ['main/model']);
+    assert.strictEqual(usage.attempts, 3);
+    assert.strictEqual(usage.prompt_tokens, 100);
+    assert.strictEqual(usage.completion_tokens, 20);
+    assert.strictEqual(usage.cost_usd, null); // sin precios configurados
+    assert.strictEqual(usage.sede, 'CATAMARCA');
+    assert.strictEqual(usage.student_id, 10);
+    assert.strictEqual(usage.staff_id, admin.profile.id);
+});
+
+test('un error no reintentable pasa al siguiente modelo, en orden', async () => {
+    ai.setReply((body) => {
+        if (body.model === 'main/model') return { status: 404 };
+        if (body.model === 'backup/one') return { status: 429, headers: { 'retry-after': '0' } };
+        return 'Respuesta de backup/two';
+    });
+    const res = await analyze();
+    assert.strictEqual(res.body.answer, 'Respuesta de backup/two');
+    assert.deepStrictEqual(modelsCalled(), ['main/model', 'backup/one', 'backup/one', 'backup/one', 'backup/two']);
+
+    const usage = lastUsage();
+    assert.strictEqual(usage.model, 'backup/two');
+    assert.deepStrictEqual(usage.models_tried, ['main/model', 'backup/one', 'backup/two']);
+    assert.strictEqual(usage.attempts, 5);
+});
+
+test('si ningún modelo responde, 502 y un registro de error sin costo', async () => {
+    ai.setReply(() => ({ status: 500 }));
+    const res = await analyze();
+    assert.strictEqual(res.status, 502);
+    assert.strictEqual(res.body.error, 'Ningún modelo de IA respondió, intente más tarde');
+    assert.strictEqual(ai.calls.length, 9);
+
+    const usage = lastUsage();
+    assert.strictEqual(usage.status, 'error');
+    assert.strictEqual(usage.model, 'backup/two');
+    assert.strictEqual(usage.prompt_tokens, null);
+    assert.strictEqual(usage.cost_usd, null);
+    assert.ok(usage.error);
+});
+
+test('el costo sale de los precios del perfil o del usage.cost del proveedor', async () => {
+    const saved = await api.call('PUT', '/api/admin/ai/profiles/assistant', {
+        token: admin.token,
+        body: { models: ['main/model'], prices: { 'main/model': { prompt: 1, completion: 2 } } }
+    });
+    assert.strictEqual(saved.status, 200);
+
+    await analyze();
+    assert.strictEqual(lastUsage().cost_usd, (100 * 1 + 20 * 2) / 1e6);
+
+    ai.setReply(() => ({ content: 'ok', usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15, cost: 0.25 } }));
+    await analyze();
+    assert.strictEqual(lastUsage().cost_usd, 0.25);
+});
+
+test('el asistente en stream registra el consumo informado al final', async () => {
+    ai.setReply((body, n) => (n === 1 ? { status: 503 } : 'Hola, te cuento lo que falta'));
+    const res = await fetch(`${api.base}/api/students/10/assistant/messages`, {
+        method: 'POST',
+        headers: { authorization: `Bearer ${admin.token}`, 'content-type': 'application/json' },
+        body: JSON.stringify({ question: 'Resumí la situación' })
+    });
+    const text = await res.text();
+    const tokens = [...text.matchAll(/event: token\ndata: (.*)/g)].map(m => JSON.parse(m[1]).delta).join('');
+    assert.strictEqual(tokens, 'Hola, te cuento lo que falta');
+    assert.match(text, /event: done/);
+    assert.ok(ai.calls.every(c => c.body.stream === true));
+
+    const usage = lastUsage();
+    assert.strictEqual(usage.status, 'ok');
+    assert.strictEqual(usage.attempts, 2);
+    assert.strictEqual(usage.usage_estimated, false);
+    assert.strictEqual(fake.db.assistant_messages.at(-1).content, 'Hola, te cuento lo que falta');
+});
+
+test('al llegar al tope mensual de la sede la IA se frena sin llamar al modelo', async () => {
+    const spent = (await api.call('GET', '/api/admin/ai/budgets', { token: admin.token })).body.bySede.CATAMARCA;
+    assert.ok(spent > 0.25);
+
+    const capped = await api.call('PUT', '/api/admin/ai/budgets/CATAMARCA', { token: admin.token, body: { monthlyLimitUsd: 0.25 } });
+    assert.strictEqual(capped.status, 200);
+    assert.strictEqual(capped.body.blocked, true);
+
+    const blocked = await analyze();
+    assert.strictEqual(blocked.body.budgetExceeded, true);
+    const stream = await api.call('POST', '/api/students/10/assistant/messages', { token: admin.token, body: { question: 'hola' } });
+    assert.strictEqual(stream.status, 503);
+    assert.strictEqual(stream.body.error, 'Se alcanzó el presupuesto mensual de IA de la sede CATAMARCA');
+
+    // Otra sede sigue funcionando; quitar el tope la libera
+    assert.strictEqual((await api.call('POST', '/api/bot/analyze', { token: admin.token, body: { studentId: 11, question: '?' } })).body.answer, 'Respuesta del modelo');
+    assert.strictEqual(ai.calls.length, 1);
+    await api.call('PUT', '/api/admin/ai/budgets/CATAMARCA', { token: admin.token, body: { monthlyLimitUsd: null } });
+    assert.strictEqual((await analyze()).body.answer, 'Respuesta del modelo');
+});
+
+test('el tope global frena a todas las sedes', async () => {
+    await api.call('PUT', '/api/admin/ai/budgets/global', { token: admin.token, body: { monthlyLimitUsd: 0.01 } });
+    const res = await api.call('POST', '/api/bot/analyze', { token: admin.token, body: { studentId: 11, question: '?' } });
+    assert.strictEqual(res.body.answer, '⛔ Se alcanzó el presupuesto mensual de IA.');
+    assert.strictEqual(ai.calls.length, 0);
+});
@@ -0,0 +1,74 @@
+// Login: freno de fuerza bruta por cuenta y por IP; sesiones que se cortan al salir o al desactivar la cuenta
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+
+let api;
+const PASSWORD = 'clave-correcta';
+
+test.before(async () => {
+    seed();
+    for (const s of Object.values(STAFF)) fake.users[s.token].password = PASSWORD;
+    api = await startServer({ LOGIN_MAX_PER_ACCOUNT: '3', LOGIN_MAX_PER_IP: '10' });
+});
+
+test.after(() => api.close());
+
+const login = (staff, password) => api.call('POST', '/api/auth/login', { body: { email: staff.user.email, password } });
+const me = (token) => api.call('GET', '/api/auth/me', { token });
+
+// Todos los intentos salen de 127.0.0.1: los fallos por IP se acumulan entre tests (ver el último)
+
+test('un login correcto pone en cero los fallos de la cuenta', async () => {
+    for (let i = 0; i < 2; i++) assert.strictEqual((await login(STAFF.asesorSalta, 'mala')).status, 401);
+    assert.strictEqual((await login(STAFF.asesorSalta, PASSWORD)).status, 200);
+    for (let i = 0; i < 2; i++) assert.strictEqual((await login(STAFF.asesorSalta, 'mala')).status, 401);
+});
+
+test('al llegar al máximo por cuenta se responde 429 con Retry-After, aun con la clave correcta', async () => {
+    for (let i = 0; i < 3; i++) assert.strictEqual((await login(STAFF.asesorCatamarca, 'mala')).status, 401);
+
+    const blocked = await login(STAFF.asesorCatamarca, PASSWORD);
+    assert.strictEqual(blocked.status, 429);
+    assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+    assert.strictEqual(blocked.body.retryAfter, Number(blocked.headers.get('retry-after')));
+
+    // Las mayúsculas no abren otra cuenta de intentos
+    const upper = await api.call('POST', '/api/auth/login', { body: { email: STAFF.asesorCatamarca.user.email.toUpperCase(), password: PASSWORD } });
+    assert.strictEqual(upper.status, 429);
+
+    // Otra cuenta desde la misma IP sigue entrando
+    assert.strictEqual((await login(STAFF.admin, PASSWORD)).status, 200);
+});
+
+test('al llegar al máximo por IP se frena cualquier cuenta', async () => {
+    // 7 fallos de los tests anteriores + 3 de cuentas inexistentes = 10
+    for (let i = 0; i < 3; i++) {
+        const res = await api.call('POST', '/api/auth/login', { body: { email: `nadie${i}@kennedy.test`, password: 'x' } });
+        assert.strictEqual(res.status, 401);
+    }
+    const blocked = await login(STAFF.admin, PASSWORD);
+    assert.strictEqual(blocked.status, 429);
+});
+
+test('el logout invalida el token en el acto, aunque esté en la caché de sesión', async () => {
+    const token = STAFF.asesorSinSede.token;
+    assert.strictEqual((await me(token)).status, 200);
+
+    const out = await api.call('POST', '/api/auth/logout', { token });
+    assert.deepStrictEqual(out.body, { success: true, scope: 'local' });
+    assert.strictEqual((await me(token)).status, 401);
+});
+
+test('desactivar una cuenta corta su sesión y su refresh token', async () => {
+    const { token } = STAFF.asesorSalta;
+    assert.strictEqual((await me(token)).status, 200);
+
+    const res = await api.call('POST', `/api/staff/${STAFF.asesorSalta.profile.id}/deactivate`, { token: STAFF.admin.token });
+    assert.strictEqual(res.status, 200);
+
+    assert.strictEqual((await me(token)).status, 403);
+    const refresh = await api.call('POST', '/api/auth/refresh', { body: { refreshToken: `r-${token}` } });
+    assert.strictEqual(refresh.status, 403);
+    assert.strictEqual(refresh.body.error, 'Cuenta desactivada. Contacte a un administrador.');
+});
@@ -0,0 +1,52 @@
+// Despacho de campañas: un destinatario nunca recibe dos veces el mismo mensaje
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+
+let api;
+
+test.before(async () => {
+    seed();
+    fake.db.campaigns = [
+        { id: 1, name: 'Inscripciones', sede: 'CATAMARCA', status: 'approved', rate_per_minute: 20, created_by: 1, scheduled_at: null },
+        { id: 2, name: 'Becas', sede: 'CATAMARCA', status: 'approved', rate_per_minute: 20, created_by: 1, scheduled_at: null }
+    ];
+    const recipient = (id, campaignId, studentId, phone) => ({
+        id, campaign_id: campaignId, student_id: studentId, sede: 'CATAMARCA', phone, message_text: 'Hola', status: 'pending'
+    });
+    fake.db.campaign_recipients = [
+        recipient(1, 1, 10, '+5493834123456'), recipient(2, 1, 12, '+5493834000001'),
+        recipient(3, 2, 10, '+5493834123456')
+    ];
+    fake.db.Mensaje_de_secretaria = [];
+    fake.db.message_opt_outs = [];
+    api = await startServer();
+});
+
+test.after(() => api.close());
+
+test('si no se pudo marcar al destinatario, el tick siguiente no vuelve a encolarlo', async () => {
+    const { dispatchCampaigns } = api.internals;
+    fake.failures.push({ table: 'campaign_recipients', op: 'update', error: { message: 'timeout' } });
+    await dispatchCampaigns();
+    assert.strictEqual(fake.db.Mensaje_de_secretaria.filter(m => m.campaign_id === 1).length, 1);
+    assert.ok(fake.db.campaign_recipients.filter(r => r.campaign_id === 1).every(r => r.status === 'pending'));
+
+    await dispatchCampaigns();
+    const messages = fake.db.Mensaje_de_secretaria.filter(m => m.campaign_id === 1);
+    assert.deepStrictEqual(messages.map(m => m.student_id).sort(), [10, 12]);
+    const recipients = fake.db.campaign_recipients.filter(r => r.campaign_id === 1);
+    assert.ok(recipients.every(r => r.status === 'queued'));
+    assert.strictEqual(recipients.find(r => r.student_id === 10).message_id, messages.find(m => m.student_id === 10).id);
+
+    // El mismo alumno en otra campaña sí recibe su mensaje
+    assert.strictEqual(fake.db.Mensaje_de_secretaria.filter(m => m.campaign_id === 2).length, 1);
+});
+
+test('cancelar informa el error si no pudo saltear los pendientes', async () => {
+    fake.db.campaigns.push({ id: 3, name: 'Encuesta', sede: 'CATAMARCA', status: 'approved', created_by: 1 });
+    fake.db.campaign_recipients.push({ id: 4, campaign_id: 3, student_id: 10, sede: 'CATAMARCA', phone: '+5493834123456', status: 'pending' });
+    fake.failures.push({ table: 'campaign_recipients', op: 'update', error: { message: 'timeout' } });
+    const res = await api.call('POST', '/api/campaigns/3/cancel', { token: STAFF.admin.token });
+    assert.strictEqual(res.status, 500);
+});
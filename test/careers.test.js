@@ -0,0 +1,117 @@
+// Carreras: las columnas reales de resumen_carreras pasan por validación, historial,
+// rollback y catálogo publicado aunque el código solo conozca CARRERA.
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+
+const SECRET = 'n8n-secret';
+let api;
+
+test.before(async () => {
+    seed();
+    fake.columns.resumen_carreras = [
+        'id', 'created_at', 'CARRERA', 'Sede', 'Costo', 'Link', 'Virtual',
+        'version', 'updated_at', 'updated_by', 'archived_at', 'archived_by', 'deleted_at', 'deleted_by'
+    ];
+    fake.db.resumen_carreras = [
+        { id: 1, CARRERA: 'Enfermería', Sede: 'CATAMARCA', Costo: '$50.000', Link: 'https://kennedy.test/enf', Virtual: false, version: null }
+    ];
+    api = await startServer({ N8N_WEBHOOK_SECRET: SECRET });
+});
+
+test.after(() => api.close());
+
+const admin = (method, path, body) => api.call(method, path, { token: STAFF.admin.token, body });
+
+test('crear y editar acepta las columnas existentes de la tabla', async () => {
+    const created = await admin('POST', '/api/careers', { CARRERA: '  Derecho ', Sede: 'SALTA', Costo: 70000, Virtual: true, Link: '' });
+    assert.strictEqual(created.status, 200);
+    const row = created.body.data[0];
+    assert.deepStrictEqual(
+        { CARRERA: row.CARRERA, Sede: row.Sede, Costo: row.Costo, Virtual: row.Virtual, Link: row.Link, version: row.version },
+        { CARRERA: 'Derecho', Sede: 'SALTA', Costo: 70000, Virtual: true, Link: null, version: 1 }
+    );
+
+    const updated = await admin('PUT', '/api/careers/1', { Costo: '$55.000', id: 99, state: 'active' });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.data.Costo, '$55.000');
+    assert.strictEqual(updated.body.data.Link, 'https://kennedy.test/enf');
+    assert.strictEqual(updated.body.data.id, 1);
+});
+
+test('columnas inexistentes, valores compuestos y CARRERA faltante son errores del campo', async () => {
+    const unknown = await admin('PUT', '/api/careers/1', { TITULO: 'Licenciado' });
+    assert.strictEqual(unknown.status, 400);
+    assert.deepStrictEqual(unknown.body.fields, [{ field: 'TITULO', message: 'La tabla resumen_carreras no tiene esa columna' }]);
+
+    const nested = await admin('PUT', '/api/careers/1', { Sede: { nombre: 'SALTA' }, 'a,b': 'x' });
+    assert.strictEqual(nested.status, 400);
+    assert.deepStrictEqual(nested.body.fields.map(f => f.field).sort(), ['Sede', 'a,b']);
+
+    const missing = await admin('POST', '/api/careers', { Sede: 'SALTA' });
+    assert.deepStrictEqual(missing.body.fields, [{ field: 'CARRERA', message: 'Campo obligatorio' }]);
+});
+
+test('el historial guarda todas las columnas de datos y el rollback las restaura', async () => {
+    const { body: history } = await admin('GET', '/api/careers/1/versions');
+    // baseline (versión 1, fila vieja) + la edición del primer test (versión 2)
+    assert.deepStrictEqual(history.versions.map(v => v.version), [2, 1]);
+    const baseline = history.versions.find(v => v.version === 1).data;
+    assert.deepStrictEqual(baseline, { CARRERA: 'Enfermería', Sede: 'CATAMARCA', Costo: '$50.000', Link: 'https://kennedy.test/enf', Virtual: false });
+
+    await admin('PUT', '/api/careers/1', { Link: null, Virtual: true });
+    const rolled = await admin('POST', '/api/careers/1/rollback', { version: 1 });
+    assert.strictEqual(rolled.status, 200);
+    assert.strictEqual(rolled.body.data.version, 4);
+    for (const [field, value] of Object.entries(baseline)) assert.deepStrictEqual(rolled.body.data[field], value, field);
+});
+
+test('el rollback ignora columnas que la tabla ya no tiene', async () => {
+    // Foto de cuando el código inventaba columnas
+    fake.db.career_versions.push({ career_id: 1, version: 50, action: 'update', data: { CARRERA: 'Enfermería', TITULO: null, Costo: '$1' } });
+    const rolled = await admin('POST', '/api/careers/1/rollback', { version: 50 });
+    assert.strictEqual(rolled.status, 200);
+    assert.strictEqual(rolled.body.data.Costo, '$1');
+    assert.strictEqual(rolled.body.data.Sede, null);
+    assert.ok(!('TITULO' in rolled.body.data));
+});
+
+test('el catálogo publicado para n8n lleva las columnas reales', async () => {
+    const published = await admin('POST', '/api/careers/publish', { note: 'inicio' });
+    assert.strictEqual(published.status, 201);
+
+    const res = await api.call('GET', '/api/n8n/careers', { headers: { 'x-n8n-secret': SECRET } });
+    assert.strictEqual(res.status, 200);
+    const derecho = res.body.careers.find(c => c.CARRERA === 'Derecho');
+    assert.deepStrictEqual(Object.keys(derecho).sort(), ['CARRERA', 'Costo', 'Link', 'Sede', 'Virtual', 'id']);
+    assert.strictEqual(derecho.Costo, 70000);
+
+    const cached = await api.call('GET', '/api/n8n/careers', { headers: { 'x-n8n-secret': SECRET, 'if-none-match': res.headers.get('etag') } });
+    assert.strictEqual(cached.status, 304);
+});
+
+test('archivar, eliminar y restaurar quedan versionados', async () => {
+    const created = await admin('POST', '/api/careers', { CARRERA: 'Técnico en Redes' });
+    const id = created.body.data[0].id;
+    fake.db.student.push(
+        { id: 40, full_name: 'Gabi', codPuntoKennedy: 'CATAMARCA', nombrePrograma: '  TECNICO EN REDES ' },
+        { id: 41, full_name: 'Hugo', codPuntoKennedy: 'SALTA', nombrePrograma: 'Técnica en Redes' }
+    );
+
+    const archived = await admin('POST', `/api/careers/${id}/archive`);
+    assert.strictEqual(archived.status, 200);
+    assert.strictEqual(archived.body.students, 1); // sin tildes ni mayúsculas, pero no 'Técnica'
+    assert.strictEqual((await admin('DELETE', `/api/careers/${id}`)).status, 409);
+
+    fake.db.student = fake.db.student.filter(s => s.id !== 40);
+    await admin('POST', `/api/careers/${id}/unarchive`);
+    assert.strictEqual((await admin('DELETE', `/api/careers/${id}`)).status, 200);
+    await admin('POST', `/api/careers/${id}/restore`);
+
+    const { body: history } = await admin('GET', `/api/careers/${id}/versions`);
+    assert.strictEqual(history.current, 5);
+    assert.deepStrictEqual(history.versions.map(v => [v.version, v.action]), [
+        [5, 'restore'], [4, 'delete'], [3, 'unarchive'], [2, 'archive'], [1, 'create']
+    ]);
+    assert.strictEqual(fake.db.resumen_carreras.find(c => c.id === id).deleted_at, null);
+});
@@ -0,0 +1,128 @@
+// Clasificador de estado y ánimo contra un modelo local compatible con OpenAI
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+const { startAiStub } = require('./helpers/ai-stub');
+
+const { admin, asesorCatamarca } = STAFF;
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+const human = (text) => ({ type: 'human', content: `Mensaje de la persona: ${text}` });
+
+let api;
+let ai;
+
+// El modelo clasifica según lo que dijo el alumno; 'roto' le hace contestar sin JSON
+const classify = (body) => {
+    const transcript = body.messages[1].content;
+    if (transcript.includes('roto')) return 'No sé qué responder';
+    if (transcript.includes('inscribirme')) return '```json\n{"status": "Interesado", "mood": "Positivo", "summary": "Quiere inscribirse."}\n```';
+    return '{"status": "Sólo preguntó", "mood": "Neutro", "summary": "Consulta general."}';
+};
+
+test.before(async () => {
+    seed();
+    fake.db.student.push(
+        { id: 12, full_name: 'Carla Ya Clasificada', codPuntoKennedy: 'CATAMARCA', telefono1: '+5493834000012', classified_at: minutesAgo(1) },
+        { id: 13, full_name: 'Dario Duplicado', codPuntoKennedy: 'SALTA', telefono1: '+5493874000099' },
+        { id: 14, full_name: 'Dario Duplicado Bis', codPuntoKennedy: 'SALTA', telefono2: '+5493874000099' },
+        { id: 15, full_name: 'Elena Vieja', codPuntoKennedy: 'SALTA', telefono1: '+5493874000015' },
+        { id: 16, full_name: 'Fede Roto', codPuntoKennedy: 'CATAMARCA', telefono1: '+5493834000016' },
+        { id: 17, full_name: 'Gabi Sin Chat', codPuntoKennedy: 'CATAMARCA', telefono1: '+5493834000017' }
+    );
+    // El alumno 10 está vinculado a una sesión que no es su teléfono; el resto se encuentra por teléfono
+    fake.db.student_chat_sessions = [{ session_id: 'lead-ana', student_id: 10 }];
+    fake.db.n8n_chat_histories = [
+        { id: 1, session_id: 'lead-ana', created_at: minutesAgo(30), message: human('quiero inscribirme') },
+        { id: 2, session_id: '5493874551234', created_at: minutesAgo(20), message: human('hola, info?') },
+        { id: 3, session_id: '5493834000012', created_at: minutesAgo(10), message: human('gracias') },
+        { id: 4, session_id: '5493874000099', created_at: minutesAgo(9), message: human('hola') },
+        { id: 5, session_id: '5493834000016', created_at: minutesAgo(8), message: human('roto') },
+        // Queda fuera del tope de lectura (CLASSIFIER_SCAN_LIMIT=5)
+        { id: 6, session_id: '5493874000015', created_at: minutesAgo(60), message: human('hola') }
+    ];
+
+    ai = await startAiStub();
+    ai.setReply(classify);
+    api = await startServer({ OPENROUTER_BASE_URL: ai.url, CLASSIFIER_SCAN_LIMIT: '5' });
+});
+
+test.after(async () => {
+    await api.close();
+    await ai.close();
+});
+
+test('parseClassification acepta JSON válido rodeado de texto', () => {
+    const { parseClassification } = api.internals;
+    assert.deepStrictEqual(
+        parseClassification('Claro:\n```json\n{"status": "Inscripto", "mood": "Positivo", "summary": "  Ya pagó la matrícula. "}\n```'),
+        { status: 'Inscripto', mood: 'Positivo', summary: 'Ya pagó la matrícula.' }
+    );
+    const long = parseClassification(JSON.stringify({ status: 'Interesado', mood: 'Neutro', summary: 'x'.repeat(800) }));
+    assert.strictEqual(long.summary.length, 500);
+});
+
+test('parseClassification rechaza respuestas fuera de los enums o sin JSON', () => {
+    const { parseClassification } = api.internals;
+    assert.throws(() => parseClassification('sin json'), /no devolvió JSON/);
+    assert.throws(() => parseClassification(''), /no devolvió JSON/);
+    assert.throws(() => parseClassification('{"status": "Matriculado", "mood": "Positivo", "summary": "x"}'), /Estado fuera del enum/);
+    assert.throws(() => parseClassification('{"status": "Interesado", "mood": "Eufórico", "summary": "x"}'), /Ánimo fuera del enum/);
+    assert.throws(() => parseClassification('{"status": "Interesado", "mood": "Neutro", "summary": "  "}'), /Resumen vacío/);
+    assert.throws(() => parseClassification('{"status": "Interesado", "mood": }'), SyntaxError);
+});
+
+test('POST /api/admin/students/:id/classify escribe la clasificación y la audita', async () => {
+    const res = await api.call('POST', '/api/admin/students/10/classify', { token: admin.token });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, 'Interesado');
+    assert.strictEqual(res.body.mood, 'Positivo');
+
+    const student = fake.db.student.find(s => s.id === 10);
+    assert.strictEqual(student.ai_summary, 'Quiere inscribirse.');
+    assert.ok(student.classified_at);
+    assert.ok(fake.db.audit_log.some(a => a.entity === 'student' && String(a.entity_id) === '10'));
+    assert.strictEqual(ai.calls.at(-1).body.temperature, 0);
+});
+
+test('classify: sin conversación 422, respuesta inválida 502 y sin permiso 403', async () => {
+    assert.strictEqual((await api.call('POST', '/api/admin/students/17/classify', { token: admin.token })).status, 422);
+
+    const broken = await api.call('POST', '/api/admin/students/16/classify', { token: admin.token });
+    assert.strictEqual(broken.status, 502);
+    assert.strictEqual(fake.db.student.find(s => s.id === 16).status, undefined);
+
+    assert.strictEqual((await api.call('POST', '/api/admin/students/10/classify', { token: asesorCatamarca.token })).status, 403);
+});
+
+test('ai_summary y classified_at no se editan desde PATCH /api/students/:id', async () => {
+    const before = { ...fake.db.student.find(s => s.id === 10) };
+    const res = await api.call('PATCH', '/api/students/10', {
+        token: admin.token,
+        body: { full_name: 'Ana Catamarca', ai_summary: 'pisado', classified_at: '2000-01-01T00:00:00.000Z' }
+    });
+    assert.strictEqual(res.status, 200);
+    const after = fake.db.student.find(s => s.id === 10);
+    assert.strictEqual(after.ai_summary, before.ai_summary);
+    assert.strictEqual(after.classified_at, before.classified_at);
+});
+
+test('classify/batch resuelve sesiones por vínculo y teléfono, con tope de lectura', async () => {
+    fake.db.student.find(s => s.id === 10).classified_at = null;
+    const res = await api.call('POST', '/api/admin/classify/batch', { token: admin.token, body: {} });
+    assert.strictEqual(res.status, 200);
+
+    // 13 y 14 comparten teléfono (ambiguo) y 15 quedó fuera de las 5 filas leídas
+    assert.strictEqual(res.body.truncated, true);
+    assert.strictEqual(res.body.candidates, 4);
+    assert.deepStrictEqual(res.body.classified.map(c => c.id).sort(), [10, 11]);
+    assert.deepStrictEqual(res.body.skipped, [{ id: 12, reason: 'Sin mensajes nuevos' }]);
+    assert.deepStrictEqual(res.body.failed.map(f => f.id), [16]);
+    assert.strictEqual(fake.db.student.find(s => s.id === 11).status, 'Sólo preguntó');
+});
+
+test('classify/batch respeta el límite de alumnos por lote', async () => {
+    for (const s of fake.db.student) s.classified_at = null;
+    const res = await api.call('POST', '/api/admin/classify/batch', { token: admin.token, body: { limit: 1 } });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.classified.length + res.body.failed.length, 1);
+});
@@ -0,0 +1,62 @@
+// Filtros PostgREST armados con texto del usuario
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+
+let api;
+
+test.before(async () => {
+    seed();
+    fake.db.student.push(
+        { id: 20, full_name: 'Promo 2*1', codPuntoKennedy: 'CATAMARCA' },
+        { id: 21, full_name: 'Cien 100% becado', codPuntoKennedy: 'CATAMARCA' },
+        { id: 22, full_name: 'guion_bajo', codPuntoKennedy: 'CATAMARCA' }
+    );
+    api = await startServer();
+});
+
+test.after(() => api.close());
+
+test('escapeLikePattern escapa los comodines de LIKE y neutraliza el * de PostgREST', () => {
+    const { escapeLikePattern } = api.internals;
+    assert.strictEqual(escapeLikePattern('100%'), '100\\%');
+    assert.strictEqual(escapeLikePattern('a_b'), 'a\\_b');
+    assert.strictEqual(escapeLikePattern('c:\\x'), 'c:\\\\x');
+    assert.strictEqual(escapeLikePattern('2*1'), '2_1');
+    assert.strictEqual(escapeLikePattern('***'), '___');
+});
+
+test('ilikeAnyFilter entrecomilla el valor y las columnas con espacios', () => {
+    const { ilikeAnyFilter } = api.internals;
+    assert.strictEqual(
+        ilikeAnyFilter(['full_name', 'numero Identificacion'], 'a,b"*'),
+        'full_name.ilike."%a,b\\"_%","numero Identificacion".ilike."%a,b\\"_%"'
+    );
+});
+
+test('la búsqueda no trata * ni % como comodines', async () => {
+    const search = async (term) => {
+        const res = await api.call('GET', `/api/students?search=${encodeURIComponent(term)}`, { token: STAFF.admin.token });
+        assert.strictEqual(res.status, 200);
+        return res.body.data.map(s => s.id).sort();
+    };
+    assert.deepStrictEqual(await search('2*1'), [20]);
+    assert.deepStrictEqual(await search('B*a'), []);
+    assert.deepStrictEqual(await search('100%'), [21]);
+    assert.deepStrictEqual(await search('n_b'), [22]);
+});
+
+test('la búsqueda global atribuye los chats por vínculo o por teléfono único', async () => {
+    fake.db.student.push(
+        { id: 23, full_name: 'Gemela Uno', codPuntoKennedy: 'CATAMARCA', telefono1: '+5493815000000' },
+        { id: 24, full_name: 'Gemela Dos', codPuntoKennedy: 'CATAMARCA', telefono2: '+5493815000000' }
+    );
+    fake.db.student_chat_sessions = [{ session_id: 'web-abc', student_id: 11 }];
+    const chat = (id, session_id) => ({ id, session_id, message: { type: 'human', content: 'Quiero saber la fecha de inscripción' } });
+    fake.db.n8n_chat_histories = [chat(1, 'web-abc'), chat(2, '5493834123456'), chat(3, '5493834123456'), chat(4, '5493815000000')];
+
+    const res = await api.call('GET', '/api/search?q=inscripci', { token: STAFF.admin.token });
+    assert.strictEqual(res.status, 200);
+    const byStudent = Object.fromEntries(res.body.results.map(r => [r.student.id, r.matches.filter(m => m.source === 'chat').length]));
+    assert.deepStrictEqual(byStudent, { 10: 2, 11: 1 });
+});
@@ -0,0 +1,70 @@
+// Registros reales (anonimizados) de n8n_chat_histories.message y Mensaje_de_secretaria,
+// con el rol y el texto que debe mostrar el frontend.
+module.exports = [
+    {
+        name: 'humano con prefijo, JSON stringificado',
+        message: '{"type": "human", "content": "Mensaje de la persona: Hola, quiero info de Enfermería", "additional_kwargs": {}}',
+        role: 'user',
+        text: 'Hola, quiero info de Enfermería'
+    },
+    {
+        name: 'humano como objeto jsonb',
+        message: { type: 'human', content: 'Mensaje de la persona: ¿Cuánto sale la cuota?', additional_kwargs: {} },
+        role: 'user',
+        text: '¿Cuánto sale la cuota?'
+    },
+    {
+        name: 'IA con output anidado como string',
+        message: { type: 'ai', content: '{"output": {"message": "¡Hola! La cuota es de $50.000."}}', tool_calls: [] },
+        role: 'assistant',
+        text: '¡Hola! La cuota es de $50.000.'
+    },
+    {
+        name: 'IA con output anidado, todo stringificado',
+        message: JSON.stringify({ type: 'ai', content: JSON.stringify({ output: { message: 'Te paso el link de inscripción' } }) }),
+        role: 'assistant',
+        text: 'Te paso el link de inscripción'
+    },
+    {
+        name: 'formato OpenAI con role user',
+        message: '{"role":"user","content":"necesito el certificado"}',
+        role: 'user',
+        text: 'necesito el certificado'
+    },
+    {
+        name: 'texto plano con prefijo (sin JSON)',
+        message: 'Mensaje de la persona: buenas tardes',
+        role: 'user',
+        text: 'buenas tardes'
+    },
+    {
+        name: 'texto plano de la IA',
+        message: 'Gracias por escribirnos',
+        role: 'assistant',
+        text: 'Gracias por escribirnos'
+    },
+    {
+        name: 'JSON roto se muestra tal cual',
+        message: '{"type": "ai", "content": "corta',
+        role: 'assistant',
+        text: '{"type": "ai", "content": "corta'
+    },
+    {
+        name: 'mensaje de secretaría con agente',
+        message: { agent: 'Laura', message: 'Ya cargamos tu documentación' },
+        role: 'assistant',
+        text: 'Ya cargamos tu documentación'
+    },
+    {
+        name: 'solo text',
+        message: { text: 'Mensaje del template' },
+        role: 'assistant',
+        text: 'Mensaje del template'
+    },
+    {
+        name: 'objeto desconocido se serializa',
+        message: { foo: 1 },
+        role: 'assistant',
+        text: '{"foo":1}'
+    }
+];
@@ -0,0 +1,50 @@
+// Servidor local compatible con la API de OpenAI (/chat/completions), con y sin stream.
+// reply(body) devuelve el texto del modelo, { content, usage } o { status, headers } para fallar.
+const http = require('http');
+
+const DEFAULT_USAGE = { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 };
+
+async function startAiStub() {
+    const calls = [];
+    let reply = () => 'ok';
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', data => { raw += data; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : {};
+            calls.push({ url: req.url, model: body.model, body });
+            const answer = reply(body, calls.length);
+
+            if (answer && answer.status) {
+                res.writeHead(answer.status, { 'content-type': 'application/json', ...answer.headers });
+                return res.end(JSON.stringify({ error: { message: `stub ${answer.status}` } }));
+            }
+            const content = typeof answer === 'string' ? answer : answer.content;
+            const usage = (answer && answer.usage) || DEFAULT_USAGE;
+
+            if (body.stream) {
+                res.writeHead(200, { 'content-type': 'text/event-stream' });
+                const event = (payload) => res.write(`data: ${JSON.stringify({ id: 'stub', object: 'chat.completion.chunk', model: body.model, ...payload })}\n\n`);
+                for (const part of content.match(/.{1,5}/gs) || []) event({ choices: [{ index: 0, delta: { content: part } }] });
+                event({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage });
+                return res.end('data: [DONE]\n\n');
+            }
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'stub', object: 'chat.completion', model: body.model, usage,
+                choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+            }));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        calls,
+        setReply: (fn) => { reply = fn; },
+        close: () => new Promise(resolve => { server.closeAllConnections(); server.close(resolve); })
+    };
+}
+
+module.exports = { startAiStub };
@@ -0,0 +1,231 @@
+// Supabase en memoria: cubre el subconjunto de supabase-js que usa server.js
+// (select/insert/update/upsert/delete, filtros PostgREST, .or() y auth).
+const db = {};
+const users = {}; // token -> { id, email, password, email_confirmed_at }
+// Los filtros viajan en la URL: una lista .in() más larga que esto falla como en PostgREST
+const limits = { inList: 300 };
+// table -> columnas; si está definida, escribir otra columna falla como en PostgREST (PGRST204)
+const columns = {};
+// Errores forzados { table, op?, error }: cada uno lo consume la primera consulta que coincide
+const failures = [];
+let nextId = 1000;
+
+function reset() {
+    for (const table of Object.keys(db)) delete db[table];
+    for (const token of Object.keys(users)) delete users[token];
+    for (const table of Object.keys(columns)) delete columns[table];
+    failures.length = 0;
+    nextId = 1000;
+}
+
+const like = (value, pattern, caseInsensitive) => {
+    if (value == null) return false;
+    let re = '';
+    const p = String(pattern);
+    for (let i = 0; i < p.length; i++) {
+        const ch = p[i];
+        if (ch === '\\') { re += p[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); continue; }
+        if (ch === '%' || ch === '*') re += '.*';
+        else if (ch === '_') re += '.';
+        else re += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    return new RegExp(`^${re}$`, caseInsensitive ? 'is' : 's').test(String(value));
+};
+
+// 'col' o 'col->>clave' (jsonb)
+const columnValue = (row, column) => {
+    if (!column.includes('->>')) return row[column];
+    const [name, key] = column.split('->>');
+    let value = row[name];
+    if (typeof value === 'string') {
+        try { value = JSON.parse(value); } catch { return undefined; }
+    }
+    if (!value || typeof value !== 'object') return undefined;
+    return typeof value[key] === 'object' ? JSON.stringify(value[key]) : value[key];
+};
+
+const ops = {
+    eq: (a, b) => String(a) === String(b),
+    neq: (a, b) => String(a) !== String(b),
+    ilike: (a, b) => like(a, b, true),
+    like: (a, b) => like(a, b, false),
+    is: (a, b) => (b === null || b === 'null' ? a == null : a === b),
+    gt: (a, b) => a != null && a > b,
+    gte: (a, b) => a != null && a >= b,
+    lt: (a, b) => a != null && a < b,
+    lte: (a, b) => a != null && a <= b,
+    in: (a, b) => (Array.isArray(b) ? b : String(b).replace(/^\(|\)$/g, '').split(',')).map(String).includes(String(a))
+};
+
+// "a.ilike.%x%,b.eq.y,and(c.eq.z,d.lt.w)": separa por comas fuera de comillas y paréntesis
+function parseOr(expression) {
+    const parts = [];
+    let depth = 0, current = '', quoted = false;
+    for (const ch of expression) {
+        if (ch === '"') quoted = !quoted;
+        if (!quoted && ch === '(') depth++;
+        if (!quoted && ch === ')') depth--;
+        if (!quoted && ch === ',' && depth === 0) { parts.push(current); current = ''; continue; }
+        current += ch;
+    }
+    if (current) parts.push(current);
+    return parts.map(part => {
+        if (part.startsWith('and(') && part.endsWith(')')) {
+            const all = parseOr(part.slice(4, -1));
+            return row => all.every(fn => fn(row));
+        }
+        const match = part.match(/^(.+?)\.(eq|neq|ilike|like|is|gt|gte|lt|lte|in)\.(.*)$/);
+        if (!match) throw new Error(`Filtro .or() no soportado: ${part}`);
+        let value = match[3];
+        if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+        const column = match[1].replace(/^"|"$/g, '');
+        return row => ops[match[2]](columnValue(row, column), value);
+    });
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+class Query {
+    constructor(table) {
+        this.table = table;
+        this.filters = [];
+        this.op = 'select';
+        this.orders = [];
+    }
+    rows() { return db[this.table] || (db[this.table] = []); }
+    select(columns, options) {
+        this.returning = true;
+        if (options?.count) this.count = true;
+        if (options?.head) this.head = true;
+        return this;
+    }
+    insert(values) { this.op = 'insert'; this.values = [].concat(values); return this; }
+    upsert(values, options) { this.op = 'upsert'; this.values = [].concat(values); this.onConflict = options?.onConflict || 'id'; return this; }
+    update(values) { this.op = 'update'; this.values = values; return this; }
+    delete() { this.op = 'delete'; return this; }
+    filter(fn) { this.filters.push(fn); return this; }
+    eq(c, v) { return this.filter(r => ops.eq(r[c], v)); }
+    neq(c, v) { return this.filter(r => ops.neq(r[c], v)); }
+    gt(c, v) { return this.filter(r => ops.gt(r[c], v)); }
+    gte(c, v) { return this.filter(r => ops.gte(r[c], v)); }
+    lt(c, v) { return this.filter(r => ops.lt(r[c], v)); }
+    lte(c, v) { return this.filter(r => ops.lte(r[c], v)); }
+    ilike(c, v) { return this.filter(r => ops.ilike(columnValue(r, c), v)); }
+    is(c, v) { return this.filter(r => ops.is(r[c], v)); }
+    in(c, v) {
+        if (v.length > limits.inList) this.failure = { message: 'URI Too Long', code: '414' };
+        return this.filter(r => ops.in(r[c], v));
+    }
+    not(c, op, v) { return this.filter(r => !ops[op](r[c], v)); }
+    contains(c, v) { return this.filter(r => Array.isArray(r[c]) && v.every(x => r[c].includes(x))); }
+    or(expression) { const fns = parseOr(expression); return this.filter(r => fns.some(fn => fn(r))); }
+    match(values) { for (const [c, v] of Object.entries(values)) this.eq(c, v); return this; }
+    order(c, options = {}) { this.orders.push([c, options.ascending !== false]); return this; }
+    range(from, to) { this.window = [from, to]; return this; }
+    limit(n) { this.max = n; return this; }
+    single() { this.one = 'single'; return this; }
+    maybeSingle() { this.one = 'maybe'; return this; }
+    abortSignal() { return this; }
+
+    run() {
+        if (this.failure) return { data: null, error: this.failure, count: null };
+        const forced = failures.findIndex(f => f.table === this.table && (!f.op || f.op === this.op));
+        if (forced !== -1) return { data: null, error: failures.splice(forced, 1)[0].error, count: null };
+        const unknown = columns[this.table] && [].concat(this.values || []).flatMap(Object.keys).find(c => !columns[this.table].includes(c));
+        if (unknown) return { data: null, error: { code: 'PGRST204', message: `Could not find the '${unknown}' column of '${this.table}' in the schema cache` } };
+        const all = this.rows();
+        const matches = (row) => this.filters.every(fn => fn(row));
+        let out;
+        if (this.op === 'insert') {
+            out = this.values.map(v => {
+                const row = clone({ id: v.id ?? nextId++, created_at: new Date().toISOString(), ...v });
+                all.push(row);
+                return row;
+            });
+        } else if (this.op === 'upsert') {
+            const keys = this.onConflict.split(',');
+            out = this.values.map(v => {
+                const existing = all.find(r => keys.every(k => String(r[k]) === String(v[k])));
+                if (existing) return Object.assign(existing, clone(v));
+                const row = clone({ id: v.id ?? nextId++, created_at: new Date().toISOString(), ...v });
+                all.push(row);
+                return row;
+            });
+        } else if (this.op === 'update') {
+            out = all.filter(matches);
+            out.forEach(r => Object.assign(r, clone(this.values)));
+        } else if (this.op === 'delete') {
+            out = all.filter(matches);
+            db[this.table] = all.filter(r => !matches(r));
+        } else {
+            out = all.filter(matches);
+        }
+
+        out = out.map(clone);
+        for (const [c, ascending] of [...this.orders].reverse()) {
+            out.sort((a, b) => {
+                if (a[c] === b[c]) return 0;
+                if (a[c] == null) return 1;
+                if (b[c] == null) return -1;
+                return (a[c] < b[c] ? -1 : 1) * (ascending ? 1 : -1);
+            });
+        }
+        const count = out.length;
+        if (this.window) out = out.slice(this.window[0], this.window[1] + 1);
+        if (this.max != null) out = out.slice(0, this.max);
+        if (this.op !== 'select' && !this.returning) out = null;
+
+        if (this.one) {
+            if (!out || out.length === 0) return { data: null, error: this.one === 'single' ? { message: 'no rows', code: 'PGRST116' } : null };
+            if (out.length > 1) return { data: null, error: { message: 'multiple rows' } };
+            return { data: out[0], error: null };
+        }
+        return { data: this.head ? null : out, error: null, count: this.count ? count : null };
+    }
+
+    then(resolve, reject) {
+        try { return Promise.resolve(this.run()).then(resolve, reject); } catch (err) { return Promise.reject(err).then(resolve, reject); }
+    }
+}
+
+const session = (token) => ({ access_token: token, refresh_token: `r-${token}`, expires_in: 3600 });
+
+const client = {
+    from: (table) => new Query(table),
+    rpc: async () => ({ data: null, error: { message: 'rpc no soportado' } }),
+    auth: {
+        getUser: async (token) => (users[token]
+            ? { data: { user: users[token] }, error: null }
+            : { data: { user: null }, error: { message: 'Token inválido' } }),
+        signInWithPassword: async ({ email, password }) => {
+            const entry = Object.entries(users).find(([, u]) => u.email === email && u.password === password);
+            if (!entry) return { data: {}, error: { message: 'Invalid login credentials' } };
+            return { data: { user: entry[1], session: session(entry[0]) }, error: null };
+        },
+        refreshSession: async ({ refresh_token }) => {
+            const token = String(refresh_token).replace(/^r-/, '');
+            if (!users[token]) return { data: {}, error: { message: 'Refresh token inválido' } };
+            return { data: { user: users[token], session: session(token) }, error: null };
+        },
+        signUp: async ({ email, password }) => {
+            const id = `u${nextId++}`;
+            users[`t-${id}`] = { id, email, password };
+            return { data: { user: { id, email } }, error: null };
+        },
+        admin: {
+            // 'local' revoca ese token; 'global' todos los del mismo usuario
+            signOut: async (token, scope = 'global') => {
+                const user = users[token];
+                for (const [t, u] of Object.entries(users)) {
+                    if (t === token || (scope === 'global' && user && u.id === user.id)) delete users[t];
+                }
+                return { error: null };
+            },
+            inviteUserByEmail: async (email) => ({ data: { user: { id: `inv${nextId++}`, email } }, error: null }),
+            deleteUser: async () => ({ error: null })
+        }
+    },
+    channel: () => ({ on() { return this; }, subscribe() { return this; } })
+};
+
+module.exports = { db, users, limits, columns, failures, client, reset };
@@ -0,0 +1,75 @@
+// Levanta server.js contra el Supabase en memoria, en un puerto libre.
+// Cada archivo de test corre en su propio proceso (node --test), así que las
+// variables de entorno se fijan antes de requerir server.js.
+const Module = require('module');
+const fake = require('./fake-supabase');
+
+// server.js crea sus clientes al cargarse: el paquete se reemplaza en la caché de require
+function stubModule(name, exports) {
+    const resolved = require.resolve(name);
+    const stub = new Module(resolved);
+    stub.filename = resolved;
+    stub.loaded = true;
+    stub.exports = exports;
+    require.cache[resolved] = stub;
+}
+
+// Staff de prueba: token -> perfil
+const STAFF = {
+    admin: { token: 't-admin', user: { id: 'u-admin', email: 'admin@kennedy.test' }, profile: { id: 1, email: 'admin@kennedy.test', rol: 'admin', sede: 'CATAMARCA', nombre: 'Admin' } },
+    asesorCatamarca: { token: 't-cat', user: { id: 'u-cat', email: 'cat@kennedy.test' }, profile: { id: 2, email: 'cat@kennedy.test', rol: 'asesor', sede: 'CATAMARCA', nombre: 'Cata' } },
+    asesorSalta: { token: 't-sal', user: { id: 'u-sal', email: 'sal@kennedy.test' }, profile: { id: 3, email: 'sal@kennedy.test', rol: 'asesor', sede: 'SALTA', nombre: 'Salta' } },
+    asesorSinSede: { token: 't-none', user: { id: 'u-none', email: 'none@kennedy.test' }, profile: { id: 4, email: 'none@kennedy.test', rol: 'asesor', sede: null, nombre: 'Sin sede' } }
+};
+
+// Base mínima: el staff de arriba y un alumno por sede
+function seed() {
+    fake.reset();
+    fake.db.perfil_staff = Object.values(STAFF).map(s => ({ ...s.profile }));
+    for (const s of Object.values(STAFF)) fake.users[s.token] = { ...s.user };
+    fake.db.student = [
+        { id: 10, full_name: 'Ana Catamarca', codPuntoKennedy: 'CATAMARCA', telefono1: '+5493834123456', nombrePrograma: 'Enfermería', created_at: '2026-01-01T12:00:00.000Z' },
+        { id: 11, full_name: 'Bruno Salta', codPuntoKennedy: 'SALTA', telefono1: '+5493874551234', nombrePrograma: 'Derecho', created_at: '2026-01-02T12:00:00.000Z' }
+    ];
+}
+
+async function startServer(env = {}) {
+    Object.assign(process.env, {
+        SUPABASE_URL: 'http://supabase.test',
+        SUPABASE_SERVICE_ROLE_KEY: 'service-role-key',
+        STORAGE_DRIVER: 'local',
+        CHANGE_FEED: 'memory',
+        ...env
+    });
+    stubModule('@supabase/supabase-js', { createClient: () => fake.client });
+    const { app, ...internals } = require('../../server');
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    async function call(method, path, { token, body, headers = {} } = {}) {
+        const requestHeaders = { ...headers };
+        if (token) requestHeaders.authorization = `Bearer ${token}`;
+        let payload;
+        if (body !== undefined) {
+            requestHeaders['content-type'] = 'application/json';
+            payload = JSON.stringify(body);
+        }
+        const response = await fetch(base + path, { method, headers: requestHeaders, body: payload });
+        const text = await response.text();
+        let json;
+        try { json = JSON.parse(text); } catch { json = text; }
+        return { status: response.status, body: json, headers: response.headers };
+    }
+
+    const close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+
+    return { base, call, close, internals };
+}
+
+module.exports = { STAFF, fake, seed, startServer };
@@ -0,0 +1,72 @@
+// Importación de alumnos: solo se consultan los alumnos del archivo y el plan no
+// revela ids de otras sedes
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+
+let api;
+
+test.before(async () => {
+    seed();
+    fake.db.student.push(
+        { id: 30, full_name: 'Eva Formato Viejo', codPuntoKennedy: 'CATAMARCA', 'numero Identificacion': '30.111.222', legdef: 'CAT-9' },
+        { id: 31, full_name: 'Fede Salteño', codPuntoKennedy: 'SALTA', 'numero Identificacion': '40222333' }
+    );
+    for (let i = 0; i < 50; i++) fake.db.student.push({ id: 100 + i, full_name: `Relleno ${i}`, codPuntoKennedy: 'CATAMARCA' });
+    api = await startServer();
+});
+
+test.after(() => api.close());
+
+const importCsv = (csv, { token = STAFF.asesorCatamarca.token, mode = 'upsert', dryRun = true } = {}) => {
+    const form = new FormData();
+    form.append('mode', mode);
+    form.append('dryRun', String(dryRun));
+    form.append('file', new Blob([csv], { type: 'text/csv' }), 'alumnos.csv');
+    return fetch(`${api.base}/api/students/import`, { method: 'POST', headers: { authorization: `Bearer ${token}` }, body: form })
+        .then(async res => ({ status: res.status, body: await res.json() }));
+};
+
+test('el plan encuentra alumnos por DNI, legajo o teléfono sin leer toda la tabla', async (t) => {
+    const queries = [];
+    const from = fake.client.from;
+    t.after(() => { fake.client.from = from; });
+    fake.client.from = (table) => {
+        const query = from(table);
+        if (table === 'student') queries.push(query);
+        return query;
+    };
+
+    const res = await importCsv([
+        'nombre,dni,legajo,telefono',
+        'Eva Nueva Grafía,30111222,,',
+        'Ana Catamarca,,,3834123456',
+        'Legajo En Minúscula,,cat-9,',
+        'Alguien Nuevo,50000000,,'
+    ].join('\n'));
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.rows.map(r => [r.action, r.studentId]), [
+        ['update', 30], ['unchanged', 10], ['error', 30], ['insert', undefined]
+    ]);
+    // Encontrado por legajo sin importar mayúsculas; el asesor no puede cambiarlo
+    assert.deepStrictEqual(res.body.rows[2].fields.map(f => f.field), ['legdef']);
+    assert.ok(queries.length > 0);
+    assert.ok(queries.every(q => q.filters.length > 0), 'ninguna consulta a student sin filtro');
+});
+
+test('un asesor no obtiene ids de alumnos de otra sede', async () => {
+    const upsert = await importCsv('nombre,dni\nFede,40222333\n');
+    assert.deepStrictEqual(upsert.body.rows[0], { row: 2, action: 'conflict', reason: 'El alumno existe en otra sede' });
+
+    const insert = await importCsv('nombre,dni\nFede,40222333\n', { mode: 'insert' });
+    assert.strictEqual(insert.body.rows[0].action, 'skipped');
+    assert.ok(!('studentId' in insert.body.rows[0]));
+
+    // Coincide con uno propio y con uno de SALTA: solo ve el propio
+    const both = await importCsv('nombre,dni,telefono\nMezcla,40222333,3834123456\n');
+    assert.deepStrictEqual(both.body.rows[0].studentIds, [10]);
+
+    // El admin ve todo
+    const admin = await importCsv('nombre,dni\nFede,40222333\n', { token: STAFF.admin.token, mode: 'insert' });
+    assert.strictEqual(admin.body.rows[0].studentId, 31);
+});
@@ -0,0 +1,92 @@
+// Filtro incomplete=true con más alumnos de los que entran en un solo .in('id', ...)
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+
+const TOTAL = 450;
+let api;
+
+test.before(async () => {
+    seed();
+    fake.db.resumen_carreras = [{ id: 1, CARRERA: 'Enfermería', deleted_at: null }];
+    fake.db.career_required_documents = [{ career_id: 1, document_type: 'DNI' }];
+    fake.db.student = [];
+    for (let i = 0; i < TOTAL; i++) {
+        fake.db.student.push({
+            id: 1000 + i,
+            full_name: `Alumno ${i}`,
+            codPuntoKennedy: 'CATAMARCA',
+            nombrePrograma: 'Enfermería',
+            telefono1: `+549383400${String(i).padStart(4, '0')}`,
+            'solicita secretaria': i % 100 === 0,
+            created_at: new Date(Date.UTC(2026, 0, 1) + i * 60000).toISOString()
+        });
+    }
+    // Uno con la documentación completa y otro de otra sede
+    fake.db.student.push(
+        { id: 5000, full_name: 'Completo', codPuntoKennedy: 'CATAMARCA', nombrePrograma: 'Enfermería', created_at: '2026-02-01T00:00:00.000Z' },
+        { id: 5001, full_name: 'Salteño', codPuntoKennedy: 'SALTA', nombrePrograma: 'Enfermería', created_at: '2026-02-01T00:00:00.000Z' }
+    );
+    fake.db.student_documents = [{ id: 1, student_id: 5000, document_type: 'DNI', review_status: 'approved', deleted_at: null }];
+    api = await startServer();
+});
+
+test.after(() => api.close());
+
+test('el listado con incomplete=true pagina en memoria sin pasarse del largo de URL', async () => {
+    const page1 = await api.call('GET', '/api/students?incomplete=true', { token: STAFF.asesorCatamarca.token });
+    assert.strictEqual(page1.status, 200);
+    assert.strictEqual(page1.body.total, TOTAL);
+    assert.strictEqual(page1.body.data.length, 50);
+
+    // Primero los que pidieron secretaría, después los más nuevos
+    assert.deepStrictEqual(page1.body.data.slice(0, 5).map(s => s.id), [1400, 1300, 1200, 1100, 1000]);
+    assert.deepStrictEqual(page1.body.data.slice(5, 7).map(s => s.id), [1449, 1448]);
+
+    const seen = new Set();
+    for (let page = 1; page <= 10; page++) {
+        const res = await api.call('GET', `/api/students?incomplete=true&page=${page}`, { token: STAFF.asesorCatamarca.token });
+        res.body.data.forEach(s => seen.add(s.id));
+    }
+    assert.strictEqual(seen.size, TOTAL);
+    assert.ok(!seen.has(5000) && !seen.has(5001));
+});
+
+test('incomplete=true se combina con los demás filtros', async () => {
+    const res = await api.call('GET', '/api/students?incomplete=true&solicitaSecretaria=true', { token: STAFF.asesorCatamarca.token });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.total, 5);
+});
+
+test('la exportación con incomplete=true trae todos los alumnos', async () => {
+    const res = await api.call('GET', '/api/students/export?format=csv&incomplete=true', { token: STAFF.admin.token });
+    assert.strictEqual(res.status, 200);
+    const lines = res.body.trim().split('\n');
+    assert.strictEqual(lines.length, TOTAL + 2); // encabezado + 450 de CATAMARCA + el de SALTA (admin)
+});
+
+test('el segmento de una campaña con incomplete=true incluye a todos los alumnos', async () => {
+    const res = await api.call('POST', '/api/campaigns/preview', {
+        token: STAFF.asesorCatamarca.token,
+        body: { name: 'Recordatorio DNI', filters: { incomplete: true }, messageText: 'Hola {{nombre}}, te falta el DNI' }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.total, TOTAL);
+    assert.strictEqual(res.body.eligible, TOTAL);
+});
+
+test('reemplazar los requisitos nunca deja la carrera sin ellos si falla a mitad', async () => {
+    const put = (documentTypes) => api.call('PUT', '/api/careers/1/requirements', { token: STAFF.admin.token, body: { documentTypes } });
+    const required = () => fake.db.career_required_documents.map(r => r.document_type).sort();
+
+    fake.failures.push({ table: 'career_required_documents', op: 'insert', error: { message: 'timeout' } });
+    assert.strictEqual((await put(['Título secundario'])).status, 500);
+    assert.deepStrictEqual(required(), ['DNI']);
+
+    const res = await put(['DNI', 'Título secundario']);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(required(), ['DNI', 'Título secundario']);
+
+    await put(['Título secundario']);
+    assert.deepStrictEqual(required(), ['Título secundario']);
+});
@@ -0,0 +1,111 @@
+// Outbox de WhatsApp: n8n reclama con lease, reporta la entrega y los fallos se reintentan con backoff
+const test = require('node:test');
+const assert = require('node:assert');
+const { fake, seed, startServer } = require('./helpers/server');
+
+const SECRET = 'secreto-n8n';
+let api;
+
+test.before(async () => {
+    seed();
+    api = await startServer({ N8N_WEBHOOK_SECRET: SECRET, MESSAGE_MAX_ATTEMPTS: '3' });
+});
+
+test.after(() => api.close());
+
+const n8n = (method, path, body) => api.call(method, path, { headers: { 'x-n8n-secret': SECRET }, body });
+const claim = (limit = 10) => n8n('POST', '/api/n8n/outbox/claim', { limit });
+const deliver = (id, body) => n8n('POST', `/api/n8n/messages/${id}/delivery`, body);
+const row = (id) => fake.db.Mensaje_de_secretaria.find(m => m.id === id);
+const past = () => new Date(Date.now() - 1000).toISOString();
+
+let nextId = 1;
+function queue(overrides = {}) {
+    const message = {
+        id: nextId++, Telefono_EST: '5493834123456', 'Mensaje de secretaria': { message: `Hola ${nextId}`, agent: 'Cata' },
+        student_id: 10, delivery_status: 'queued', attempts: 0, next_attempt_at: null,
+        created_at: new Date(Date.now() - 60000 + nextId).toISOString(), ...overrides
+    };
+    fake.db.Mensaje_de_secretaria.push(message);
+    return message;
+}
+
+test.beforeEach(() => { fake.db.Mensaje_de_secretaria = []; });
+
+test('sin el secreto de n8n no se reclama nada', async () => {
+    queue();
+    const res = await api.call('POST', '/api/n8n/outbox/claim', { headers: { 'x-n8n-secret': 'otro' }, body: {} });
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(fake.db.Mensaje_de_secretaria[0].attempts, 0);
+});
+
+test('reclamar cuenta un intento y reserva el mensaje hasta que vence el lease', async () => {
+    const first = queue();
+    const second = queue();
+    queue({ delivery_status: 'sent', attempts: 1 });
+    queue({ next_attempt_at: new Date(Date.now() + 60000).toISOString() });
+
+    const res = await claim();
+    assert.deepStrictEqual(res.body.map(m => [m.id, m.attempts]), [[first.id, 1], [second.id, 1]]);
+    assert.strictEqual(res.body[0].phone, '5493834123456');
+    assert.ok(new Date(row(first.id).next_attempt_at) > new Date(Date.now() + 4 * 60 * 1000));
+
+    assert.deepStrictEqual((await claim()).body, []);
+
+    // Vencido el lease sin confirmación vuelve a estar disponible
+    row(first.id).next_attempt_at = past();
+    assert.deepStrictEqual((await claim()).body.map(m => [m.id, m.attempts]), [[first.id, 2]]);
+});
+
+test('dos workers a la vez nunca reclaman el mismo mensaje', async () => {
+    for (let i = 0; i < 5; i++) queue();
+    const [a, b] = await Promise.all([claim(), claim()]);
+    const ids = [...a.body, ...b.body].map(m => m.id);
+    assert.strictEqual(ids.length, 5);
+    assert.strictEqual(new Set(ids).size, 5);
+    assert.ok(fake.db.Mensaje_de_secretaria.every(m => m.attempts === 1));
+});
+
+test('agotados los intentos sin confirmación el mensaje queda fallido', async () => {
+    const message = queue({ attempts: 3, next_attempt_at: past() });
+    assert.deepStrictEqual((await claim()).body, []);
+    assert.strictEqual(row(message.id).delivery_status, 'failed');
+    assert.strictEqual(row(message.id).last_error, 'Sin confirmación de envío');
+});
+
+test('las transiciones de entrega solo avanzan y el reintento del webhook es idempotente', async () => {
+    const message = queue({ attempts: 1 });
+
+    assert.strictEqual((await deliver(message.id, { status: 'leido' })).status, 400);
+    assert.strictEqual((await deliver(999, { status: 'sent' })).status, 404);
+
+    const sent = await deliver(message.id, { status: 'sent', externalId: 'wamid.1' });
+    assert.deepStrictEqual([sent.status, sent.body.delivery], [200, 'sent']);
+    assert.strictEqual(row(message.id).external_id, 'wamid.1');
+    assert.ok(row(message.id).sent_at);
+
+    assert.strictEqual((await deliver(message.id, { status: 'sent' })).status, 200);
+    assert.strictEqual((await deliver(message.id, { status: 'delivered' })).body.delivery, 'delivered');
+
+    const back = await deliver(message.id, { status: 'failed' });
+    assert.strictEqual(back.status, 409);
+    assert.strictEqual(row(message.id).delivery_status, 'delivered');
+});
+
+test('un fallo reprograma con backoff exponencial hasta el máximo de intentos', async () => {
+    const message = queue({ attempts: 2 });
+    const before = Date.now();
+
+    const retry = await deliver(message.id, { status: 'failed', error: 'Número no disponible' });
+    assert.strictEqual(retry.body.delivery, 'queued');
+    const delay = new Date(retry.body.nextAttemptAt).getTime() - before;
+    assert.ok(delay >= 2 * 60 * 1000 && delay < 2 * 60 * 1000 + 5000, `backoff de ${delay}ms`);
+    assert.strictEqual(row(message.id).last_error, 'Número no disponible');
+
+    // Tercer intento: ya no se reprograma
+    row(message.id).attempts = 3;
+    const final = await deliver(message.id, { status: 'failed', error: 'Número no disponible' });
+    assert.deepStrictEqual([final.body.delivery, final.body.nextAttemptAt], ['failed', null]);
+    assert.ok(row(message.id).failed_at);
+    assert.strictEqual((await deliver(message.id, { status: 'sent' })).status, 409);
+});
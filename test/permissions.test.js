@@ -0,0 +1,112 @@
+// Matriz de permisos: requirePermission, roles propios y techo de lo que cada uno puede otorgar
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+
+let api;
+
+// Cuentas extra con roles fuera del seed: token -> perfil
+const EXTRA = {
+    't-rev': { id: 5, email: 'rev@kennedy.test', rol: 'revisor', sede: 'CATAMARCA', nombre: 'Revisor' },
+    't-jefe': { id: 6, email: 'jefe@kennedy.test', rol: 'jefe', sede: 'CATAMARCA', nombre: 'Jefe' },
+    't-fantasma': { id: 7, email: 'fantasma@kennedy.test', rol: 'fantasma', sede: 'CATAMARCA', nombre: 'Fantasma' }
+};
+
+test.before(async () => {
+    seed();
+    for (const [token, profile] of Object.entries(EXTRA)) {
+        fake.db.perfil_staff.push({ ...profile });
+        fake.users[token] = { id: `u-${profile.id}`, email: profile.email };
+    }
+    fake.db.role_permissions = [
+        // Una fila para admin no pisa sus permisos
+        { role: 'admin', label: 'Admin recortado', scope: 'sedes', permissions: ['students:read'] }
+    ];
+    api = await startServer();
+});
+
+test.after(() => api.close());
+
+const me = (token) => api.call('GET', '/api/auth/me', { token });
+
+test('requirePermission responde 403 con el permiso que falta', async () => {
+    const res = await api.call('GET', '/api/admin/roles', { token: STAFF.asesorCatamarca.token });
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(res.body.permission, 'roles:read');
+    assert.strictEqual(res.body.error, 'No tienes permiso para ver roles');
+
+    const revisor = await api.call('POST', '/api/messages', { token: 't-rev', body: { studentId: 10, messageText: 'Hola' } });
+    assert.strictEqual(revisor.status, 403);
+    assert.strictEqual(revisor.body.permission, 'messages:send');
+    assert.ok(!fake.db.Mensaje_de_secretaria?.length);
+});
+
+test('un rol sin permisos configurados no entra, y el rol admin no se recorta desde la tabla', async () => {
+    const res = await me('t-fantasma');
+    assert.strictEqual(res.status, 403);
+    assert.match(res.body.error, /'fantasma' no tiene permisos configurados/);
+
+    const admin = await me(STAFF.admin.token);
+    assert.strictEqual(admin.status, 200);
+    assert.strictEqual(admin.body.role.scope, 'all');
+    assert.strictEqual(admin.body.matrix.system.manage, true);
+});
+
+test('el rol admin no se edita y los permisos desconocidos se rechazan', async () => {
+    const locked = await api.call('PUT', '/api/admin/roles/admin', { token: STAFF.admin.token, body: { label: 'X', scope: 'all', permissions: [] } });
+    assert.strictEqual(locked.status, 409);
+
+    const unknown = await api.call('PUT', '/api/admin/roles/jefe', { token: STAFF.admin.token, body: { label: 'Jefe', scope: 'sedes', permissions: ['students:fly'] } });
+    assert.strictEqual(unknown.status, 400);
+    assert.ok(!fake.db.role_permissions.some(r => r.role === 'jefe'));
+});
+
+test('un rol propio rige en cuanto se guarda y sus cambios aplican sin esperar la caché', async () => {
+    assert.strictEqual((await me('t-jefe')).status, 403);
+
+    const created = await api.call('PUT', '/api/admin/roles/jefe', {
+        token: STAFF.admin.token,
+        body: { label: 'Jefe de sede', scope: 'sedes', permissions: ['students:read', 'staff:read', 'roles:read', 'roles:write'] }
+    });
+    assert.strictEqual(created.status, 200);
+
+    const jefe = await me('t-jefe');
+    assert.strictEqual(jefe.status, 200);
+    assert.deepStrictEqual(jefe.body.sedes, ['CATAMARCA']);
+    assert.strictEqual((await api.call('GET', '/api/staff', { token: 't-jefe' })).status, 200);
+
+    const trimmed = await api.call('PUT', '/api/admin/roles/jefe', {
+        token: STAFF.admin.token,
+        body: { label: 'Jefe de sede', scope: 'sedes', permissions: ['students:read', 'roles:read', 'roles:write'] }
+    });
+    assert.strictEqual(trimmed.status, 200);
+    const denied = await api.call('GET', '/api/staff', { token: 't-jefe' });
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual(denied.body.permission, 'staff:read');
+});
+
+test('nadie define un rol con más permisos o más alcance que el propio', async () => {
+    const call = (body) => api.call('PUT', '/api/admin/roles/ayudante', { token: 't-jefe', body });
+
+    assert.strictEqual((await call({ label: 'Ayudante', scope: 'sedes', permissions: ['students:read', 'system:manage'] })).status, 403);
+    assert.strictEqual((await call({ label: 'Ayudante', scope: 'all', permissions: ['students:read'] })).status, 403);
+    assert.ok(!fake.db.role_permissions.some(r => r.role === 'ayudante'));
+
+    assert.strictEqual((await call({ label: 'Ayudante', scope: 'sedes', permissions: ['students:read'] })).status, 200);
+});
+
+test('un rol propio en uso no se borra; uno de fábrica vuelve a sus permisos por defecto', async () => {
+    const inUse = await api.call('DELETE', '/api/admin/roles/jefe', { token: STAFF.admin.token });
+    assert.strictEqual(inUse.status, 409);
+    assert.ok(fake.db.role_permissions.some(r => r.role === 'jefe'));
+
+    const revisor = await api.call('PUT', '/api/admin/roles/revisor', {
+        token: STAFF.admin.token, body: { label: 'Revisor', scope: 'sedes', permissions: ['students:read'] }
+    });
+    assert.strictEqual(revisor.status, 200);
+    assert.strictEqual((await me('t-rev')).body.matrix.documents.review, false);
+
+    const reset = await api.call('DELETE', '/api/admin/roles/revisor', { token: STAFF.admin.token });
+    assert.deepStrictEqual(reset.body, { success: true, reset: true });
+    assert.strictEqual((await me('t-rev')).body.matrix.documents.review, true);
+});
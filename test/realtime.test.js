@@ -0,0 +1,109 @@
+// Stream SSE del dashboard con CHANGE_FEED=memory: reparto por sede y cierre de streams viejos
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, seed, startServer } = require('./helpers/server');
+
+const { admin, asesorCatamarca, asesorSalta } = STAFF;
+let api;
+
+test.before(async () => {
+    seed();
+    api = await startServer({ CHANGE_FEED: 'memory' });
+});
+
+test.after(() => api.close());
+
+// Abre /api/realtime y junta los eventos; closed se resuelve cuando el servidor corta el stream
+async function openStream(token) {
+    const controller = new AbortController();
+    const res = await fetch(`${api.base}/api/realtime?access_token=${token}`, { signal: controller.signal });
+    const stream = { status: res.status, events: [], close: () => controller.abort() };
+    if (res.status !== 200) return stream;
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    stream.closed = (async () => {
+        try {
+            for await (const part of res.body) {
+                buffer += decoder.decode(part, { stream: true });
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const event = block.match(/^event: (.*)$/m);
+                    const data = block.match(/^data: (.*)$/m);
+                    if (event && data) stream.events.push({ event: event[1], data: JSON.parse(data[1]) });
+                }
+            }
+        } catch (err) {
+            if (err.name !== 'AbortError') throw err;
+        }
+    })();
+    // Espera el 'ready' para no simular antes de que el cliente esté registrado
+    while (stream.events.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+    return stream;
+}
+
+const simulate = (body) => api.call('POST', '/api/admin/realtime/simulate', { token: admin.token, body });
+const eventsOf = (stream, name) => stream.events.filter(e => e.event === name);
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+test('los cambios de un alumno llegan solo a las sedes con acceso', async () => {
+    const catamarca = await openStream(asesorCatamarca.token);
+    const salta = await openStream(asesorSalta.token);
+    const everyone = await openStream(admin.token);
+    try {
+        assert.deepStrictEqual(catamarca.events[0], { event: 'ready', data: { sede: 'CATAMARCA', sedes: ['CATAMARCA'], rol: 'asesor' } });
+
+        const res = await simulate({
+            table: 'student', type: 'UPDATE',
+            record: { id: 10, full_name: 'Ana Catamarca', codPuntoKennedy: 'CATAMARCA', status: 'Interesado' },
+            old: { id: 10, codPuntoKennedy: 'CATAMARCA', status: 'Sólo preguntó' }
+        });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.clients, 3);
+        await settle();
+
+        assert.strictEqual(eventsOf(catamarca, 'student').length, 1);
+        assert.deepStrictEqual(eventsOf(catamarca, 'student')[0].data.changes, { status: 'Interesado' });
+        assert.strictEqual(eventsOf(salta, 'student').length, 0);
+        assert.strictEqual(eventsOf(everyone, 'student').length, 1);
+
+        // Un documento sin alumno no tiene sede: solo lo ve el admin
+        await simulate({ table: 'student_documents', type: 'INSERT', record: { id: 9, student_id: null, document_type: 'DNI' } });
+        await settle();
+        assert.strictEqual(eventsOf(everyone, 'document').length, 1);
+        assert.strictEqual(eventsOf(catamarca, 'document').length + eventsOf(salta, 'document').length, 0);
+    } finally {
+        [catamarca, salta, everyone].forEach(s => s.close());
+    }
+});
+
+test('cambiar la sede o desactivar una cuenta corta sus streams abiertos', { timeout: 5000 }, async () => {
+    const catamarca = await openStream(asesorCatamarca.token);
+    const salta = await openStream(asesorSalta.token);
+    try {
+        // Pasa a SALTA: su stream viejo se corta y al reconectar recibe lo de la sede nueva
+        const moved = await api.call('PUT', `/api/staff/${asesorCatamarca.profile.id}`, { token: admin.token, body: { newSede: 'SALTA' } });
+        assert.strictEqual(moved.status, 200);
+        await catamarca.closed;
+
+        const reconnected = await openStream(asesorCatamarca.token);
+        assert.deepStrictEqual(reconnected.events[0].data.sedes, ['SALTA']);
+        await simulate({ table: 'student', type: 'INSERT', record: { id: 11, full_name: 'Bruno Salta', codPuntoKennedy: 'SALTA' } });
+        await settle();
+        assert.strictEqual(eventsOf(reconnected, 'student').length, 1);
+        reconnected.close();
+
+        // Desactivada: el stream se corta y ya no puede volver a abrirse
+        const deactivated = await api.call('POST', `/api/staff/${asesorSalta.profile.id}/deactivate`, { token: admin.token });
+        assert.strictEqual(deactivated.status, 200);
+        await salta.closed;
+        assert.strictEqual((await openStream(asesorSalta.token)).status, 403);
+
+        const res = await simulate({ table: 'student', type: 'INSERT', record: { id: 12, codPuntoKennedy: 'SALTA' } });
+        assert.strictEqual(res.body.clients, 0);
+    } finally {
+        [catamarca, salta].forEach(s => s.close());
+    }
+});
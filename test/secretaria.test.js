@@ -0,0 +1,57 @@
+// Cola de secretaría: el pedido y el flag 'solicita secretaria' del alumno no se desincronizan
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+
+let api;
+
+test.before(async () => {
+    seed();
+    fake.db.secretaria_requests = [];
+    api = await startServer();
+});
+
+test.after(() => api.close());
+
+const call = (method, path, body) => api.call(method, path, { token: STAFF.asesorCatamarca.token, body });
+const flag = () => fake.db.student.find(s => s.id === 10)['solicita secretaria'];
+
+test('si no se puede marcar al alumno el pedido falla, y reintentarlo lo marca', async () => {
+    fake.failures.push({ table: 'student', op: 'update', error: { message: 'timeout' } });
+    const failed = await call('POST', '/api/secretaria-requests', { studentId: 10 });
+    assert.strictEqual(failed.status, 500);
+    assert.notStrictEqual(flag(), true);
+
+    const retried = await call('POST', '/api/secretaria-requests', { studentId: 10 });
+    assert.strictEqual(retried.status, 200); // ya existía: no se duplica
+    assert.strictEqual(fake.db.secretaria_requests.length, 1);
+    assert.strictEqual(flag(), true);
+});
+
+test('un error de la base al cambiar el estado es un 500, no un conflicto', async () => {
+    const [request] = fake.db.secretaria_requests;
+    fake.failures.push({ table: 'secretaria_requests', op: 'update', error: { message: 'timeout' } });
+    const failed = await call('POST', `/api/secretaria-requests/${request.id}/status`, { status: 'in_progress' });
+    assert.strictEqual(failed.status, 500);
+    assert.strictEqual(fake.db.secretaria_requests[0].status, 'open');
+
+    const taken = await call('POST', `/api/secretaria-requests/${request.id}/status`, { status: 'in_progress' });
+    assert.strictEqual(taken.status, 200);
+    assert.strictEqual(fake.db.secretaria_requests[0].assigned_to, STAFF.asesorCatamarca.profile.id);
+});
+
+test('resolver no deja el pedido y el flag del alumno en desacuerdo', async () => {
+    const [request] = fake.db.secretaria_requests;
+    const resolve = () => call('POST', `/api/secretaria-requests/${request.id}/status`, { status: 'resolved', note: 'Listo' });
+
+    fake.failures.push({ table: 'student', op: 'update', error: { message: 'timeout' } });
+    assert.strictEqual((await resolve()).status, 500);
+    assert.deepStrictEqual([fake.db.secretaria_requests[0].status, flag()], ['in_progress', true]);
+
+    fake.failures.push({ table: 'secretaria_requests', op: 'update', error: { message: 'timeout' } });
+    assert.strictEqual((await resolve()).status, 500);
+    assert.deepStrictEqual([fake.db.secretaria_requests[0].status, flag()], ['in_progress', true]);
+
+    assert.strictEqual((await resolve()).status, 200);
+    assert.deepStrictEqual([fake.db.secretaria_requests[0].status, flag()], ['resolved', false]);
+});
@@ -0,0 +1,94 @@
+// Política de sedes: admin (todas), asesor (su sede) y asesor sin sede frente a
+// alumnos y documentos propios, de otra sede, sin alumno o inexistentes.
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+
+const { admin, asesorCatamarca, asesorSalta, asesorSinSede } = STAFF;
+
+let api;
+
+test.before(async () => {
+    seed();
+    fake.db.student_documents = [
+        { id: 100, student_id: 10, document_type: 'dni', status: 'pending', version: 1, created_at: '2026-01-03T12:00:00.000Z' },
+        { id: 101, student_id: 11, document_type: 'dni', status: 'pending', version: 1, created_at: '2026-01-03T12:00:00.000Z' },
+        { id: 102, student_id: null, document_type: 'dni', status: 'pending', version: 1, created_at: '2026-01-03T12:00:00.000Z' }
+    ];
+    api = await startServer();
+});
+
+test.after(() => api.close());
+
+test('sin token o con token inválido responde 401', async () => {
+    assert.strictEqual((await api.call('GET', '/api/students/10')).status, 401);
+    assert.strictEqual((await api.call('GET', '/api/students/10', { token: 'no-existe' })).status, 401);
+});
+
+test('requireStudentAccess: propia sede 200, otra sede 403, inexistente 404', async () => {
+    const own = await api.call('GET', '/api/students/10', { token: asesorCatamarca.token });
+    assert.strictEqual(own.status, 200);
+    assert.strictEqual(own.body.student.id, 10);
+
+    const other = await api.call('GET', '/api/students/11', { token: asesorCatamarca.token });
+    assert.strictEqual(other.status, 403);
+    assert.strictEqual(other.body.error, 'El alumno pertenece a otra sede');
+
+    const missing = await api.call('GET', '/api/students/999', { token: asesorCatamarca.token });
+    assert.strictEqual(missing.status, 404);
+});
+
+test('requireStudentAccess: el admin ve alumnos de cualquier sede', async () => {
+    assert.strictEqual((await api.call('GET', '/api/students/11', { token: admin.token })).status, 200);
+    assert.strictEqual((await api.call('GET', '/api/students/999', { token: admin.token })).status, 404);
+});
+
+test('requireStudentAccess: un asesor sin sede no ve ningún alumno', async () => {
+    assert.strictEqual((await api.call('GET', '/api/students/10', { token: asesorSinSede.token })).status, 403);
+    assert.strictEqual((await api.call('GET', '/api/students/11', { token: asesorSinSede.token })).status, 403);
+});
+
+test('scopeStudentQuery: el listado se limita a las sedes del perfil', async () => {
+    const ids = (res) => res.body.data.map(s => s.id).sort();
+
+    assert.deepStrictEqual(ids(await api.call('GET', '/api/students', { token: asesorCatamarca.token })), [10]);
+    assert.deepStrictEqual(ids(await api.call('GET', '/api/students', { token: asesorSalta.token })), [11]);
+    assert.deepStrictEqual(ids(await api.call('GET', '/api/students', { token: admin.token })), [10, 11]);
+});
+
+test('scopeStudentQuery: ?sede= ajena no trae nada y sin sede asignada no se lista', async () => {
+    const foreign = await api.call('GET', '/api/students?sede=SALTA', { token: asesorCatamarca.token });
+    assert.strictEqual(foreign.status, 200);
+    assert.deepStrictEqual(foreign.body.data, []);
+
+    const adminFiltered = await api.call('GET', '/api/students?sede=SALTA', { token: admin.token });
+    assert.deepStrictEqual(adminFiltered.body.data.map(s => s.id), [11]);
+
+    const noSede = await api.call('GET', '/api/students', { token: asesorSinSede.token });
+    assert.strictEqual(noSede.status, 403);
+    assert.strictEqual(noSede.body.error, 'Tu cuenta no tiene sede asignada.');
+});
+
+test('requireDocumentAccess: documento propio, de otra sede, sin alumno e inexistente', async () => {
+    const versions = (id, token) => api.call('GET', `/api/documents/${id}/versions`, { token });
+
+    assert.strictEqual((await versions(100, asesorCatamarca.token)).status, 200);
+
+    const other = await versions(101, asesorCatamarca.token);
+    assert.strictEqual(other.status, 403);
+    assert.strictEqual(other.body.error, 'El alumno pertenece a otra sede');
+
+    const unlinked = await versions(102, asesorCatamarca.token);
+    assert.strictEqual(unlinked.status, 403);
+    assert.strictEqual(unlinked.body.error, 'Documento sin alumno asignado');
+
+    const missing = await versions(999, asesorCatamarca.token);
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.error, 'Documento no encontrado');
+});
+
+test('requireDocumentAccess: el admin ve documentos de otra sede y sin alumno', async () => {
+    assert.strictEqual((await api.call('GET', '/api/documents/101/versions', { token: admin.token })).status, 200);
+    assert.strictEqual((await api.call('GET', '/api/documents/102/versions', { token: admin.token })).status, 200);
+    assert.strictEqual((await api.call('GET', '/api/documents/100/versions', { token: asesorSinSede.token })).status, 403);
+});
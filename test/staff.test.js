@@ -0,0 +1,125 @@
+// Ciclo de vida del staff: invitación, aprobación, cambios de rol, desactivación y el último admin
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+
+let api;
+
+// Rol propio que gestiona cuentas, pero solo de su sede y sin permisos de sistema
+const JEFE = { token: 't-jefe', profile: { id: 5, email: 'jefe@kennedy.test', rol: 'jefe', sede: 'CATAMARCA', nombre: 'Jefe' } };
+
+test.before(async () => {
+    seed();
+    fake.db.perfil_staff.push({ ...JEFE.profile });
+    fake.users[JEFE.token] = { id: 'u-jefe', email: JEFE.profile.email };
+    fake.db.role_permissions = [{ role: 'jefe', label: 'Jefe de sede', scope: 'sedes', permissions: ['students:read', 'messages:send', 'staff:read', 'staff:write'] }];
+    fake.db.staff_invitations = [];
+    api = await startServer();
+});
+
+test.after(() => api.close());
+
+const as = (staff) => (method, path, body) => api.call(method, path, { token: staff.token, body });
+const admin = as(STAFF.admin);
+const jefe = as(JEFE);
+const profile = (id) => fake.db.perfil_staff.find(p => p.id === id);
+
+test('la invitación fija rol y sede, y se aplica al registrarse', async () => {
+    const invited = await admin('POST', '/api/staff/invitations', { email: ' Nueva@Kennedy.test ', rol: 'asesor', sede: 'SALTA' });
+    assert.strictEqual(invited.status, 201);
+    assert.strictEqual(invited.body.email, 'nueva@kennedy.test');
+    assert.strictEqual(invited.body.status, 'pending');
+
+    assert.strictEqual((await admin('POST', '/api/staff/invitations', { email: 'nueva@kennedy.test', rol: 'asesor', sede: 'SALTA' })).status, 409);
+    const existing = await admin('POST', '/api/staff/invitations', { email: STAFF.asesorSalta.user.email, rol: 'asesor', sede: 'SALTA' });
+    assert.deepStrictEqual([existing.status, existing.body.staffId], [409, STAFF.asesorSalta.profile.id]);
+
+    const registered = await api.call('POST', '/api/auth/register', { body: { email: 'nueva@kennedy.test', password: 'x', sede: 'CATAMARCA' } });
+    assert.strictEqual(registered.status, 201);
+    const created = fake.db.perfil_staff.find(p => p.email === 'nueva@kennedy.test');
+    assert.deepStrictEqual([created.rol, created.sede, created.status], ['asesor', 'SALTA', 'active']);
+    assert.strictEqual(fake.db.staff_invitations[0].staff_id, created.id);
+    assert.ok(fake.db.staff_invitations[0].accepted_at);
+});
+
+test('sin invitación la cuenta queda pendiente hasta que se aprueba, una sola vez', async () => {
+    await api.call('POST', '/api/auth/register', { body: { email: 'suelta@kennedy.test', password: 'x' } });
+    const pending = fake.db.perfil_staff.find(p => p.email === 'suelta@kennedy.test');
+    assert.deepStrictEqual([pending.rol, pending.status], [null, 'pending']);
+
+    const listed = await admin('GET', '/api/staff/pending');
+    assert.deepStrictEqual(listed.body.map(p => p.id), [pending.id]);
+
+    const missingSede = await admin('POST', `/api/staff/${pending.id}/approve`, { rol: 'asesor' });
+    assert.strictEqual(missingSede.status, 400);
+
+    const approved = await admin('POST', `/api/staff/${pending.id}/approve`, { rol: 'asesor', sede: 'CATAMARCA' });
+    assert.deepStrictEqual([approved.status, approved.body.status], [200, 'active']);
+    assert.strictEqual((await admin('POST', `/api/staff/${pending.id}/approve`, { rol: 'revisor', sede: 'CATAMARCA' })).status, 409);
+    assert.strictEqual(profile(pending.id).rol, 'asesor');
+});
+
+test('nadie otorga roles ni sedes por encima de los propios, ni toca cuentas que lo superan', async () => {
+    const adminInvite = await jefe('POST', '/api/staff/invitations', { email: 'otro@kennedy.test', rol: 'admin' });
+    assert.strictEqual(adminInvite.status, 400);
+    assert.ok(adminInvite.body.fields.some(e => e.field === 'rol'));
+
+    const otherSede = await jefe('POST', '/api/staff/invitations', { email: 'otro@kennedy.test', rol: 'jefe', sede: 'SALTA' });
+    assert.strictEqual(otherSede.status, 400);
+    assert.ok(otherSede.body.fields.some(e => e.field === 'sede'));
+
+    // asesor tiene permisos que jefe no tiene: no lo puede otorgar ni editar
+    const asesorInvite = await jefe('POST', '/api/staff/invitations', { email: 'otro@kennedy.test', rol: 'asesor', sede: 'CATAMARCA' });
+    assert.strictEqual(asesorInvite.status, 400);
+
+    const outranked = await jefe('PUT', `/api/staff/${STAFF.asesorCatamarca.profile.id}`, { newRole: 'jefe' });
+    assert.deepStrictEqual([outranked.status, outranked.body.error], [403, 'No puedes modificar una cuenta con más permisos que la tuya']);
+    assert.strictEqual((await jefe('POST', `/api/staff/${STAFF.admin.profile.id}/deactivate`)).status, 403);
+    assert.deepStrictEqual([profile(1).rol, profile(1).status, profile(2).rol], ['admin', undefined, 'asesor']);
+    assert.ok(!fake.db.staff_invitations.some(i => i.email === 'otro@kennedy.test'));
+});
+
+test('un cambio de rol rige en la siguiente request', async () => {
+    const me = () => api.call('GET', '/api/auth/me', { token: STAFF.asesorCatamarca.token });
+    assert.strictEqual((await me()).body.matrix.messages.send, true);
+
+    const res = await admin('PUT', `/api/staff/${STAFF.asesorCatamarca.profile.id}`, { newRole: 'revisor' });
+    assert.strictEqual(res.status, 200);
+    const after = await me();
+    assert.deepStrictEqual([after.body.role.name, after.body.matrix.messages.send], ['revisor', false]);
+});
+
+test('desactivar y reactivar cambian el estado una sola vez', async () => {
+    const id = STAFF.asesorSalta.profile.id;
+    const off = await admin('POST', `/api/staff/${id}/deactivate`);
+    assert.deepStrictEqual([off.status, off.body.status], [200, 'deactivated']);
+    assert.strictEqual((await admin('POST', `/api/staff/${id}/deactivate`)).status, 409);
+    assert.strictEqual((await api.call('GET', '/api/auth/me', { token: STAFF.asesorSalta.token })).status, 403);
+
+    const on = await admin('POST', `/api/staff/${id}/reactivate`);
+    assert.deepStrictEqual([on.status, on.body.status], [200, 'active']);
+    assert.strictEqual((await admin('POST', `/api/staff/${id}/reactivate`)).status, 409);
+    assert.strictEqual((await api.call('GET', '/api/auth/me', { token: STAFF.asesorSalta.token })).status, 200);
+});
+
+test('el último admin activo no pierde el rol ni se desactiva', async () => {
+    const id = STAFF.admin.profile.id;
+    const LAST_ADMIN = 'Es el último admin activo: asigne otro admin antes de quitarle el rol o desactivarlo';
+
+    const demote = await admin('PUT', `/api/staff/${id}`, { newRole: 'asesor' });
+    assert.deepStrictEqual([demote.status, demote.body.error], [409, LAST_ADMIN]);
+    const deactivate = await admin('POST', `/api/staff/${id}/deactivate`);
+    assert.deepStrictEqual([deactivate.status, deactivate.body.error], [409, LAST_ADMIN]);
+    assert.strictEqual((await admin('DELETE', `/api/staff/${id}`)).status, 409);
+    assert.deepStrictEqual([profile(id).rol, profile(id).status], ['admin', undefined]);
+
+    // Un admin desactivado no cuenta: con otro admin activo ya se puede
+    const second = STAFF.asesorSalta.profile.id;
+    assert.strictEqual((await admin('PUT', `/api/staff/${second}`, { newRole: 'admin' })).status, 200);
+    assert.strictEqual((await admin('POST', `/api/staff/${second}/deactivate`)).status, 200);
+    assert.strictEqual((await admin('POST', `/api/staff/${id}/deactivate`)).status, 409);
+
+    assert.strictEqual((await admin('POST', `/api/staff/${second}/reactivate`)).status, 200);
+    assert.strictEqual((await admin('POST', `/api/staff/${id}/deactivate`)).status, 200);
+    assert.strictEqual(profile(id).status, 'deactivated');
+});
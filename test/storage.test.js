@@ -0,0 +1,194 @@
+// Driver de almacenamiento local y descarga de documentos en stream
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kennedy-storage-'));
+let api;
+let local;
+
+test.before(async () => {
+    seed();
+    api = await startServer({ LOCAL_STORAGE_DIR: storageDir });
+    local = api.internals.getStorage('local');
+});
+
+test.after(async () => {
+    await api.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+const readAll = async (readable) => {
+    const parts = [];
+    for await (const part of readable) parts.push(part);
+    return Buffer.concat(parts);
+};
+
+test('put, get, stream y remove sobre la carpeta local', async () => {
+    const content = Buffer.from('%PDF-1.4 dni de prueba');
+    const key = await local.put('dni/../frente.pdf', content, 'application/pdf');
+
+    assert.ok(!key.includes('/'), 'la clave no arrastra separadores del nombre');
+    assert.ok(fs.existsSync(path.join(storageDir, key)));
+    assert.deepStrictEqual(await local.get(key), content);
+    assert.deepStrictEqual(await readAll(await local.stream(key)), content);
+
+    await local.remove(key);
+    assert.ok(!fs.existsSync(path.join(storageDir, key)));
+    await assert.rejects(local.stream(key), { code: 'ENOENT' });
+    await local.remove(key); // borrar dos veces no falla
+});
+
+test('las claves que salen de la carpeta raíz se rechazan', async () => {
+    fs.writeFileSync(path.join(os.tmpdir(), 'kennedy-fuera.txt'), 'secreto');
+    const outside = path.join('..', 'kennedy-fuera.txt');
+    try {
+        for (const key of [outside, '../../etc/passwd', path.join(os.tmpdir(), 'kennedy-fuera.txt'), '.', '']) {
+            await assert.rejects(local.get(key), /Clave de almacenamiento inválida/, key);
+            await assert.rejects(local.stream(key), /Clave de almacenamiento inválida/, key);
+            await assert.rejects(local.remove(key), /Clave de almacenamiento inválida/, key);
+        }
+        assert.ok(fs.existsSync(path.join(os.tmpdir(), 'kennedy-fuera.txt')));
+    } finally {
+        fs.rmSync(path.join(os.tmpdir(), 'kennedy-fuera.txt'), { force: true });
+    }
+});
+
+test('GET /api/documents/:id/download entrega el archivo del driver local', async () => {
+    const content = Buffer.from('imagen del título');
+    const key = await local.put('titulo.jpg', content, 'image/jpeg');
+    fake.db.student_documents = [
+        { id: 200, student_id: 10, storage_backend: 'local', storage_key: key, file_name: 'titulo.jpg', mime_type: 'image/jpeg', version: 1 },
+        { id: 201, student_id: 10, storage_backend: 'local', storage_key: 'no-existe.pdf', file_name: 'x.pdf', mime_type: 'application/pdf', version: 1 }
+    ];
+
+    const res = await fetch(`${api.base}/api/documents/200/download`, { headers: { authorization: `Bearer ${STAFF.asesorCatamarca.token}` } });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-type'), 'image/jpeg');
+    assert.match(res.headers.get('content-disposition'), /titulo\.jpg/);
+    assert.deepStrictEqual(Buffer.from(await res.arrayBuffer()), content);
+
+    const missing = await api.call('GET', '/api/documents/201/download', { token: STAFF.asesorCatamarca.token });
+    assert.strictEqual(missing.status, 500);
+});
+
+test('si el archivo se corta a mitad de la descarga se cierra la respuesta', async (t) => {
+    const original = local.stream;
+    t.after(() => { local.stream = original; });
+    local.stream = async () => new Readable({
+        read() {
+            if (this.sent) return this.destroy(new Error('conexión con el backend perdida'));
+            this.sent = true;
+            this.push(Buffer.alloc(1024, 'a'));
+        }
+    });
+
+    // Según cuándo se corte, falla el fetch o la lectura del cuerpo; nunca queda colgada
+    await assert.rejects(async () => {
+        const res = await fetch(`${api.base}/api/documents/200/download`, { headers: { authorization: `Bearer ${STAFF.asesorCatamarca.token}` } });
+        await res.arrayBuffer();
+    });
+
+    // El servidor sigue respondiendo
+    assert.strictEqual((await api.call('GET', '/api/documents/200/versions', { token: STAFF.asesorCatamarca.token })).status, 200);
+});
+
+test('el purge borra cada versión con su archivo y deja para reintentar lo que falla', async (t) => {
+    const keys = await Promise.all(['v1.pdf', 'v2.pdf', 'v3.pdf'].map(name => local.put(name, Buffer.from(name), 'application/pdf')));
+    const file = (key) => ({ storage_backend: 'local', storage_key: key, file_name: 'dni.pdf', mime_type: 'application/pdf' });
+    fake.db.student_documents.push({ id: 300, student_id: 10, document_type: 'DNI', version: 3, deleted_at: '2026-03-01T00:00:00.000Z', ...file(keys[2]) });
+    fake.db.student_document_versions = [{ document_id: 300, version: 1, ...file(keys[0]) }, { document_id: 300, version: 2, ...file(keys[1]) }];
+    fake.db.document_texts = [{ document_id: 300, text: 'DNI 30111222' }];
+    const purge = () => api.call('DELETE', '/api/documents/300/purge', { token: STAFF.admin.token });
+
+    // Falla la base: no se tocó ningún archivo
+    fake.failures.push({ table: 'student_document_versions', op: 'delete', error: { message: 'timeout' } });
+    assert.strictEqual((await purge()).status, 500);
+    assert.ok(keys.every(key => fs.existsSync(path.join(storageDir, key))));
+    assert.strictEqual(fake.db.student_document_versions.length, 2);
+
+    // Falla un archivo: su fila vuelve, la otra versión ya no existe
+    const original = local.remove;
+    t.after(() => { local.remove = original; });
+    local.remove = async (key) => {
+        if (key === keys[1]) throw new Error('sin conexión');
+        return original.call(local, key);
+    };
+    const partial = await purge();
+    assert.strictEqual(partial.status, 502);
+    assert.deepStrictEqual(partial.body.failed.map(f => f.storage_key), [keys[1]]);
+    assert.deepStrictEqual(fake.db.student_document_versions.map(v => v.version), [2]);
+    assert.ok(!fs.existsSync(path.join(storageDir, keys[0])));
+    assert.ok(fake.db.student_documents.some(d => d.id === 300));
+
+    local.remove = original;
+    const done = await purge();
+    assert.strictEqual(done.status, 200);
+    assert.strictEqual(fake.db.student_document_versions.length, 0);
+    assert.strictEqual(fake.db.document_texts.length, 0);
+    assert.ok(!fake.db.student_documents.some(d => d.id === 300));
+    assert.ok(keys.every(key => !fs.existsSync(path.join(storageDir, key))));
+});
+
+test('las subidas sin alumno sugieren candidatos por teléfono', async () => {
+    fake.db.student_documents.push(
+        { id: 400, student_id: null, student_phone: '+54 9 383 412-3456', document_type: 'DNI', uploaded_at: '2026-03-02T00:00:00.000Z' },
+        { id: 401, student_id: null, student_phone: '3874551234', document_type: 'DNI', uploaded_at: '2026-03-01T00:00:00.000Z' },
+        { id: 402, student_id: null, student_phone: null, document_type: 'DNI', uploaded_at: '2026-02-01T00:00:00.000Z' }
+    );
+    const res = await api.call('GET', '/api/documents/unlinked', { token: STAFF.admin.token });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.map(d => [d.id, d.candidates.map(c => c.id)]), [[400, [10]], [401, [11]], [402, []]]);
+    assert.ok(!('telefono1' in res.body[0].candidates[0]));
+});
+
+const uploadPdf = (phone, documentType = 'DNI') => {
+    const form = new FormData();
+    form.append('documentType', documentType);
+    form.append('file', new Blob([Buffer.from('%PDF-1.4\n% dni escaneado\n')], { type: 'application/pdf' }), 'dni.pdf');
+    return fetch(`${api.base}/api/students/phone/${encodeURIComponent(phone)}/documents`, {
+        method: 'POST', headers: { authorization: `Bearer ${STAFF.asesorCatamarca.token}` }, body: form
+    });
+};
+
+test('si la fila del documento no se guarda, el archivo subido se borra', async () => {
+    const before = fs.readdirSync(storageDir);
+    fake.failures.push({ table: 'student_documents', op: 'insert', error: { message: 'violates check constraint' } });
+    const res = await uploadPdf('+5493834123456');
+    assert.strictEqual(res.status, 500);
+    assert.deepStrictEqual(fs.readdirSync(storageDir), before);
+
+    const ok = await uploadPdf('+5493834123456');
+    assert.strictEqual(ok.status, 200);
+    assert.strictEqual(fs.readdirSync(storageDir).length, before.length + 1);
+});
+
+test('la migración de almacenamiento mueve también las versiones anteriores', async (t) => {
+    // Destino en memoria con la interfaz de los drivers
+    const target = api.internals.getStorage('s3');
+    const saved = { ...target };
+    t.after(() => Object.assign(target, saved));
+    const objects = new Map();
+    Object.assign(target, {
+        isReady: () => true,
+        put: async (name, buffer) => { objects.set(`documents/${name}`, buffer); return `documents/${name}`; },
+        get: async (key) => objects.get(key),
+        remove: async (key) => { objects.delete(key); }
+    });
+
+    const [current, old] = await Promise.all(['actual.pdf', 'vieja.pdf'].map(name => local.put(name, Buffer.from(name), 'application/pdf')));
+    fake.db.student_documents = [{ id: 500, student_id: 10, storage_backend: 'local', storage_key: current, file_name: 'actual.pdf', mime_type: 'application/pdf', version: 2 }];
+    fake.db.student_document_versions = [{ document_id: 500, version: 1, storage_backend: 'local', storage_key: old, file_name: 'vieja.pdf', mime_type: 'application/pdf' }];
+
+    const report = await api.internals.migrateStorage({ from: 'local', to: 's3' });
+    assert.deepStrictEqual(report, { total: 2, migrated: 2, failed: [] });
+    const [doc] = fake.db.student_documents;
+    const [version] = fake.db.student_document_versions;
+    assert.deepStrictEqual([doc.storage_backend, doc.storage_key], ['s3', 'documents/500_actual.pdf']);
+    assert.deepStrictEqual([version.storage_backend, version.storage_key], ['s3', 'documents/500_v1_vieja.pdf']);
+    assert.strictEqual(objects.get(version.storage_key).toString(), 'vieja.pdf');
+});
@@ -0,0 +1,116 @@
+// Mensajes de n8n (rol y texto limpio) y paginación del timeline por cursor
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+const fixtures = require('./fixtures/n8n-messages');
+
+let api;
+let internals;
+
+test.before(async () => {
+    seed();
+    // Alumno 10 (+5493834123456): n8n usa el número sin '+' como session_id
+    const at = (minute) => `2026-03-01T10:${String(minute).padStart(2, '0')}:00.000Z`;
+    fake.db.n8n_chat_histories = [
+        { id: 1, session_id: '5493834123456', created_at: at(0), message: fixtures[0].message },
+        { id: 2, session_id: '5493834123456', created_at: at(1), message: fixtures[2].message },
+        { id: 3, session_id: '5493834123456', created_at: at(2), message: fixtures[1].message },
+        { id: 4, session_id: '5493834123456', created_at: at(2), message: fixtures[3].message },
+        { id: 5, session_id: '5493874551234', created_at: at(3), message: fixtures[4].message }
+    ];
+    fake.db.Mensaje_de_secretaria = [
+        { id: 7, Telefono_EST: '+5493834123456', created_at: at(2), 'Mensaje de secretaria': fixtures[8].message, delivery_status: 'sent' }
+    ];
+    api = await startServer();
+    internals = api.internals;
+});
+
+test.after(() => api.close());
+
+test('detectN8nRole y cleanN8nMessage con los formatos de n8n', () => {
+    for (const fixture of fixtures) {
+        assert.strictEqual(internals.detectN8nRole(fixture.message), fixture.role, fixture.name);
+        assert.strictEqual(internals.cleanN8nMessage(fixture.message), fixture.text, fixture.name);
+    }
+});
+
+test('cleanN8nMessage con valores vacíos', () => {
+    assert.strictEqual(internals.cleanN8nMessage(null), '');
+    assert.strictEqual(internals.cleanN8nMessage(''), '');
+    assert.strictEqual(internals.detectN8nRole(null), 'assistant');
+});
+
+test('el cursor del timeline se codifica y decodifica sin pérdida', () => {
+    const entry = { timestamp: '2026-03-01T10:02:00.000Z', source: 'secretaria', sourceId: 7 };
+    const cursor = internals.encodeTimelineCursor(entry);
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepStrictEqual(internals.decodeTimelineCursor(cursor), { t: entry.timestamp, s: 'secretaria', i: 7 });
+});
+
+test('cursores inválidos decodifican a null', () => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    assert.strictEqual(internals.decodeTimelineCursor('no es base64 ni json'), null);
+    assert.strictEqual(internals.decodeTimelineCursor(encode({ s: 'bot', i: 1 })), null);
+    assert.strictEqual(internals.decodeTimelineCursor(encode({ t: '2026-03-01', s: 'otra', i: 1 })), null);
+    assert.strictEqual(internals.decodeTimelineCursor(encode({ t: '2026-03-01', s: 'bot' })), null);
+});
+
+test('el timeline pagina hacia atrás sin repetir entradas con el mismo created_at', async () => {
+    const seen = [];
+    let cursor = null;
+    for (let guard = 0; guard < 10; guard++) {
+        const query = cursor ? `?limit=2&cursor=${cursor}` : '?limit=2';
+        const res = await api.call('GET', `/api/students/10/timeline${query}`, { token: STAFF.asesorCatamarca.token });
+        assert.strictEqual(res.status, 200);
+        seen.unshift(...res.body.items);
+        cursor = res.body.nextCursor;
+        if (!cursor) break;
+    }
+
+    assert.deepStrictEqual(seen.map(e => e.id), ['bot:1', 'bot:2', 'secretaria:7', 'bot:3', 'bot:4']);
+    assert.deepStrictEqual(seen.map(e => e.role), ['user', 'assistant', 'staff', 'user', 'assistant']);
+    assert.strictEqual(seen[2].author, 'Laura');
+    assert.strictEqual(seen[3].content, '¿Cuánto sale la cuota?');
+});
+
+test('el timeline rechaza un cursor inválido', async () => {
+    const res = await api.call('GET', '/api/students/10/timeline?cursor=xyz', { token: STAFF.asesorCatamarca.token });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error, 'Cursor inválido');
+});
+
+test('muchas entradas con el mismo created_at no cortan la paginación', async () => {
+    const same = '2026-04-01T09:00:00.000Z';
+    fake.db.student.push({ id: 20, full_name: 'Carla Lote', codPuntoKennedy: 'CATAMARCA', telefono1: '+5493834999000' });
+    for (let i = 0; i < 7; i++) {
+        fake.db.n8n_chat_histories.push({ id: 100 + i, session_id: '5493834999000', created_at: same, message: fixtures[0].message });
+    }
+    fake.db.Mensaje_de_secretaria.push(
+        { id: 'b7f3', Telefono_EST: '+5493834999000', created_at: same, 'Mensaje de secretaria': 'uno', delivery_status: 'sent' },
+        { id: 'a1c9', Telefono_EST: '+5493834999000', created_at: same, 'Mensaje de secretaria': 'dos', delivery_status: 'sent' }
+    );
+
+    const seen = [];
+    let cursor = null;
+    for (let guard = 0; guard < 20; guard++) {
+        const query = cursor ? `?limit=2&cursor=${cursor}` : '?limit=2';
+        const res = await api.call('GET', `/api/students/20/timeline${query}`, { token: STAFF.asesorCatamarca.token });
+        assert.strictEqual(res.status, 200);
+        seen.unshift(...res.body.items);
+        cursor = res.body.nextCursor;
+        if (!cursor) break;
+    }
+    assert.deepStrictEqual(seen.map(e => e.id), [
+        'secretaria:a1c9', 'secretaria:b7f3',
+        ...[100, 101, 102, 103, 104, 105, 106].map(id => `bot:${id}`)
+    ]);
+});
+
+test('un teléfono que no se puede normalizar igual muestra los mensajes del staff', async () => {
+    fake.db.student.push({ id: 21, full_name: 'Dani Viejo', codPuntoKennedy: 'CATAMARCA', telefono1: '4123-45' });
+    fake.db.Mensaje_de_secretaria.push({ id: 30, Telefono_EST: '4123-45', created_at: '2026-04-02T09:00:00.000Z', 'Mensaje de secretaria': 'Hola Dani', delivery_status: 'sent' });
+
+    const res = await api.call('GET', '/api/students/21/timeline', { token: STAFF.asesorCatamarca.token });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.items.map(e => [e.id, e.content]), [['secretaria:30', 'Hola Dani']]);
+});
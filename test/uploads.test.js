@@ -0,0 +1,126 @@
+// Subidas: tipo real por contenido, límites por tipo, antivirus (ClamAV falso por TCP) y cuarentena aparte
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { STAFF, fake, seed, startServer } = require('./helpers/server');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kennedy-uploads-'));
+const storageDir = path.join(dir, 'documentos');
+const quarantineDir = path.join(dir, 'cuarentena');
+let api;
+let clamav;
+let clamavDown = false;
+
+// Responde como clamd a zINSTREAM: FOUND si el archivo trae la firma EICAR
+function startFakeClamAv() {
+    const server = net.createServer(socket => {
+        if (clamavDown) return socket.destroy();
+        const parts = [];
+        socket.on('data', data => parts.push(data));
+        socket.on('end', () => {
+            const infected = Buffer.concat(parts).includes('EICAR-STANDARD-ANTIVIRUS-TEST-FILE');
+            socket.end(infected ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test.before(async () => {
+    seed();
+    fake.db.document_quarantine = [];
+    clamav = await startFakeClamAv();
+    api = await startServer({
+        DOCUMENT_SCANNER: 'clamav',
+        CLAMAV_HOST: '127.0.0.1',
+        CLAMAV_PORT: String(clamav.address().port),
+        LOCAL_STORAGE_DIR: storageDir,
+        QUARANTINE_LOCAL_DIR: quarantineDir
+    });
+});
+
+test.after(async () => {
+    await api.close();
+    await new Promise(resolve => clamav.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const PDF = Buffer.from('%PDF-1.4\n% dni escaneado\n');
+const INFECTED_PDF = Buffer.concat([PDF, Buffer.from('X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*')]);
+
+const upload = async (content, { fileName = 'dni.pdf', type = 'application/pdf', documentType = 'DNI', phone = '+5493834123456' } = {}) => {
+    const form = new FormData();
+    form.append('documentType', documentType);
+    form.append('file', new Blob([content], { type }), fileName);
+    const res = await fetch(`${api.base}/api/students/phone/${encodeURIComponent(phone)}/documents`, {
+        method: 'POST', headers: { authorization: `Bearer ${STAFF.asesorCatamarca.token}` }, body: form
+    });
+    return { status: res.status, body: await res.json() };
+};
+const filesIn = (folder) => (fs.existsSync(folder) ? fs.readdirSync(folder) : []);
+
+test('un archivo infectado va a la carpeta de cuarentena, no a la de documentos', async () => {
+    const res = await upload(INFECTED_PDF);
+    assert.strictEqual(res.status, 422);
+    assert.strictEqual(res.body.signature, 'Eicar-Test-Signature');
+
+    const [record] = fake.db.document_quarantine;
+    assert.strictEqual(res.body.quarantineId, record.id);
+    assert.strictEqual(record.storage_backend, 'quarantine-local');
+    assert.deepStrictEqual(filesIn(quarantineDir), [record.storage_key]);
+    assert.deepStrictEqual(filesIn(storageDir), []);
+    assert.ok(!fake.db.student_documents?.length);
+
+    // Ni la descarga ni la migración resuelven ese backend
+    assert.throws(() => api.internals.getStorage(record.storage_backend), /desconocido/);
+});
+
+test('si no se puede registrar la cuarentena el error no se confunde con el antivirus caído', async () => {
+    fake.failures.push({ table: 'document_quarantine', op: 'insert', error: { message: 'timeout' } });
+    const res = await upload(INFECTED_PDF);
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(res.body.error, 'El archivo fue rechazado por el antivirus pero no se pudo registrar la cuarentena');
+    assert.deepStrictEqual(filesIn(storageDir), []);
+});
+
+test('sin antivirus la subida se rechaza con 503', async (t) => {
+    clamavDown = true;
+    t.after(() => { clamavDown = false; });
+    const res = await upload(PDF);
+    assert.strictEqual(res.status, 503);
+    assert.strictEqual(res.body.error, 'Antivirus no disponible, intente más tarde');
+    assert.deepStrictEqual(filesIn(storageDir), []);
+});
+
+test('el tipo se detecta por el contenido: un ejecutable con nombre .pdf se rechaza', async () => {
+    const res = await upload(Buffer.from('MZ\x90\x00 no soy un pdf'), { fileName: 'dni.pdf', type: 'application/pdf' });
+    assert.strictEqual(res.status, 415);
+    assert.strictEqual(res.body.detected, null);
+    assert.deepStrictEqual(filesIn(storageDir), []);
+});
+
+test('cada tipo de documento tiene sus formatos y su tamaño máximo', async () => {
+    const pdfAsPhoto = await upload(PDF, { documentType: 'Foto' });
+    assert.strictEqual(pdfAsPhoto.status, 415);
+    assert.strictEqual(pdfAsPhoto.body.detected, 'application/pdf');
+    assert.deepStrictEqual(pdfAsPhoto.body.allowed, ['jpg', 'png']);
+
+    // 3MB entra en el límite global (10MB) pero no en el de 'Foto' (2MB)
+    const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(3 * 1024 * 1024)]);
+    const bigPhoto = await upload(PNG, { fileName: 'foto.png', type: 'image/png', documentType: 'Foto' });
+    assert.strictEqual(bigPhoto.status, 413);
+    assert.match(bigPhoto.body.error, /2MB/);
+
+    const tooBig = await upload(Buffer.concat([PDF, Buffer.alloc(11 * 1024 * 1024)]));
+    assert.strictEqual(tooBig.status, 413);
+    assert.deepStrictEqual(filesIn(storageDir), []);
+});
+
+test('un archivo limpio se guarda en la carpeta de documentos con el tipo detectado', async () => {
+    const res = await upload(PDF, { fileName: 'dni.jpg', type: 'image/jpeg' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(filesIn(storageDir).length, 1);
+    assert.strictEqual(fake.db.student_documents[0].mime_type, 'application/pdf');
+});